@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import * as XLSX from "xlsx";
+import {
+  analyzeTable,
+  EXPORT_FORMATS,
+  LOCALES,
+  QUOTE_STYLES,
+  buildWorkbook,
+  ENCODINGS,
+  cleanTable,
+  decodeText,
+  finishTextFile,
+  parseHtmlTables,
+  readSheets,
+  stackSheets,
+  toCsv,
+  toMarkdownTable,
+  toTsv,
+} from "../src/lib/index.js";
+
+const writeBook = (bookType) => (table, analysis) =>
+  XLSX.write(buildWorkbook(table, "Table", analysis), { type: "buffer", bookType });
+
+const FORMATS = {
+  csv: { ext: "csv", render: (table, analysis, ctx) => toCsv(table, ctx) },
+  tsv: { ext: "tsv", render: toTsv },
+  md: { ext: "md", render: (table, analysis, ctx) => toMarkdownTable(table, ctx) },
+  xlsx: { ext: "xlsx", render: writeBook("xlsx"), binary: true },
+  ods: { ext: "ods", render: writeBook("ods"), binary: true },
+  ...Object.fromEntries(
+    EXPORT_FORMATS.map((f) => [f.id, { ext: f.ext, render: (table, analysis, ctx) => f.render(table, ctx) }])
+  ),
+};
+
+// Output extensions that pick a format other than their own name
+const FORMAT_BY_EXT = { markdown: "md", sql: "sqlite", tex: "latex", htm: "html" };
+
+const USAGE = `Usage: table-cleaner [options] [files...]
+
+Cleans .csv, .txt, .md, .html and .xlsx tables using the same detection as
+the web app.
+Files may be glob patterns (e.g. "exports/**/*.csv"). With no files, or "-",
+the table is read from stdin.
+
+Options:
+  -o, --output <path>         Output file (default: stdout). When cleaning
+                              several files, a directory to write them into;
+                              glob matches keep their folders below the base.
+  -f, --format <format>       csv | tsv | md | xlsx | ods | json | json-arrays |
+                              sqlite | postgres | html | latex (default: from
+                              the output extension, else csv)
+      --table-name <name>     Table name for SQL output (default: data)
+      --csv-delimiter <char>  Delimiter for CSV output (default: ,)
+      --quote <style>         CSV quoting: minimal | text | all (default: minimal)
+      --align <align>         Markdown alignment: none | auto | left | center |
+                              right (auto right-aligns numbers)
+      --crlf                  Write Windows (CRLF) line endings
+      --bom                   Start text output with a UTF-8 BOM (for Excel)
+  -d, --delimiter <chars>     Input delimiter (default: auto-detect)
+  -c, --columns <n,n,...>     Fixed-width input: character offsets where
+                              each column after the first starts
+  -e, --encoding <name>       Input text encoding (default: auto-detect):
+                              utf-8 | utf-16le | utf-16be | windows-1252 |
+                              iso-8859-15 | iso-8859-2 | shift_jis
+  -s, --sheet <name|number>   XLSX sheet or HTML table to read (default: the first)
+      --all-sheets            Stack every XLSX sheet / HTML table into one table
+      --sheet-column          With --all-sheets, add a source column
+      --exclude-first-row     Leave the first row out of the output
+      --no-remove-empty-rows  Keep rows with no values
+      --no-remove-empty-columns
+                              Keep columns with no values
+      --no-collapse-spaces    Keep cell whitespace exactly
+      --no-types              Write XLSX cells as text instead of numbers/dates
+  -l, --locale <locale>       Normalise numbers and dates to 1234.56 / ISO 8601,
+                              reading them as: auto | ${Object.keys(LOCALES).join(" | ")}
+  -h, --help                  Show this help
+
+Exit codes: 0 success, 1 no table detected in an input, 2 usage or read error.`;
+
+const MARKDOWN_ALIGNMENTS = ["none", "auto", "left", "center", "right"];
+
+class UsageError extends Error {}
+
+/* ---------- args ---------- */
+
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: "string", short: "o" },
+      format: { type: "string", short: "f" },
+      delimiter: { type: "string", short: "d" },
+      columns: { type: "string", short: "c" },
+      encoding: { type: "string", short: "e", default: "auto" },
+      sheet: { type: "string", short: "s" },
+      "all-sheets": { type: "boolean", default: false },
+      "sheet-column": { type: "boolean", default: false },
+      "exclude-first-row": { type: "boolean", default: false },
+      "no-remove-empty-rows": { type: "boolean", default: false },
+      "no-remove-empty-columns": { type: "boolean", default: false },
+      "no-collapse-spaces": { type: "boolean", default: false },
+      "no-types": { type: "boolean", default: false },
+      locale: { type: "string", short: "l" },
+      "table-name": { type: "string", default: "data" },
+      "csv-delimiter": { type: "string", default: "," },
+      quote: { type: "string", default: "minimal" },
+      align: { type: "string", default: "none" },
+      crlf: { type: "boolean", default: false },
+      bom: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  const format = values.format ?? formatFromPath(values.output) ?? "csv";
+  if (!FORMATS[format]) {
+    throw new UsageError(`Unknown format "${format}". Use one of: ${Object.keys(FORMATS).join(", ")}.`);
+  }
+
+  if (!QUOTE_STYLES.includes(values.quote)) {
+    throw new UsageError(`Unknown quote style "${values.quote}". Use one of: ${QUOTE_STYLES.join(", ")}.`);
+  }
+  if (!MARKDOWN_ALIGNMENTS.includes(values.align)) {
+    throw new UsageError(`Unknown alignment "${values.align}". Use one of: ${MARKDOWN_ALIGNMENTS.join(", ")}.`);
+  }
+  if (values.encoding !== "auto" && !ENCODINGS[values.encoding]) {
+    throw new UsageError(
+      `Unknown encoding "${values.encoding}". Use auto or one of: ${Object.keys(ENCODINGS).join(", ")}.`
+    );
+  }
+  if (values["csv-delimiter"] === "") throw new UsageError("--csv-delimiter cannot be empty.");
+
+  const columnBoundaries = values.columns ? parseColumns(values.columns) : null;
+
+  const locale = values.locale ?? "";
+  if (locale && locale !== "auto" && !LOCALES[locale]) {
+    throw new UsageError(`Unknown locale "${locale}". Use auto or one of: ${Object.keys(LOCALES).join(", ")}.`);
+  }
+
+  return {
+    help: values.help,
+    inputs: positionals,
+    output: values.output,
+    format,
+    excludeFirstRow: values["exclude-first-row"],
+    typed: !values["no-types"],
+    exportOptions: {
+      tableName: values["table-name"],
+      delimiter: values["csv-delimiter"],
+      quotes: values.quote,
+      align: values.align,
+    },
+    textFile: { lineEnding: values.crlf ? "crlf" : "lf", bom: values.bom },
+    encoding: values.encoding,
+    sheet: values.sheet,
+    allSheets: values["all-sheets"],
+    sheetColumn: values["sheet-column"],
+    cleanOptions: {
+      delimiter: values.delimiter ?? "",
+      columnBoundaries,
+      removeEmptyRows: !values["no-remove-empty-rows"],
+      removeEmptyColumns: !values["no-remove-empty-columns"],
+      collapseSpaces: !values["no-collapse-spaces"],
+      locale,
+    },
+  };
+}
+
+function parseColumns(value) {
+  const cuts = value.split(",").map((v) => Number(v.trim()));
+  if (cuts.some((n) => !Number.isInteger(n) || n <= 0)) {
+    throw new UsageError(`--columns expects positive whole numbers, e.g. 10,24,30 (got "${value}").`);
+  }
+  return [...new Set(cuts)].sort((a, b) => a - b);
+}
+
+function formatFromPath(p) {
+  if (!p) return null;
+  const ext = path.extname(p).slice(1).toLowerCase();
+  if (FORMAT_BY_EXT[ext]) return FORMAT_BY_EXT[ext];
+  return FORMATS[ext] ? ext : null;
+}
+
+/* ---------- globs ---------- */
+
+function hasMagic(s) {
+  return /[*?[]/.test(s);
+}
+
+function globToRegExp(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      const slash = glob[i + 2] === "/";
+      re += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (ch === "*") {
+      re += "[^/]*";
+    } else if (ch === "?") {
+      re += "[^/]";
+    } else if (ch === "[") {
+      const end = glob.indexOf("]", i + 1);
+      if (end === -1) {
+        re += "\\[";
+      } else {
+        re += `[${glob.slice(i + 1, end).replace(/^!/, "^")}]`;
+        i = end;
+      }
+    } else {
+      re += ch.replace(/[.+^${}()|\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+// `[{ file, rel }]`: `rel` is the path below the glob's base, which output
+// directories keep so that same-named files in different folders stay apart
+function expandGlob(pattern) {
+  if (pattern === "-" || !hasMagic(pattern)) return [{ file: pattern, rel: path.basename(pattern) }];
+
+  const segments = pattern.split(/[\\/]/);
+  const firstMagic = segments.findIndex(hasMagic);
+  const base = segments.slice(0, firstMagic).join("/") || ".";
+  const matcher = globToRegExp(segments.slice(firstMagic).join("/"));
+  const recursive = segments.slice(firstMagic).length > 1 || pattern.includes("**");
+
+  let entries;
+  try {
+    entries = fs.readdirSync(base, { recursive, withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  return entries
+    .filter((e) => e.isFile())
+    .map((e) => path.relative(base, path.join(e.parentPath ?? e.path, e.name)).split(path.sep).join("/"))
+    .filter((rel) => matcher.test(rel))
+    .sort()
+    .map((rel) => ({ file: base === "." ? rel : `${base}/${rel}`, rel }));
+}
+
+/* ---------- io ---------- */
+
+function isZip(buf) {
+  return buf.length >= 4 && buf[0] === 0x50 && buf[1] === 0x4b && buf[2] === 0x03 && buf[3] === 0x04;
+}
+
+function pickSheet(sheets, opts, label = "Sheet") {
+  if (sheets.length === 0) {
+    throw new Error(label === "Sheet" ? "Could not find a sheet in this XLSX." : "Could not find a <table> in this HTML.");
+  }
+  if (opts.allSheets) return stackSheets(sheets, { sourceColumn: opts.sheetColumn, sourceLabel: label });
+  if (opts.sheet === undefined) return sheets[0].table;
+
+  const byName = sheets.find((s) => s.name === opts.sheet);
+  const byNumber = /^\d+$/.test(opts.sheet) ? sheets[Number(opts.sheet) - 1] : undefined;
+  const sheet = byName ?? byNumber;
+  if (!sheet) {
+    throw new Error(`No ${label.toLowerCase()} "${opts.sheet}". Found: ${sheets.map((s) => s.name).join(", ")}.`);
+  }
+  return sheet.table;
+}
+
+function readInput(file, opts) {
+  const buf = file === "-" ? fs.readFileSync(0) : fs.readFileSync(file);
+  const ext = file === "-" ? "" : path.extname(file).slice(1).toLowerCase();
+
+  if (ext === "xlsx" || (file === "-" && isZip(buf))) {
+    return pickSheet(readSheets(buf), opts);
+  }
+
+  const text = decodeText(buf, opts.encoding).text;
+  if (ext === "html" || ext === "htm") {
+    return pickSheet(parseHtmlTables(text), opts, "Table");
+  }
+
+  if (file !== "-" && !["csv", "txt", "tsv", "md"].includes(ext)) {
+    throw new Error("Unsupported file type. Please use .csv, .txt, .md, .html, or .xlsx.");
+  }
+
+  return text;
+}
+
+function isDirectory(p) {
+  try {
+    return fs.statSync(p).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function outputPathFor({ file, rel }, opts, toDirectory) {
+  if (!opts.output) return null;
+  if (!toDirectory) return opts.output;
+
+  const name = file === "-" ? "stdin" : rel.slice(0, rel.length - path.extname(rel).length);
+  return path.join(opts.output, `${name}.${FORMATS[opts.format].ext}`);
+}
+
+/* ---------- main ---------- */
+
+function main(argv) {
+  const opts = parseCliArgs(argv);
+  if (opts.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  if (opts.inputs.length === 0 && process.stdin.isTTY) {
+    process.stderr.write(`${USAGE}\n`);
+    return 2;
+  }
+
+  const patterns = opts.inputs.length > 0 ? opts.inputs : ["-"];
+  const files = [];
+  for (const p of patterns) {
+    const matched = expandGlob(p);
+    if (matched.length === 0) process.stderr.write(`table-cleaner: no files match ${p}\n`);
+    files.push(...matched);
+  }
+  if (files.length === 0) return 2;
+
+  const multiple = files.length > 1;
+  const binary = FORMATS[opts.format].binary;
+  if (multiple && !opts.output && binary) {
+    throw new UsageError(`Writing several ${opts.format.toUpperCase()} files needs --output <directory>.`);
+  }
+  const toDirectory = Boolean(opts.output) && (multiple || /[\\/]$/.test(opts.output) || isDirectory(opts.output));
+
+  // Inputs from different patterns can still land on one output file
+  const outputs = new Map();
+  for (const input of files) {
+    const outPath = outputPathFor(input, opts, toDirectory);
+    if (toDirectory && outputs.has(outPath)) {
+      throw new UsageError(`${outputs.get(outPath)} and ${input.file} would both be written to ${outPath}.`);
+    }
+    outputs.set(outPath, input.file);
+  }
+  if (toDirectory) fs.mkdirSync(opts.output, { recursive: true });
+
+  let exitCode = 0;
+  const stdoutChunks = [];
+
+  for (const entry of files) {
+    const { file } = entry;
+    const label = file === "-" ? "stdin" : file;
+
+    let input;
+    try {
+      input = readInput(file, opts);
+    } catch (e) {
+      process.stderr.write(`table-cleaner: ${label}: ${e.message}\n`);
+      exitCode = 2;
+      continue;
+    }
+
+    const { table, hasTable, normalization } = cleanTable(input, opts.cleanOptions);
+    if (!hasTable) {
+      process.stderr.write(`table-cleaner: ${label}: no table detected\n`);
+      exitCode = Math.max(exitCode, 1);
+      continue;
+    }
+
+    for (const a of normalization?.ambiguous ?? []) {
+      process.stderr.write(
+        `table-cleaner: ${label}: row ${a.row + 1}, column ${a.col + 1}: ambiguous "${a.value}" (${a.readings.join(" or ")}), left as-is\n`
+      );
+    }
+
+    const exportTable = opts.excludeFirstRow ? table.slice(1) : table;
+    const context = analyzeTable(table);
+    if (opts.excludeFirstRow) context.hasHeader = false;
+    const rendered = FORMATS[opts.format].render(exportTable, opts.typed ? context : null, {
+      ...context,
+      ...opts.exportOptions,
+      lineEnding: opts.textFile.lineEnding,
+    });
+    const outPath = outputPathFor(entry, opts, toDirectory);
+
+    if (outPath) {
+      if (toDirectory) fs.mkdirSync(path.dirname(outPath), { recursive: true });
+      fs.writeFileSync(outPath, binary ? rendered : finishTextFile(`${rendered}\n`, opts.textFile));
+    } else {
+      stdoutChunks.push(rendered);
+    }
+  }
+
+  if (stdoutChunks.length > 0) {
+    if (binary) process.stdout.write(stdoutChunks[0]);
+    else process.stdout.write(finishTextFile(`${stdoutChunks.join("\n\n")}\n`, opts.textFile));
+  }
+
+  return exitCode;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+  process.stderr.write(`table-cleaner: ${e.message}\n`);
+  if (e instanceof UsageError || e.code?.startsWith("ERR_PARSE_ARGS")) {
+    process.stderr.write(`Run "table-cleaner --help" for usage.\n`);
+  }
+  process.exitCode = 2;
+}
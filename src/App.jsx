@@ -1,8 +1,53 @@
 import "./App.css";
-import { useMemo, useState } from "react";
-import Papa from "papaparse";
+import { useEffect, useMemo, useState } from "react";
 import * as XLSX from "xlsx";
 import ToolFeedback from "./components/ToolFeedback";
+import { cleanTable } from "./lib/cleanTable";
+import { findDuplicates } from "./lib/dedupe";
+import { EMPTY_VIEW, applyView, isViewActive, viewRows } from "./lib/view";
+import { ENCODINGS, decodeText, detectEncoding } from "./lib/encoding";
+import { finishTextFile, toCsv, toTsv } from "./lib/exporters";
+import { looksLikeHtmlTable, parseHtmlTables } from "./lib/html";
+import { LOCALES } from "./lib/locale";
+import { profileTable } from "./lib/profile";
+import { createRecipe, matchRecipe, recipeSteps } from "./lib/recipes";
+import { repairRaggedRows } from "./lib/repair";
+import { toMarkdownTable } from "./lib/markdown";
+import {
+  applyTableSteps,
+  createStep,
+  defaultSteps,
+  runTableSteps,
+  stepCleanOptions,
+  stepsForNewInput,
+} from "./lib/steps";
+import { groupRows, summaryMasks } from "./lib/groupBy";
+import { findMask, maskTable, scanPii } from "./lib/pii";
+import { EMPTY_SCHEMA, schemaFromHeader, validateTable, violationsTable } from "./lib/schema";
+import { analyzeTable } from "./lib/types";
+import { buildMultiSheetWorkbook, buildWorkbook, stackSheets } from "./lib/xlsx";
+import ColumnTransforms from "./components/ColumnTransforms";
+import ComputePanel from "./components/ComputePanel";
+import DedupePanel from "./components/DedupePanel";
+import EditableGrid from "./components/EditableGrid";
+import FixedWidthRuler from "./components/FixedWidthRuler";
+import GroupByPanel from "./components/GroupByPanel";
+import PiiPanel from "./components/PiiPanel";
+import ProfilePanel from "./components/ProfilePanel";
+import RecipePanel from "./components/RecipePanel";
+import RepairPanel from "./components/RepairPanel";
+import SchemaPanel from "./components/SchemaPanel";
+import ReshapePanel from "./components/ReshapePanel";
+import ExportFormats from "./components/ExportFormats";
+import ExportSettings from "./components/ExportSettings";
+import SheetPicker, { ALL_SHEETS } from "./components/SheetPicker";
+import StepList from "./components/StepList";
+import TablesPanel from "./components/TablesPanel";
+import { downloadTextFile, exportBaseName } from "./utils/download";
+import { TEXT_EXTENSIONS, readTableFile } from "./utils/readTableFile";
+import { readSheetsInWorker, useCleanTable } from "./utils/useCleanTable";
+import { useHistory } from "./utils/useHistory";
+import { useStoredState } from "./utils/useStoredState";
 
 
 // Google Ads conversion: Table Cleaned
@@ -15,274 +60,404 @@ function trackTableCleanedConversion() {
 }
 
 
-/* ---------- parsing helpers ---------- */
-
-function splitLine(line, delimiter) {
-  const src = line ?? "";
-  if (delimiter) return src.split(delimiter);
-
-  if (src.includes("\t")) return src.split("\t");
-  if (src.includes(";")) return src.split(";");
-  if (src.includes("|")) return src.split("|");
-
-  // fallback: 2+ spaces
-  return src.split(/ {2,}/);
-}
-
-function normalizeCell(cell, collapseSpaces) {
-  const s = (cell ?? "").toString();
-  if (!collapseSpaces) return s; // keep exactly
-  return s.trim().replace(/\s+/g, " ");
-}
+/* ---------- app ---------- */
 
-function rowHasAnyValue(row) {
-  return row.some((c) => (c ?? "").toString().trim() !== "");
-}
+const MB = 1024 * 1024;
+const MAX_TEXT_BYTES = 250 * MB;
+const MAX_XLSX_BYTES = 100 * MB; // SheetJS needs several times the file size in memory
+const MAX_HTML_BYTES = 50 * MB;
 
-function removeEmptyColumns(table) {
-  if (table.length === 0) return table;
+// Longer texts are parsed in full but only shown in part, read-only
+const TEXTAREA_MAX_CHARS = 1000000;
 
-  const maxCols = Math.max(...table.map((r) => r.length));
-  const colHasValue = Array(maxCols).fill(false);
+const PROGRESS_STAGES = {
+  reading: "Reading workbook",
+  detecting: "Detecting delimiter",
+  parsing: "Parsing",
+  cleaning: "Cleaning",
+};
 
-  for (const row of table) {
-    for (let j = 0; j < maxCols; j++) {
-      const v = (row[j] ?? "").toString().trim();
-      if (v !== "") colHasValue[j] = true;
-    }
-  }
+const EXAMPLE_TEXT = `Name | Age | City
+Alice | 24 | London
+Bob | 30 | Madrid
+Carla | 28 | Barcelona`;
 
-  return table.map((row) => row.filter((_, j) => colHasValue[j]));
+const DEFAULT_EXPORT_SETTINGS = {
+  delimiter: ",",
+  quotes: "minimal",
+  lineEnding: "lf",
+  bom: false,
+  markdownAlign: "none",
+};
+
+// Everything that decides the table, kept in one undoable document
+const EMPTY_SOURCE = {
+  text: "",
+  textFile: null, // { bytes, detected, encoding } of a dropped text file, kept so it can be re-decoded
+  sheets: null, // imported sheets (XLSX input, and HTML tables as one "sheet" each)
+  kind: "XLSX", // "XLSX" | "HTML"
+  fileName: "",
+  sheetChoice: 0, // sheet index or ALL_SHEETS
+  pastedPlainText: null,
+  sourceFileName: "", // dropped file, used to name exports
+  fileInfo: "",
+};
+
+const AUTO_PARSE = {
+  delimiter: "",
+  candidate: "", // candidate name, "" = best
+  columnBoundaries: null, // null = auto
+};
+
+const DEFAULT_DEDUPE = {
+  keys: [], // all columns
+  ignoreCase: true,
+  ignoreWhitespace: false,
+  ignorePunctuation: false,
+  similarity: 1,
+  keep: "first",
+};
+
+function initialDocument() {
+  return {
+    source: EMPTY_SOURCE,
+    parse: AUTO_PARSE,
+    steps: defaultSteps(),
+    tables: [], // other loaded tables, { name, table }, for append and join steps
+    headerMode: "auto", // "auto" | "yes" | "no"
+    excludeFirstRow: false,
+  };
 }
 
-function parseRowsSimple(lines, delimiter, collapseSpaces) {
-  return lines.map((line) =>
-    splitLine(line, delimiter).map((c) => normalizeCell(c, collapseSpaces))
-  );
+// Undo / redo shortcuts; inputs keep their own native undo
+function isTextField(el) {
+  return el?.tagName === "INPUT" || el?.tagName === "TEXTAREA" || el?.isContentEditable;
 }
 
-// Lower score = better
-function scoreTable(table) {
-  const rowLengths = table.map((r) => r.length).filter((n) => n > 0);
-  if (rowLengths.length === 0) return Infinity;
-
-  const maxCols = Math.max(...rowLengths);
-  if (maxCols <= 1) return Infinity;
-
-  const counts = new Map();
-  for (const n of rowLengths) counts.set(n, (counts.get(n) || 0) + 1);
+export default function App() {
+  const history = useHistory(initialDocument);
+  const { source, parse, steps, tables, headerMode, excludeFirstRow: excludeFirstRowExport } = history.state;
+  const {
+    text,
+    textFile,
+    sheets: importedSheets,
+    kind: importedKind,
+    fileName: importedFileName,
+    sheetChoice,
+    pastedPlainText,
+    sourceFileName,
+    fileInfo,
+  } = source;
+  const { delimiter: customDelimiter, candidate: delimiterChoice, columnBoundaries } = parse;
+
+  const [showRuler, setShowRuler] = useState(false);
+  const [transformCol, setTransformCol] = useState(null); // column whose transforms are open
+  const [dedupeDraft, setDedupeDraft] = useState(null); // dedupe options while the panel is open
+  const [view, setView] = useState(EMPTY_VIEW); // preview sort, filters and search (lib/view.js)
+  const [showFilters, setShowFilters] = useState(false);
+  const [exportViewOnly, setExportViewOnly] = useState(false);
+  const [profileOpen, setProfileOpen] = useState(false); // the profile is only computed while it is shown
+  const [highlightIssues, setHighlightIssues] = useState(true);
+  const [jumpTo, setJumpTo] = useState(null); // { row, col, seq } of the issue clicked last
+  const [repairSkipped, setRepairSkipped] = useState(null); // rows left out of the repair; null = panel closed
+  const [reshapeOpen, setReshapeOpen] = useState(false);
+  const [computeOpen, setComputeOpen] = useState(false);
+  const [groupBy, setGroupBy] = useState(null); // { keys, aggregates } while the group-by panel is open
+  const [exportSummary, setExportSummary] = useState(false);
+  const [sheetSourceColumn, setSheetSourceColumn] = useState(true);
+  const [exportAllSheets, setExportAllSheets] = useState(false);
+  const [typedXlsxOpt, setTypedXlsxOpt] = useState(true);
+
+  // Export settings (remembered between sessions)
+  const [exportSettings, setExportSettings] = useStoredState("tableCleaner.exportSettings", DEFAULT_EXPORT_SETTINGS);
+  const [fileNameOverride, setFileNameOverride] = useState("");
+  const [recipes, setRecipes] = useStoredState("tableCleaner.recipes", []);
+  const [schema, setSchema] = useStoredState("tableCleaner.schema", EMPTY_SCHEMA);
+  const [piiMasks, setPiiMasks] = useStoredState("tableCleaner.piiMasks", []); // lib/pii.js masks, by column name
+  const [suggestionDone, setSuggestionDone] = useState(false); // recipe suggestion applied or dismissed
 
-  let bestCount = 0;
-  let modeCols = 0;
-  for (const [cols, freq] of counts.entries()) {
-    if (freq > bestCount) {
-      bestCount = freq;
-      modeCols = cols;
+  // Drag/drop state
+  const [isDragging, setIsDragging] = useState(false);
+  const [fileError, setFileError] = useState("");
+  const [readingFile, setReadingFile] = useState(null); // { name, cancel } while a workbook is read
+
+  const { undo, redo } = history;
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey) || isTextField(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) undo();
+      else if ((key === "z" && e.shiftKey) || key === "y") redo();
+      else return;
+      e.preventDefault();
     }
-  }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [undo, redo]);
 
-  const inconsistent = rowLengths.length - bestCount;
-  const raggedPenalty = rowLengths.reduce(
-    (sum, n) => sum + Math.abs(n - modeCols),
-    0
-  );
-
-  return inconsistent * 10 + raggedPenalty;
-}
+  /* ---------- document updates (each one is an undo step) ---------- */
 
-function chooseBestTableSimple(lines, collapseSpaces) {
-  const candidates = [
-    { name: "tabs", delim: "\t" },
-    { name: "pipe", delim: "|" },
-    { name: "semicolon", delim: ";" },
-    { name: "spaces", delim: null },
-  ];
-
-  let best = [];
-  let bestDetected = "auto";
-  let bestScore = Infinity;
-
-  for (const c of candidates) {
-    const parsed = parseRowsSimple(
-      lines,
-      c.delim === null ? null : c.delim,
-      collapseSpaces
-    );
-    const s = scoreTable(parsed);
-    if (s < bestScore) {
-      best = parsed;
-      bestDetected = c.name;
-      bestScore = s;
-    }
+  function update(change, options) {
+    history.set((doc) => ({ ...doc, ...change(doc) }), options);
   }
 
-  return { table: best, detected: bestDetected };
-}
-
-function downloadTextFile(filename, content, mimeType) {
-  const blob = new Blob([content], { type: mimeType });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
-}
+  function setParse(patch, options) {
+    update((doc) => ({ parse: { ...doc.parse, ...patch } }), options);
+  }
 
-/* ---------- markdown ---------- */
+  // New input: parse settings and table steps other than transforms no longer apply
+  function loadSource(sourcePatch, parsePatch = {}) {
+    update((doc) => ({
+      source: { ...EMPTY_SOURCE, ...sourcePatch },
+      parse: { ...AUTO_PARSE, ...parsePatch },
+      steps: stepsForNewInput(doc.steps),
+    }));
+    setFileNameOverride("");
+    setView(EMPTY_VIEW);
+    setGroupBy(null);
+    setExportSummary(false);
+    setSuggestionDone(false);
+  }
 
-function escapeMarkdownCell(s) {
-  return (s ?? "")
-    .toString()
-    .replace(/\r?\n/g, " ")
-    .replace(/\|/g, "\\|");
-}
+  // Extra tables keep their file name; repeats get a number
+  function addTables(added) {
+    update((doc) => {
+      const names = new Set(doc.tables.map((t) => t.name));
+      const unique = added.map((t) => {
+        let name = t.name;
+        for (let n = 2; names.has(name); n++) name = `${t.name} (${n})`;
+        names.add(name);
+        return { ...t, name };
+      });
+      return { tables: [...doc.tables, ...unique] };
+    });
+  }
 
-function toMarkdownTable(data) {
-  if (!data || data.length === 0) return "";
+  function addTableFiles(files) {
+    setFileError("");
+    Promise.all(files.map(readTableFile))
+      .then((lists) => addTables(lists.flat()))
+      .catch((e) => setFileError(e.message));
+  }
 
-  const maxCols = Math.max(...data.map((r) => r.length));
-  const padded = data.map((r) => {
-    const row = Array.from({ length: maxCols }, (_, i) => r[i] ?? "");
-    return row.map(escapeMarkdownCell);
-  });
+  function applyRecipe(recipe) {
+    update(() => ({
+      parse: { ...AUTO_PARSE, ...recipe.parse },
+      steps: recipeSteps(recipe),
+      headerMode: recipe.headerMode,
+      excludeFirstRow: recipe.excludeFirstRow,
+    }));
+    setSuggestionDone(true);
+  }
 
-  const header = padded[0];
-  const body = padded.slice(1);
+  function saveRecipe(name) {
+    const recipe = createRecipe(name, history.state, { header: parsedHeader, hasHeader: analysis.hasHeader });
+    setRecipes([...recipes.filter((r) => r.name !== name), recipe]);
+    setSuggestionDone(true); // the table it was saved from matches it, of course
+  }
 
-  const headerLine = `| ${header.join(" | ")} |`;
-  const separatorLine = `| ${header.map(() => "---").join(" | ")} |`;
-  const bodyLines = body.map((row) => `| ${row.join(" | ")} |`);
+  function addRecipe(recipe) {
+    setRecipes([...recipes.filter((r) => r.name !== recipe.name), recipe]);
+  }
 
-  return [headerLine, separatorLine, ...bodyLines].join("\n");
-}
+  // Ascending, then descending, then unsorted
+  function cycleSort(col) {
+    const { sort } = view;
+    let next = { col, dir: "asc" };
+    if (sort?.col === col) next = sort.dir === "asc" ? { col, dir: "desc" } : null;
+    setView({ ...view, sort: next });
+  }
 
-/* ---------- app ---------- */
+  function setFilter(col, filter) {
+    const filters = { ...view.filters };
+    if (filter) filters[col] = filter;
+    else delete filters[col];
+    setView({ ...view, filters });
+  }
 
-const EXAMPLE_TEXT = `Name | Age | City
-Alice | 24 | London
-Bob | 30 | Madrid
-Carla | 28 | Barcelona`;
+  function addStep(step) {
+    update((doc) => ({ steps: [...doc.steps, step] }));
+  }
 
-export default function App() {
-  const [text, setText] = useState("");
-  const [customDelimiter, setCustomDelimiter] = useState("");
+  function toggleStep(id) {
+    update((doc) => ({ steps: doc.steps.map((s) => (s.id === id ? { ...s, enabled: !s.enabled } : s)) }));
+  }
 
-  // Imported table (used for XLSX input)
-  const [importedTable, setImportedTable] = useState(null);
-  const [importedMeta, setImportedMeta] = useState("");
+  function removeStep(id) {
+    update((doc) => ({ steps: doc.steps.filter((s) => s.id !== id) }));
+  }
 
-  // Options (defaults ON)
-  const [excludeFirstRowExport, setExcludeFirstRowExport] = useState(false);
-  const [removeEmptyRowsOpt, setRemoveEmptyRowsOpt] = useState(true);
-  const [removeEmptyColsOpt, setRemoveEmptyColsOpt] = useState(true);
-  const [collapseSpacesOpt, setCollapseSpacesOpt] = useState(true);
+  // Option checkboxes switch their step on/off, adding it back if it was removed
+  function setOptionStep(type, on) {
+    update((doc) => {
+      const exists = doc.steps.some((s) => s.type === type);
+      if (!exists) return on ? { steps: [...doc.steps, createStep(type)] } : {};
+      return { steps: doc.steps.map((s) => (s.type === type ? { ...s, enabled: on } : s)) };
+    });
+  }
 
-  // Drag/drop state
-  const [isDragging, setIsDragging] = useState(false);
-  const [fileInfo, setFileInfo] = useState("");
-  const [fileError, setFileError] = useState("");
+  function setLocaleStep(locale) {
+    update((doc) => {
+      const others = doc.steps.filter((s) => s.type !== "locale");
+      if (!locale) return { steps: others };
+      const existing = doc.steps.find((s) => s.type === "locale");
+      if (!existing) return { steps: [...others, createStep("locale", { locale })] };
+      return { steps: doc.steps.map((s) => (s.type === "locale" ? { ...s, locale, enabled: true } : s)) };
+    });
+  }
 
-  const normalizedText = text.replace(/\r\n/g, "\n");
-  const hasAnyText = normalizedText.trim().length > 0;
+  const importedTable = useMemo(() => {
+    if (!importedSheets) return null;
+    if (sheetChoice === ALL_SHEETS) {
+      return stackSheets(importedSheets, {
+        sourceColumn: sheetSourceColumn,
+        sourceLabel: importedKind === "XLSX" ? "Sheet" : "Table",
+      });
+    }
+    return importedSheets[sheetChoice]?.table ?? null;
+  }, [importedSheets, importedKind, sheetChoice, sheetSourceColumn]);
+
+  const importedMeta = importedSheets
+    ? `${importedKind}: ${importedFileName} • ${importedKind === "XLSX" ? "Sheet" : "Table"}: ${
+        sheetChoice === ALL_SHEETS
+          ? `All sheets (${importedSheets.length})`
+          : importedSheets[sheetChoice]?.name
+      }`
+    : "";
+
+  const normalizedText = useMemo(() => text.replace(/\r\n/g, "\n"), [text]);
+  const hasAnyText = /\S/.test(normalizedText);
+  const textTooLong = text.length > TEXTAREA_MAX_CHARS;
+  const textLines = useMemo(
+    () => (showRuler ? normalizedText.split("\n").filter((l) => l.length > 0) : []),
+    [showRuler, normalizedText]
+  );
   const hasAnyInput = hasAnyText || (importedTable && importedTable.length > 0);
 
-  function applyCleaning(t) {
-    let out = t.map((row) => row.map((c) => normalizeCell(c, collapseSpacesOpt)));
-    if (removeEmptyRowsOpt) out = out.filter(rowHasAnyValue);
-    if (removeEmptyColsOpt) out = removeEmptyColumns(out);
-    return out;
-  }
-
   function loadTextFile(file) {
     setFileError("");
-    setImportedTable(null);
-    setImportedMeta("");
 
-    const maxBytes = 10 * 1024 * 1024; // 10 MB
-    if (file.size > maxBytes) {
-      setFileError("File too large. Please use a smaller file (≤ 10MB).");
+    if (file.size > MAX_TEXT_BYTES) {
+      setFileError(`File too large. Please use a smaller file (≤ ${MAX_TEXT_BYTES / MB}MB).`);
       return;
     }
 
     const ext = (file.name.split(".").pop() || "").toLowerCase();
-    if (!["csv", "txt"].includes(ext)) {
-      setFileError("Unsupported file type. Please drop a .csv or .txt file.");
+    if (!TEXT_EXTENSIONS.includes(ext)) {
+      setFileError("Unsupported file type. Please drop a .csv, .txt or .md file.");
       return;
     }
 
     const reader = new FileReader();
     reader.onload = () => {
-      const contents = reader.result?.toString() ?? "";
-      setText(contents);
-      setCustomDelimiter("");
-      setFileInfo(`Loaded: ${file.name}`);
+      const bytes = new Uint8Array(reader.result);
+      const detected = detectEncoding(bytes).encoding;
+      loadSource({
+        text: decodeText(bytes, detected).text,
+        textFile: { bytes, detected, encoding: detected },
+        sourceFileName: file.name,
+        fileInfo: `Loaded: ${file.name}`,
+      });
     };
     reader.onerror = () => setFileError("Could not read file.");
-    reader.readAsText(file);
+    reader.readAsArrayBuffer(file);
+  }
+
+  function redecodeTextFile(encoding) {
+    update((doc) => ({
+      source: {
+        ...doc.source,
+        text: decodeText(textFile.bytes, encoding).text,
+        textFile: { ...textFile, encoding },
+      },
+      parse: { ...doc.parse, candidate: "", columnBoundaries: null },
+    }));
   }
 
   function loadXlsxFile(file) {
     setFileError("");
-    setText("");
-    setCustomDelimiter("");
 
-    const maxBytes = 10 * 1024 * 1024; // 10 MB
-    if (file.size > maxBytes) {
-      setFileError("XLSX file too large. Please use ≤ 10MB or export a smaller CSV from Excel.");
+    if (file.size > MAX_XLSX_BYTES) {
+      setFileError(`XLSX file too large. Please use ≤ ${MAX_XLSX_BYTES / MB}MB or export a CSV from Excel.`);
       return;
     }
 
     const reader = new FileReader();
     reader.onload = () => {
-      try {
-        const data = reader.result;
-        const wb = XLSX.read(data, { type: "array" });
-        const firstSheetName = wb.SheetNames?.[0];
-        if (!firstSheetName) {
-          setFileError("Could not find a sheet in this XLSX.");
-          return;
-        }
-
-        const ws = wb.Sheets[firstSheetName];
-        const aoa = XLSX.utils.sheet_to_json(ws, {
-          header: 1,
-          raw: false,
-          blankrows: true,
-          defval: "",
-        });
-
-        const table = (Array.isArray(aoa) ? aoa : []).map((row) => {
-          const arr = Array.isArray(row) ? row : [row];
-          return arr.map((v) => (v ?? "").toString());
-        });
-
-        setImportedTable(table);
-        setImportedMeta(`XLSX: ${file.name} • Sheet: ${firstSheetName}`);
-        setFileInfo(`Loaded: ${file.name}`);
-      } catch {
-        setFileError("Could not read XLSX. Try saving as CSV and dropping that instead.");
-      }
+      const read = readSheetsInWorker(reader.result);
+      setReadingFile({ name: file.name, cancel: read.cancel });
+      read.promise
+        .then((sheets) => {
+          if (sheets.length === 0) {
+            setFileError("Could not find a sheet in this XLSX.");
+            return;
+          }
+          showImportedSheets("XLSX", file.name, sheets, { sourceFileName: file.name, fileInfo: `Loaded: ${file.name}` });
+        })
+        .catch(() => setFileError("Could not read XLSX. Try saving as CSV and dropping that instead."))
+        .finally(() => setReadingFile(null));
     };
     reader.onerror = () => setFileError("Could not read file.");
     reader.readAsArrayBuffer(file);
   }
 
+  function showImportedSheets(kind, name, sheets, extra = {}) {
+    loadSource({ sheets, kind, fileName: name, ...extra });
+    setExportAllSheets(false);
+  }
+
+  function loadHtmlFile(file) {
+    setFileError("");
+
+    if (file.size > MAX_HTML_BYTES) {
+      setFileError(`File too large. Please use a smaller file (≤ ${MAX_HTML_BYTES / MB}MB).`);
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const tables = parseHtmlTables(reader.result?.toString() ?? "");
+      if (tables.length === 0) {
+        setFileError("Could not find a <table> in this HTML file.");
+        return;
+      }
+      showImportedSheets("HTML", file.name, tables, { sourceFileName: file.name, fileInfo: `Loaded: ${file.name}` });
+    };
+    reader.onerror = () => setFileError("Could not read file.");
+    reader.readAsText(file);
+  }
+
   function loadFile(file) {
     const ext = (file.name.split(".").pop() || "").toLowerCase();
     if (ext === "xlsx") return loadXlsxFile(file);
-    if (ext === "csv" || ext === "txt") return loadTextFile(file);
-    setFileError("Unsupported file type. Please use .csv, .txt, or .xlsx.");
+    if (ext === "html" || ext === "htm") return loadHtmlFile(file);
+    if (TEXT_EXTENSIONS.includes(ext)) return loadTextFile(file);
+    setFileError("Unsupported file type. Please use .csv, .txt, .md, .html, or .xlsx.");
+  }
+
+  // Tables copied from web pages (and spreadsheets) arrive as HTML too
+  function handlePaste(e) {
+    const html = e.clipboardData?.getData("text/html");
+    if (!html || !looksLikeHtmlTable(html)) return;
+
+    const tables = parseHtmlTables(html);
+    if (tables.length === 0) return;
+
+    e.preventDefault();
+    setFileError("");
+    showImportedSheets("HTML", "pasted from clipboard", tables, {
+      pastedPlainText: e.clipboardData.getData("text/plain"),
+    });
   }
 
   function handleDrop(e) {
     e.preventDefault();
     e.stopPropagation();
     setIsDragging(false);
-    const file = e.dataTransfer?.files?.[0];
+    // With several files, the first is the table to clean and the rest can be appended or joined
+    const [file, ...others] = e.dataTransfer?.files ?? [];
     if (file) loadFile(file);
+    if (others.length > 0) addTableFiles(others);
   }
 
   function handleDragOver(e) {
@@ -302,58 +477,201 @@ export default function App() {
     setIsDragging(false);
   }
 
-  const { table, detected } = useMemo(() => {
-    if (importedTable && importedTable.length > 0) {
-      return { table: applyCleaning(importedTable), detected: "xlsx" };
-    }
+  const stepOptions = useMemo(() => stepCleanOptions(steps), [steps]);
+  const cleanOptions = useMemo(
+    () => ({
+      delimiter: customDelimiter,
+      candidate: delimiterChoice,
+      columnBoundaries,
+      ...stepOptions,
+      hasHeader: headerMode === "auto" ? undefined : headerMode === "yes",
+    }),
+    [customDelimiter, delimiterChoice, columnBoundaries, stepOptions, headerMode]
+  );
 
-    const lines = normalizedText.split("\n").filter((l) => l.length > 0);
+  const hasImportedTable = Boolean(importedTable && importedTable.length > 0);
+  const cleaning = useCleanTable(hasImportedTable ? importedTable : normalizedText, cleanOptions);
+  const { table, hasTable, boundaries, candidates, normalization } = cleaning.result;
+  const detected = hasImportedTable ? importedKind.toLowerCase() : cleaning.result.detected;
 
-    if (customDelimiter) {
-      const parsed = parseRowsSimple(lines, customDelimiter, collapseSpacesOpt);
-      return { table: applyCleaning(parsed), detected: `custom (${customDelimiter})` };
-    }
+  const stepRun = useMemo(() => applyTableSteps(table, steps, { tables }), [table, steps, tables]);
+  const editedTable = stepRun.table;
 
-    const looksLikeCSV =
-      lines.length > 0 &&
-      lines.some((r) => r.includes(",")) &&
-      !lines.some((r) => r.includes("|") || r.includes(";"));
+  const analysis = useMemo(
+    () => analyzeTable(editedTable, { hasHeader: cleanOptions.hasHeader }),
+    [editedTable, cleanOptions.hasHeader]
+  );
 
-    if (looksLikeCSV) {
-      const parsed = Papa.parse(normalizedText, { skipEmptyLines: true });
-      const raw = (Array.isArray(parsed.data) ? parsed.data : []).map((row) => {
-        const arr = Array.isArray(row) ? row : [row];
-        return arr.map((c) => (c ?? "").toString());
-      });
-      return { table: applyCleaning(raw), detected: "csv" };
+  const previewHeader = hasTable
+    ? analysis.hasHeader
+      ? analysis.types.map((_, j) => editedTable[0][j] ?? "")
+      : analysis.types.map((_, j) => `Column ${j + 1}`)
+    : null;
+  // Header of the parsed table, before any steps; recipes are matched on it
+  const parsedHeader = useMemo(() => (hasTable && analysis.hasHeader ? table[0] : []), [hasTable, analysis, table]);
+  const suggestedRecipe = useMemo(
+    () => (suggestionDone ? null : matchRecipe(recipes, parsedHeader)),
+    [suggestionDone, recipes, parsedHeader]
+  );
+
+  const viewActive = isViewActive(view);
+  const previewRows = useMemo(
+    () => (hasTable && viewActive ? viewRows(editedTable, view, analysis) : null),
+    [hasTable, viewActive, editedTable, view, analysis]
+  );
+  const bodyRowCount = hasTable ? editedTable.length - (analysis.hasHeader ? 1 : 0) : 0;
+  let previewBody = [];
+  if (previewRows) previewBody = previewRows.map((i) => editedTable[i]);
+  else if (hasTable) previewBody = analysis.hasHeader ? editedTable.slice(1) : editedTable;
+
+  const duplicateGroups = useMemo(
+    () => (dedupeDraft ? findDuplicates(editedTable, { ...dedupeDraft, hasHeader: analysis.hasHeader }) : []),
+    [dedupeDraft, editedTable, analysis.hasHeader]
+  );
+  const duplicateRowClasses = useMemo(() => {
+    const classes = new Map();
+    for (const rows of duplicateGroups) {
+      const kept = dedupeDraft.keep === "last" ? rows[rows.length - 1] : rows[0];
+      for (const r of rows) classes.set(r, r === kept ? "duplicateKept" : "duplicateRow");
+    }
+    return classes;
+  }, [duplicateGroups, dedupeDraft]);
+
+  const profile = useMemo(
+    () => (profileOpen && hasTable ? profileTable(editedTable, analysis) : null),
+    [profileOpen, hasTable, editedTable, analysis]
+  );
+  const showIssues = Boolean(profile && highlightIssues);
+  const validation = useMemo(
+    () =>
+      hasTable && schema.columns.length > 0
+        ? validateTable(editedTable, schema, { hasHeader: analysis.hasHeader })
+        : null,
+    [hasTable, schema, editedTable, analysis.hasHeader]
+  );
+  const cellIssues = useMemo(() => {
+    const issues = new Map();
+    for (const issue of showIssues ? profile.issues : []) {
+      if (issue.col !== null) issues.set(`${issue.row}:${issue.col}`, issue.message);
+    }
+    for (const v of validation?.violations ?? []) {
+      if (v.row !== null) issues.set(`${v.row}:${v.col}`, v.message);
     }
+    return issues;
+  }, [showIssues, profile, validation]);
+  const repairFixes = useMemo(
+    () => (repairSkipped && hasTable ? repairRaggedRows(editedTable, { hasHeader: analysis.hasHeader }).fixes : []),
+    [repairSkipped, hasTable, editedTable, analysis.hasHeader]
+  );
+  const rowClasses = useMemo(() => {
+    if (!showIssues && repairFixes.length === 0) return duplicateRowClasses;
+    const classes = new Map(duplicateRowClasses);
+    for (const fix of repairFixes) classes.set(fix.row, "repairRow");
+    for (const issue of showIssues ? profile.issues : []) {
+      if (issue.kind === "ragged" && !classes.has(issue.row)) classes.set(issue.row, "raggedRow");
+    }
+    return classes;
+  }, [showIssues, profile, repairFixes, duplicateRowClasses]);
+
+  // Issues can sit in rows the current view hides
+  function jumpToIssue(issue) {
+    if (previewRows && !previewRows.includes(issue.row)) setView(EMPTY_VIEW);
+    setJumpTo({ row: issue.row, col: issue.col, seq: (jumpTo?.seq ?? 0) + 1 });
+  }
 
-    const result = chooseBestTableSimple(lines, collapseSpacesOpt);
-    return { table: applyCleaning(result.table), detected: result.detected };
-  }, [
-    importedTable,
-    normalizedText,
-    customDelimiter,
-    removeEmptyRowsOpt,
-    removeEmptyColsOpt,
-    collapseSpacesOpt,
-  ]);
+  const viewExported = exportViewOnly && viewActive;
+
+  // The group-by summary covers the rows in view, filters and search included
+  const summaryOptions = useMemo(() => {
+    if (!groupBy) return null;
+    const width = previewHeader.length;
+    return {
+      keys: groupBy.keys.filter((j) => j < width),
+      aggregates: groupBy.aggregates.filter((a) => a.col < width),
+      hasHeader: analysis.hasHeader,
+    };
+  }, [groupBy, previewHeader.length, analysis.hasHeader]);
+  const summary = useMemo(() => {
+    if (!summaryOptions || !hasTable) return null;
+    return groupRows(viewActive ? applyView(editedTable, view, analysis) : editedTable, summaryOptions);
+  }, [summaryOptions, hasTable, viewActive, editedTable, view, analysis]);
+  const summaryExported = exportSummary && summary !== null;
+
+  const piiFlagged = useMemo(
+    () => (hasTable ? scanPii(editedTable, { hasHeader: analysis.hasHeader }) : []),
+    [hasTable, editedTable, analysis.hasHeader]
+  );
+  const unmaskedPii = piiFlagged.filter((f) => !findMask(piiMasks, previewHeader[f.col]));
+  // A summary's aggregate columns are new names, so masks are carried to them
+  const exportMasks = useMemo(
+    () => (summaryExported ? summaryMasks(editedTable, summaryOptions, piiMasks) : piiMasks),
+    [summaryExported, editedTable, summaryOptions, piiMasks]
+  );
 
-  const hasTable = table.length > 0 && table.some((r) => r.length > 1);
+  // Every export path reads this table: view or summary, then PII masks
+  const exportHasHeader = summaryExported || analysis.hasHeader;
+  const unmaskedExport = useMemo(() => {
+    if (summaryExported) return summary;
+    return viewExported ? applyView(editedTable, view, analysis) : editedTable;
+  }, [summaryExported, summary, viewExported, editedTable, view, analysis]);
+  const exportSource = useMemo(
+    () => maskTable(unmaskedExport, exportMasks, { hasHeader: exportHasHeader }),
+    [unmaskedExport, exportMasks, exportHasHeader]
+  );
+  const exportTable = useMemo(
+    () => (excludeFirstRowExport && exportSource.length > 0 ? exportSource.slice(1) : exportSource),
+    [exportSource, excludeFirstRowExport]
+  );
+  // The summary and masks change the columns, so their types are read again
+  const exportContext = useMemo(() => {
+    const retype = summaryExported || exportSource !== unmaskedExport;
+    const a = retype ? analyzeTable(exportSource, { hasHeader: exportHasHeader }) : analysis;
+    return { ...a, hasHeader: a.hasHeader && !excludeFirstRowExport };
+  }, [summaryExported, exportSource, unmaskedExport, exportHasHeader, analysis, excludeFirstRowExport]);
+  const exportAnalysis = typedXlsxOpt ? exportContext : null;
+  const defaultFileName = exportBaseName(sourceFileName);
+  const exportFileName = fileNameOverride.trim() || defaultFileName;
+
+  // Each sheet cleaned on its own, for the multi-sheet XLSX export
+  function cleanAllSheets() {
+    return importedSheets.map((sheet, i) => {
+      const sheetSteps = i === sheetChoice ? steps : [];
+      let cleaned = runTableSteps(cleanTable(sheet.table, cleanOptions).table, sheetSteps, { tables });
+      if (i === sheetChoice && viewExported) cleaned = applyView(cleaned, view, analysis);
+      if (i === sheetChoice && summaryExported) cleaned = summary;
+      const hasHeader = i === sheetChoice ? exportHasHeader : analyzeTable(cleaned).hasHeader;
+      cleaned = maskTable(cleaned, i === sheetChoice ? exportMasks : piiMasks, { hasHeader });
+      const sheetAnalysis = typedXlsxOpt ? analyzeTable(cleaned) : null;
+      return {
+        name: sheet.name,
+        table: excludeFirstRowExport ? cleaned.slice(1) : cleaned,
+        analysis: sheetAnalysis && { ...sheetAnalysis, hasHeader: sheetAnalysis.hasHeader && !excludeFirstRowExport },
+      };
+    });
+  }
 
-  const previewHeader = hasTable ? table[0] : null;
-  const previewBody = hasTable ? table.slice(1) : [];
+  // Schema violations warn before, or block, every export
+  function exportAllowed() {
+    const n = validation?.violations.length ?? 0;
+    if (n === 0) return true;
+    const violations = `${n} schema violation${n === 1 ? "" : "s"}`;
+    if (schema.onViolation === "block") {
+      alert(`Export blocked: ${violations}. Fix them, or download the violations CSV from Schema validation.`);
+      return false;
+    }
+    return window.confirm(`The table has ${violations}. Export anyway?`);
+  }
 
-  const exportTable = excludeFirstRowExport && table.length > 0 ? table.slice(1) : table;
+  function downloadViolations() {
+    const violations = violationsTable(validation.violations, { hasHeader: analysis.hasHeader, masks: piiMasks });
+    const csv = toCsv(violations, exportSettings);
+    downloadTextFile(`${exportFileName}.violations.csv`, finishTextFile(csv, exportSettings), "text/csv;charset=utf-8");
+  }
 
-  const cellWhiteSpace = collapseSpacesOpt ? "nowrap" : "pre";
+  const cellWhiteSpace = cleanOptions.collapseSpaces ? "nowrap" : "pre";
 
   function loadExample() {
-    setText(EXAMPLE_TEXT);
-    setCustomDelimiter("|");
-    setImportedTable(null);
-    setImportedMeta("");
-    setFileInfo("Loaded: example data");
+    loadSource({ text: EXAMPLE_TEXT, fileInfo: "Loaded: example data" }, { delimiter: "|" });
     setFileError("");
   }
 
@@ -407,40 +725,131 @@ export default function App() {
         </div>
 
         <div className="small" style={{ marginBottom: 10 }}>
-          Drag & drop a <strong>.csv</strong>, <strong>.txt</strong>, or <strong>.xlsx</strong> here, or{" "}
+          Drag & drop a <strong>.csv</strong>, <strong>.txt</strong>, <strong>.md</strong>, <strong>.html</strong>, or{" "}
+          <strong>.xlsx</strong> here, or{" "}
           <label style={{ textDecoration: "underline", cursor: "pointer" }}>
             choose a file
             <input
               type="file"
-              accept=".csv,.txt,.xlsx,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,text/csv,text/plain"
+              multiple
+              accept=".csv,.txt,.tsv,.md,.html,.htm,.xlsx,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,text/csv,text/plain,text/markdown,text/html"
               style={{ display: "none" }}
               onChange={(e) => {
-                const f = e.target.files?.[0];
+                const [f, ...others] = e.target.files ?? [];
                 if (f) loadFile(f);
+                if (others.length > 0) addTableFiles(others);
                 e.target.value = "";
               }}
             />
           </label>
-          .
+          . With several files, the first is cleaned and the others are kept to append or join.
         </div>
 
-        {fileInfo && <div className="small">{fileInfo}</div>}
+        {fileInfo && (
+          <div className="small">
+            {fileInfo}
+            {textFile && (
+              <>
+                {" • "}Encoding:
+                <select
+                  value={textFile.encoding}
+                  onChange={(e) => redecodeTextFile(e.target.value)}
+                  title="Re-read the file with another encoding if accents look garbled"
+                  style={{ padding: "2px 4px", marginLeft: 6 }}
+                >
+                  {Object.entries(ENCODINGS).map(([key, label]) => (
+                    <option key={key} value={key}>
+                      {label}
+                      {key === textFile.detected ? " (detected)" : ""}
+                    </option>
+                  ))}
+                </select>
+              </>
+            )}
+          </div>
+        )}
         {importedMeta && <div className="small">{importedMeta}</div>}
+        {pastedPlainText !== null && importedSheets && (
+          <div className="small" style={{ marginTop: 6 }}>
+            Pasted as an HTML table.{" "}
+            <button
+              onClick={() => loadSource({ text: pastedPlainText })}
+              style={{ marginLeft: 6, padding: "4px 8px" }}
+            >
+              Use plain text instead
+            </button>
+          </div>
+        )}
+        {importedSheets?.length > 1 && (
+          <SheetPicker
+            label={importedKind === "XLSX" ? "Sheet" : "Table"}
+            sheets={importedSheets}
+            value={sheetChoice}
+            onChange={(choice) =>
+              update((doc) => ({
+                source: { ...doc.source, sheetChoice: choice },
+                steps: stepsForNewInput(doc.steps),
+              }))
+            }
+            sourceColumn={sheetSourceColumn}
+            onSourceColumnChange={setSheetSourceColumn}
+            exportAll={exportAllSheets}
+            onExportAllChange={setExportAllSheets}
+          />
+        )}
         {fileError && (
           <div className="small" style={{ marginTop: 6 }}>
             <strong>Error:</strong> {fileError}
           </div>
         )}
 
+        {(readingFile || cleaning.pending) && (
+          <div className="small progressLine">
+            {readingFile
+              ? `${PROGRESS_STAGES.reading}: ${readingFile.name}…`
+              : `${PROGRESS_STAGES[cleaning.progress?.stage] ?? "Parsing"}…`}
+            <progress value={readingFile ? undefined : cleaning.progress?.share} max={1} />
+            <button
+              onClick={() => {
+                if (readingFile) {
+                  readingFile.cancel();
+                  setReadingFile(null);
+                } else {
+                  cleaning.cancel();
+                }
+              }}
+              style={{ padding: "4px 8px" }}
+            >
+              Cancel
+            </button>
+          </div>
+        )}
+        {cleaning.error && (
+          <div className="small" style={{ marginTop: 6 }}>
+            {cleaning.error} Change an option or load the file again to retry.
+          </div>
+        )}
+
         {/* ✅ textarea (overlay example button removed) */}
+        {textTooLong && (
+          <div className="small" style={{ marginTop: 6 }}>
+            Large input: the box shows the first {TEXTAREA_MAX_CHARS.toLocaleString()} characters and is read-only.
+            Everything is still parsed and exported.
+          </div>
+        )}
         <textarea
-          value={text}
+          value={textTooLong ? text.slice(0, TEXTAREA_MAX_CHARS) : text}
+          readOnly={textTooLong}
+          onPaste={handlePaste}
           onChange={(e) => {
-            setText(e.target.value);
-            if (importedTable) {
-              setImportedTable(null);
-              setImportedMeta("");
-            }
+            const value = e.target.value;
+            update(
+              (doc) => ({
+                source: { ...doc.source, text: value, sheets: null },
+                parse: { ...doc.parse, candidate: "", columnBoundaries: null },
+              }),
+              { group: "typing" }
+            );
           }}
           placeholder={`Paste here, e.g.
 Name | Age | City
@@ -452,6 +861,20 @@ Bob | 30 | Madrid`}
           <>
             <div className="small" style={{ marginTop: 10 }}>
               Detected delimiter: <strong>{detected}</strong>
+              {candidates.length > 1 && (
+                <span style={{ marginLeft: 10 }}>
+                  {candidates.slice(0, 4).map((c) => (
+                    <button
+                      key={c.name}
+                      className={`chip${c.name === detected ? " active" : ""}`}
+                      title={`${c.columns} columns`}
+                      onClick={() => setParse({ candidate: c.name, delimiter: "", columnBoundaries: null })}
+                    >
+                      {c.name} · {Math.round(c.confidence * 100)}%
+                    </button>
+                  ))}
+                </span>
+              )}
             </div>
 
             {!importedTable && (
@@ -460,22 +883,44 @@ Bob | 30 | Madrid`}
                 <input
                   type="text"
                   value={customDelimiter}
-                  onChange={(e) => setCustomDelimiter(e.target.value)}
+                  onChange={(e) =>
+                    setParse(
+                      { delimiter: e.target.value, candidate: "", columnBoundaries: null },
+                      { group: "delimiter" }
+                    )
+                  }
                   placeholder="e.g. |  or  ::"
                   style={{ width: 80, padding: "4px 6px", marginLeft: 6 }} // ✅ half width
                 />
-                <button onClick={() => setCustomDelimiter("")} style={{ marginLeft: 8, padding: "6px 10px" }}>
+                <button
+                  onClick={() => setParse(AUTO_PARSE)}
+                  style={{ marginLeft: 8, padding: "6px 10px" }}
+                >
                   Auto
                 </button>
+                <button onClick={() => setShowRuler((v) => !v)} style={{ marginLeft: 8, padding: "6px 10px" }}>
+                  {showRuler ? "Hide column ruler" : "Set fixed-width columns"}
+                </button>
               </div>
             )}
 
+            {!importedTable && showRuler && (
+              <FixedWidthRuler
+                lines={textLines}
+                boundaries={columnBoundaries ?? boundaries ?? []}
+                // Removing every boundary goes back to auto-detection
+                onChange={(b) =>
+                  setParse({ columnBoundaries: b.length > 0 ? b : null, delimiter: "" }, { group: "ruler" })
+                }
+              />
+            )}
+
             <div className="small" style={{ marginTop: 10 }}>
               <label style={{ marginRight: 14 }}>
                 <input
                   type="checkbox"
                   checked={excludeFirstRowExport}
-                  onChange={(e) => setExcludeFirstRowExport(e.target.checked)}
+                  onChange={(e) => update(() => ({ excludeFirstRow: e.target.checked }))}
                   style={{ marginRight: 6 }}
                 />
                 Exclude first row from export
@@ -484,8 +929,8 @@ Bob | 30 | Madrid`}
               <label style={{ marginRight: 14 }}>
                 <input
                   type="checkbox"
-                  checked={removeEmptyRowsOpt}
-                  onChange={(e) => setRemoveEmptyRowsOpt(e.target.checked)}
+                  checked={cleanOptions.removeEmptyRows}
+                  onChange={(e) => setOptionStep("removeEmptyRows", e.target.checked)}
                   style={{ marginRight: 6 }}
                 />
                 Remove empty rows
@@ -494,8 +939,8 @@ Bob | 30 | Madrid`}
               <label style={{ marginRight: 14 }}>
                 <input
                   type="checkbox"
-                  checked={removeEmptyColsOpt}
-                  onChange={(e) => setRemoveEmptyColsOpt(e.target.checked)}
+                  checked={cleanOptions.removeEmptyColumns}
+                  onChange={(e) => setOptionStep("removeEmptyColumns", e.target.checked)}
                   style={{ marginRight: 6 }}
                 />
                 Remove empty columns
@@ -504,47 +949,355 @@ Bob | 30 | Madrid`}
               <label>
                 <input
                   type="checkbox"
-                  checked={collapseSpacesOpt}
-                  onChange={(e) => setCollapseSpacesOpt(e.target.checked)}
+                  checked={cleanOptions.collapseSpaces}
+                  onChange={(e) => setOptionStep("collapseSpaces", e.target.checked)}
                   style={{ marginRight: 6 }}
                 />
                 Collapse spaces in cells
               </label>
             </div>
+
+            <div className="small" style={{ marginTop: 6 }}>
+              First row is a header:&nbsp;
+              <select
+                value={headerMode}
+                onChange={(e) => update(() => ({ headerMode: e.target.value }))}
+                style={{ padding: "4px 6px", marginLeft: 6, marginRight: 14 }}
+              >
+                <option value="auto">Auto ({analysis.hasHeader ? "yes" : "no"})</option>
+                <option value="yes">Yes</option>
+                <option value="no">No</option>
+              </select>
+
+              <label>
+                <input
+                  type="checkbox"
+                  checked={typedXlsxOpt}
+                  onChange={(e) => setTypedXlsxOpt(e.target.checked)}
+                  style={{ marginRight: 6 }}
+                />
+                Write numbers and dates as values in XLSX
+              </label>
+            </div>
+
+            <div className="small" style={{ marginTop: 6 }}>
+              Normalise numbers &amp; dates from:&nbsp;
+              <select
+                value={cleanOptions.locale}
+                onChange={(e) => setLocaleStep(e.target.value)}
+                style={{ padding: "4px 6px", marginLeft: 6 }}
+              >
+                <option value="">Off (keep as typed)</option>
+                <option value="auto">Auto-guess</option>
+                {Object.entries(LOCALES).map(([key, l]) => (
+                  <option key={key} value={key}>
+                    {l.label}
+                  </option>
+                ))}
+              </select>
+              {normalization && cleanOptions.locale === "auto" && (
+                <span style={{ marginLeft: 8 }}>
+                  Guessed: <strong>{LOCALES[normalization.locale].label}</strong>
+                </span>
+              )}
+            </div>
+
+            {normalization?.ambiguous.length > 0 && (
+              <div className="small" style={{ marginTop: 6 }}>
+                <strong>{normalization.ambiguous.length} ambiguous cell(s) left unchanged.</strong> Pick the source
+                format above to convert them.
+                <ul style={{ margin: "4px 0 0", paddingLeft: 18 }}>
+                  {normalization.ambiguous.slice(0, 10).map((a) => (
+                    <li key={`${a.row}-${a.col}`}>
+                      Row {a.row + 1}, {analysis.hasHeader ? table[0][a.col] : `Column ${a.col + 1}`}: “{a.value}”
+                      could be {a.readings.join(" or ")}
+                    </li>
+                  ))}
+                  {normalization.ambiguous.length > 10 && <li>…and {normalization.ambiguous.length - 10} more</li>}
+                </ul>
+              </div>
+            )}
           </>
         )}
 
+        {(hasAnyInput || history.canUndo) && (
+          <StepList
+            detected={hasAnyInput ? detected : "nothing yet"}
+            steps={steps}
+            skipped={stepRun.skipped}
+            onToggle={toggleStep}
+            onRemove={removeStep}
+            canUndo={history.canUndo}
+            canRedo={history.canRedo}
+            onUndo={history.undo}
+            onRedo={history.redo}
+          />
+        )}
+
+        {suggestedRecipe && (
+          <div className="small transformPanel">
+            This table's header matches your recipe <strong>{suggestedRecipe.name}</strong>.
+            <button onClick={() => applyRecipe(suggestedRecipe)} style={{ marginLeft: 8, padding: "4px 8px" }}>
+              Apply recipe
+            </button>
+            <button onClick={() => setSuggestionDone(true)} style={{ marginLeft: 6, padding: "4px 8px" }}>
+              Dismiss
+            </button>
+          </div>
+        )}
+
+        <RecipePanel
+          recipes={recipes}
+          canSave={hasTable}
+          onSave={saveRecipe}
+          onApply={applyRecipe}
+          onDelete={(name) => setRecipes(recipes.filter((r) => r.name !== name))}
+          onExport={(recipe) =>
+            downloadTextFile(
+              `${recipe.name.replace(/[\\/:*?"<>|]+/g, "_")}.recipe.json`,
+              JSON.stringify(recipe, null, 2),
+              "application/json"
+            )
+          }
+          onImport={addRecipe}
+        />
+
+        <TablesPanel
+          tables={tables}
+          current={editedTable}
+          hasHeader={analysis.hasHeader}
+          onAddFiles={addTableFiles}
+          onRemove={(name) => update((doc) => ({ tables: doc.tables.filter((t) => t.name !== name) }))}
+          onAppend={(name) => addStep(createStep("append", { table: name, hasHeader: analysis.hasHeader }))}
+          onJoin={(name, join, columns) => addStep(createStep("join", { table: name, join, columns }))}
+        />
+
         {hasTable ? (
           <>
-            <div className="tableWrap" style={{ marginTop: 14 }}>
-              <table>
-                <thead>
-                  <tr>
-                    {previewHeader.map((cell, j) => (
-                      <th key={`h-${j}`} style={{ whiteSpace: cellWhiteSpace }}>
-                        {cell}
-                      </th>
-                    ))}
-                  </tr>
-                </thead>
-                <tbody>
-                  {previewBody.map((row, i) => (
-                    <tr key={i}>
-                      {row.map((cell, j) => (
-                        <td key={j} style={{ whiteSpace: cellWhiteSpace }}>
-                          {cell}
-                        </td>
-                      ))}
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
+            <div className="small" style={{ marginTop: 14 }}>
+              Click a cell to edit it, drag a column header to move it, or use ⋯ to split, merge or reformat a column.
+              <button
+                onClick={() => setDedupeDraft(dedupeDraft ? null : DEFAULT_DEDUPE)}
+                style={{ marginLeft: 8, padding: "4px 8px" }}
+              >
+                {dedupeDraft ? "Hide duplicates" : "Find duplicates"}
+              </button>
+              <button
+                onClick={() => setRepairSkipped(repairSkipped ? null : [])}
+                style={{ marginLeft: 8, padding: "4px 8px" }}
+              >
+                {repairSkipped ? "Hide ragged rows" : "Repair ragged rows"}
+              </button>
+              <button onClick={() => setReshapeOpen(!reshapeOpen)} style={{ marginLeft: 8, padding: "4px 8px" }}>
+                Pivot / unpivot…
+              </button>
+              <button onClick={() => setComputeOpen(!computeOpen)} style={{ marginLeft: 8, padding: "4px 8px" }}>
+                Add computed column…
+              </button>
+              <button
+                onClick={() => {
+                  setGroupBy(groupBy ? null : { keys: [0], aggregates: [{ col: previewHeader.length - 1, fn: "sum" }] });
+                  setExportSummary(false);
+                }}
+                style={{ marginLeft: 8, padding: "4px 8px" }}
+              >
+                {groupBy ? "Hide summary" : "Group by…"}
+              </button>
+              {history.canUndo && " Ctrl+Z undoes the last change."}
+            </div>
+
+            <div className="small viewBar">
+              <input
+                type="search"
+                value={view.search}
+                onChange={(e) => setView({ ...view, search: e.target.value })}
+                placeholder="Search all cells"
+                style={{ padding: "6px 8px", width: 220 }}
+              />
+              <button onClick={() => setShowFilters(!showFilters)} style={{ padding: "4px 8px" }}>
+                {showFilters ? "Hide filters" : "Filter columns"}
+              </button>
+              {viewActive && (
+                <>
+                  <span>
+                    Showing {previewBody.length} of {bodyRowCount} rows
+                    {view.sort && `, sorted by ${previewHeader[view.sort.col] || `column ${view.sort.col + 1}`}`}
+                  </span>
+                  <button onClick={() => setView(EMPTY_VIEW)} style={{ padding: "4px 8px" }}>
+                    Reset view
+                  </button>
+                </>
+              )}
+              <label>
+                <input
+                  type="checkbox"
+                  checked={exportViewOnly}
+                  onChange={(e) => setExportViewOnly(e.target.checked)}
+                  style={{ marginRight: 6 }}
+                />
+                Export only the filtered/sorted view
+              </label>
+            </div>
+
+            {transformCol !== null && transformCol < previewHeader.length && (
+              <ColumnTransforms
+                key={transformCol}
+                col={transformCol}
+                columns={previewHeader}
+                hasHeader={analysis.hasHeader}
+                onApply={(transform) => {
+                  const column = previewHeader[transformCol];
+                  const withColumn = transform.op === "merge" ? previewHeader[transform.with] : undefined;
+                  addStep(createStep("transform", { transform, column, withColumn }));
+                  setTransformCol(null);
+                }}
+                onClose={() => setTransformCol(null)}
+              />
+            )}
+
+            {dedupeDraft && (
+              <DedupePanel
+                options={dedupeDraft}
+                onChange={setDedupeDraft}
+                columns={previewHeader}
+                groups={duplicateGroups}
+                onApply={() => {
+                  const dedupe = {
+                    ...dedupeDraft,
+                    keys: dedupeDraft.keys.filter((j) => j < previewHeader.length),
+                    hasHeader: analysis.hasHeader,
+                  };
+                  const columns = dedupe.keys.map((j) => previewHeader[j]).join(", ");
+                  addStep(createStep("dedupe", { dedupe, columns }));
+                  setDedupeDraft(null);
+                }}
+                onClose={() => setDedupeDraft(null)}
+              />
+            )}
+
+            {repairSkipped && (
+              <RepairPanel
+                fixes={repairFixes}
+                skipped={repairSkipped}
+                offset={analysis.hasHeader ? 1 : 0}
+                onToggle={(row) =>
+                  setRepairSkipped(
+                    repairSkipped.includes(row) ? repairSkipped.filter((r) => r !== row) : [...repairSkipped, row]
+                  )
+                }
+                onApply={() => {
+                  const rows = repairFixes.map((f) => f.row).filter((r) => !repairSkipped.includes(r));
+                  addStep(createStep("repair", { repair: { hasHeader: analysis.hasHeader, rows } }));
+                  setRepairSkipped(null);
+                }}
+                onClose={() => setRepairSkipped(null)}
+              />
+            )}
+
+            {reshapeOpen && (
+              <ReshapePanel
+                table={editedTable}
+                columns={previewHeader}
+                hasHeader={analysis.hasHeader}
+                onApply={(reshape, columns) => {
+                  addStep(createStep("reshape", { reshape, columns }));
+                  setReshapeOpen(false);
+                }}
+                onClose={() => setReshapeOpen(false)}
+              />
+            )}
+
+            {computeOpen && (
+              <ComputePanel
+                table={editedTable}
+                columns={previewHeader}
+                hasHeader={analysis.hasHeader}
+                onApply={(compute) => {
+                  addStep(createStep("compute", { compute }));
+                  setComputeOpen(false);
+                }}
+                onClose={() => setComputeOpen(false)}
+              />
+            )}
+
+            {groupBy && (
+              <GroupByPanel
+                options={groupBy}
+                onChange={setGroupBy}
+                columns={previewHeader}
+                summary={summary}
+                exported={exportSummary}
+                onExportedChange={setExportSummary}
+                onClose={() => {
+                  setGroupBy(null);
+                  setExportSummary(false);
+                }}
+              />
+            )}
+
+            <ProfilePanel
+              profile={profile}
+              columns={previewHeader}
+              offset={analysis.hasHeader ? 1 : 0}
+              onOpen={setProfileOpen}
+              highlight={highlightIssues}
+              onHighlightChange={setHighlightIssues}
+              onJump={jumpToIssue}
+            />
+
+            <PiiPanel flagged={piiFlagged} masks={piiMasks} columns={previewHeader} onChange={setPiiMasks} />
+
+            <SchemaPanel
+              schema={schema}
+              onChange={setSchema}
+              header={previewHeader}
+              validation={validation}
+              offset={analysis.hasHeader ? 1 : 0}
+              onFromHeader={() => setSchema({ ...schemaFromHeader(previewHeader), onViolation: schema.onViolation })}
+              onJump={jumpToIssue}
+              onDownloadViolations={downloadViolations}
+              onExportSchema={() =>
+                downloadTextFile(
+                  `${exportFileName}.schema.json`,
+                  JSON.stringify(schema, null, 2),
+                  "application/json;charset=utf-8"
+                )
+              }
+            />
+
+            <div className="tableWrap" style={{ marginTop: 8 }}>
+              <EditableGrid
+                header={previewHeader}
+                body={previewBody}
+                rowIndexes={previewRows}
+                hasHeader={analysis.hasHeader}
+                types={analysis.types}
+                whiteSpace={cellWhiteSpace}
+                onEdit={(edit) => addStep(createStep("edit", { edit }))}
+                onColumnMenu={setTransformCol}
+                rowClasses={rowClasses}
+                cellIssues={cellIssues}
+                jumpTo={jumpTo}
+                sort={view.sort}
+                onSort={cycleSort}
+                filters={showFilters ? view.filters : undefined}
+                onFilterChange={setFilter}
+                search={view.search}
+              />
             </div>
 
+            {unmaskedPii.length > 0 && (
+              <div className="small" style={{ marginTop: 10 }}>
+                Likely personal data in {unmaskedPii.map((f) => previewHeader[f.col]).join(", ")}. Mask it under Personal
+                data before sharing.
+              </div>
+            )}
+
             <div className="actions">
               <button
                 onClick={() => {
-                  const tsv = exportTable.map((r) => r.join("\t")).join("\n");
+                  if (!exportAllowed()) return;
+                  const tsv = toTsv(exportTable);
                   navigator.clipboard.writeText(tsv);
                   trackTableCleanedConversion();
                   alert("Copied! Now paste into Excel or Google Sheets.");
@@ -555,7 +1308,11 @@ Bob | 30 | Madrid`}
 
               <button
                 onClick={() => {
-                  const md = toMarkdownTable(exportTable);
+                  if (!exportAllowed()) return;
+                  const md = toMarkdownTable(exportTable, {
+                    align: exportSettings.markdownAlign,
+                    types: exportContext.types,
+                  });
                   navigator.clipboard.writeText(md);
                   trackTableCleanedConversion();
                   alert("Copied as Markdown table!");
@@ -566,8 +1323,14 @@ Bob | 30 | Madrid`}
 
               <button
                 onClick={() => {
-                  const csv = Papa.unparse(exportTable);
-                  downloadTextFile("table.csv", csv, "text/csv;charset=utf-8");
+                  if (!exportAllowed()) return;
+                  const csv = toCsv(exportTable, exportSettings);
+                  const ext = exportSettings.delimiter === "\t" ? "tsv" : "csv";
+                  downloadTextFile(
+                    `${exportFileName}.${ext}`,
+                    finishTextFile(csv, exportSettings),
+                    `text/${ext === "tsv" ? "tab-separated-values" : "csv"};charset=utf-8`
+                  );
                   trackTableCleanedConversion();
                 }}
               >
@@ -576,10 +1339,12 @@ Bob | 30 | Madrid`}
 
               <button
                 onClick={() => {
-                  const ws = XLSX.utils.aoa_to_sheet(exportTable);
-                  const wb = XLSX.utils.book_new();
-                  XLSX.utils.book_append_sheet(wb, ws, "Table");
-                  XLSX.writeFile(wb, "table.xlsx");
+                  if (!exportAllowed()) return;
+                  const wb =
+                    exportAllSheets && importedSheets?.length > 1
+                      ? buildMultiSheetWorkbook(cleanAllSheets())
+                      : buildWorkbook(exportTable, "Table", exportAnalysis);
+                  XLSX.writeFile(wb, `${exportFileName}.xlsx`);
                   trackTableCleanedConversion();
                 }}
               >
@@ -588,21 +1353,33 @@ Bob | 30 | Madrid`}
 
               <button
                 onClick={() => {
-                  setText("");
-                  setCustomDelimiter("");
-                  setImportedTable(null);
-                  setImportedMeta("");
-                  setFileInfo("");
+                  history.set(initialDocument());
+                  setFileNameOverride("");
                   setFileError("");
-                  setExcludeFirstRowExport(false);
-                  setRemoveEmptyRowsOpt(true);
-                  setRemoveEmptyColsOpt(true);
-                  setCollapseSpacesOpt(true);
+                  setTypedXlsxOpt(true);
                 }}
+                title="Clear the input and reset every option (Ctrl+Z brings it back)"
               >
                 Clear all
               </button>
             </div>
+
+            <ExportSettings
+              settings={exportSettings}
+              onChange={setExportSettings}
+              fileName={fileNameOverride}
+              onFileNameChange={setFileNameOverride}
+              defaultFileName={defaultFileName}
+            />
+
+            <ExportFormats
+              table={exportTable}
+              context={exportContext}
+              fileName={exportFileName}
+              textOptions={exportSettings}
+              canExport={exportAllowed}
+              onExport={trackTableCleanedConversion}
+            />
           </>
         ) : (
           hasAnyInput && (
@@ -640,15 +1417,20 @@ Bob | 30 | Madrid`}
         <div style={{ marginBottom: 12 }}>
           <div style={{ fontWeight: 700, marginBottom: 4 }}>What file types are supported?</div>
           <div style={{ color: "rgba(255,255,255,0.78)", lineHeight: 1.5 }}>
-            You can paste text or drop <strong>.csv</strong>, <strong>.txt</strong>, or <strong>.xlsx</strong> files.
-            For XLSX files, only the first sheet is used.
+            You can paste text, Markdown or "+----+" grid tables, or tables copied from web pages, or drop{" "}
+            <strong>.csv</strong>, <strong>.txt</strong>, <strong>.md</strong>, <strong>.html</strong>, or{" "}
+            <strong>.xlsx</strong> files.
+            For XLSX files with several sheets, you can pick one, stack them all into one table, or export every
+            cleaned sheet into one workbook. Text files in UTF-8, UTF-16, Windows-1252, ISO-8859 or Shift-JIS are
+            recognised automatically; if accents still look wrong, pick another encoding next to the file name.
           </div>
         </div>
 
         <div>
           <div style={{ fontWeight: 700, marginBottom: 4 }}>Is there a size limit?</div>
           <div style={{ color: "rgba(255,255,255,0.78)", lineHeight: 1.5 }}>
-            Yes — files up to 10MB are supported. For very large spreadsheets, export a smaller CSV first.
+            Text and CSV files up to {MAX_TEXT_BYTES / MB}MB and XLSX files up to {MAX_XLSX_BYTES / MB}MB are
+            supported. Large files are parsed in the background, so the page stays responsive and you can cancel.
           </div>
         </div>
       </div>
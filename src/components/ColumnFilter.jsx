@@ -0,0 +1,35 @@
+import { FILTER_MODES } from "../lib/view";
+
+const inputStyle = { padding: "2px 4px", width: "100%", minWidth: 50, boxSizing: "border-box" };
+
+// One cell of the grid's filter row; `onChange(null)` clears the filter
+export default function ColumnFilter({ filter, onChange }) {
+  const mode = filter?.mode ?? "";
+  const set = (key) => (e) => onChange({ ...filter, [key]: e.target.value });
+
+  return (
+    <div className="columnFilter">
+      <select
+        value={mode}
+        onChange={(e) => onChange(e.target.value ? { mode: e.target.value, value: "", min: "", max: "" } : null)}
+        style={inputStyle}
+      >
+        <option value="">All</option>
+        {Object.entries(FILTER_MODES).map(([key, label]) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {(mode === "contains" || mode === "equals") && (
+        <input type="text" value={filter.value} onChange={set("value")} placeholder="text" style={inputStyle} />
+      )}
+      {mode === "range" && (
+        <>
+          <input type="text" value={filter.min} onChange={set("min")} placeholder="from" style={inputStyle} />
+          <input type="text" value={filter.max} onChange={set("max")} placeholder="to" style={inputStyle} />
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+import { useState } from "react";
+import { TRANSFORM_OPS, replacePattern } from "../lib/transforms";
+
+const inputStyle = { padding: "4px 6px", marginLeft: 6, marginRight: 14 };
+
+// Panel for one column's transforms; `onApply` gets the transform to add as a step
+export default function ColumnTransforms({ col, columns, hasHeader, onApply, onClose }) {
+  const [op, setOp] = useState("split");
+  const [separator, setSeparator] = useState(",");
+  const [parts, setParts] = useState(2);
+  const [mergeWith, setMergeWith] = useState(col + 1 < columns.length ? col + 1 : 0);
+  const [mergeSeparator, setMergeSeparator] = useState(" ");
+  const [caseMode, setCaseMode] = useState("title");
+  const [width, setWidth] = useState(5);
+  const [find, setFind] = useState("");
+  const [replace, setReplace] = useState("");
+  const [regex, setRegex] = useState(false);
+  const [ignoreCase, setIgnoreCase] = useState(false);
+
+  let patternError = "";
+  if (op === "replace" && regex && find) {
+    try {
+      replacePattern({ find, regex, ignoreCase });
+    } catch (e) {
+      patternError = e.message;
+    }
+  }
+
+  const canApply =
+    (op !== "split" || separator !== "") &&
+    (op !== "merge" || mergeWith !== col) &&
+    (op !== "replace" || (find !== "" && !patternError));
+
+  function apply() {
+    const params = {
+      split: { separator, parts: Number(parts) || 2 },
+      merge: { with: mergeWith, separator: mergeSeparator },
+      case: { mode: caseMode },
+      padZeros: { width: Number(width) || 0 },
+      replace: { find, replace, regex, ignoreCase },
+    }[op];
+    onApply({ op, col, hasHeader, ...params });
+  }
+
+  return (
+    <div className="small transformPanel">
+      <strong>{columns[col] || `Column ${col + 1}`}</strong>:
+      <select value={op} onChange={(e) => setOp(e.target.value)} style={inputStyle}>
+        {Object.entries(TRANSFORM_OPS).map(([key, label]) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+
+      {op === "split" && (
+        <>
+          at
+          <input
+            type="text"
+            value={separator}
+            onChange={(e) => setSeparator(e.target.value)}
+            style={{ ...inputStyle, width: 50 }}
+          />
+          into
+          <input
+            type="number"
+            min={2}
+            max={20}
+            value={parts}
+            onChange={(e) => setParts(e.target.value)}
+            style={{ ...inputStyle, width: 56 }}
+          />
+          columns
+        </>
+      )}
+
+      {op === "merge" && (
+        <>
+          with
+          <select value={mergeWith} onChange={(e) => setMergeWith(Number(e.target.value))} style={inputStyle}>
+            {columns.map((name, j) =>
+              j === col ? null : (
+                <option key={j} value={j}>
+                  {name || `Column ${j + 1}`}
+                </option>
+              )
+            )}
+          </select>
+          separated by
+          <input
+            type="text"
+            value={mergeSeparator}
+            onChange={(e) => setMergeSeparator(e.target.value)}
+            style={{ ...inputStyle, width: 50 }}
+          />
+        </>
+      )}
+
+      {op === "case" && (
+        <select value={caseMode} onChange={(e) => setCaseMode(e.target.value)} style={inputStyle}>
+          <option value="title">Title Case</option>
+          <option value="upper">UPPER CASE</option>
+          <option value="lower">lower case</option>
+        </select>
+      )}
+
+      {op === "padZeros" && (
+        <>
+          to
+          <input
+            type="number"
+            min={1}
+            max={30}
+            value={width}
+            onChange={(e) => setWidth(e.target.value)}
+            style={{ ...inputStyle, width: 56 }}
+          />
+          digits
+        </>
+      )}
+
+      {op === "replace" && (
+        <>
+          <input
+            type="text"
+            value={find}
+            onChange={(e) => setFind(e.target.value)}
+            placeholder="find"
+            style={{ ...inputStyle, width: 120 }}
+          />
+          with
+          <input
+            type="text"
+            value={replace}
+            onChange={(e) => setReplace(e.target.value)}
+            placeholder={regex ? "e.g. $2 $1" : "replacement"}
+            style={{ ...inputStyle, width: 120 }}
+          />
+          <label style={{ marginRight: 10 }}>
+            <input
+              type="checkbox"
+              checked={regex}
+              onChange={(e) => setRegex(e.target.checked)}
+              style={{ marginRight: 4 }}
+            />
+            Regex
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={ignoreCase}
+              onChange={(e) => setIgnoreCase(e.target.checked)}
+              style={{ marginRight: 4 }}
+            />
+            Ignore case
+          </label>
+          {patternError && <div>Invalid pattern: {patternError}</div>}
+        </>
+      )}
+
+      <div style={{ marginTop: 8 }}>
+        <button onClick={apply} disabled={!canApply} style={{ padding: "6px 10px" }}>
+          Apply
+        </button>
+        <button onClick={onClose} style={{ marginLeft: 8, padding: "6px 10px" }}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
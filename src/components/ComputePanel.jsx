@@ -0,0 +1,70 @@
+import { useMemo, useState } from "react";
+import { FUNCTIONS, compileExpression } from "../lib/expression";
+
+const PREVIEW_ROWS = 3;
+
+const columnRef = (name) => (/^[\p{L}_][\p{L}\p{N}_.]*$/u.test(name) ? name : `[${name}]`);
+
+// Adds a column computed from an expression (lib/expression.js), previewing the first results
+export default function ComputePanel({ table, columns: names, hasHeader, onApply, onClose }) {
+  const columns = useMemo(() => names.map((name, j) => (hasHeader ? name : `Column ${j + 1}`)), [names, hasHeader]);
+  const [name, setName] = useState("");
+  const [expression, setExpression] = useState("");
+
+  const compiled = useMemo(() => {
+    if (!expression.trim()) return { error: "" };
+    try {
+      const evaluate = compileExpression(expression, columns);
+      const rows = table.slice(hasHeader ? 1 : 0, (hasHeader ? 1 : 0) + PREVIEW_ROWS);
+      return { results: rows.map(evaluate) };
+    } catch (e) {
+      return { error: e.message };
+    }
+  }, [expression, columns, table, hasHeader]);
+
+  return (
+    <div className="small transformPanel">
+      <strong>Computed column</strong>
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Name, e.g. Total"
+        style={{ padding: "4px 6px", marginLeft: 8, width: 140 }}
+      />
+      =
+      <input
+        type="text"
+        value={expression}
+        onChange={(e) => setExpression(e.target.value)}
+        placeholder='e.g. [Unit price] * Qty or if(Qty > 10, "bulk", "")'
+        spellCheck={false}
+        style={{ padding: "4px 6px", marginLeft: 6, width: 360, fontFamily: "monospace" }}
+      />
+
+      <div style={{ marginTop: 6 }}>
+        Columns: {columns.map(columnRef).join(", ")}. Operators: {"+ - * / %"} for numbers, & joins text,{" "}
+        {"= != < <= > >="}, and, or, not. Functions: if, {Object.keys(FUNCTIONS).join(", ")}.
+      </div>
+      {compiled.error && <div style={{ marginTop: 6 }}>{compiled.error}</div>}
+      {compiled.results && (
+        <div style={{ marginTop: 6 }}>
+          First results: {compiled.results.map((v) => `“${v}”`).join(", ") || "no rows"}
+        </div>
+      )}
+
+      <div style={{ marginTop: 8 }}>
+        <button
+          onClick={() => onApply({ name: name.trim() || "Computed", expression: expression.trim(), hasHeader })}
+          disabled={!compiled.results}
+          style={{ padding: "6px 10px" }}
+        >
+          Add column
+        </button>
+        <button onClick={onClose} style={{ marginLeft: 8, padding: "6px 10px" }}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+const KEEP_OPTIONS = [
+  { value: "first", label: "Keep first" },
+  { value: "last", label: "Keep last" },
+  { value: "merge", label: "Merge (fill blanks from duplicates)" },
+];
+
+// Duplicate-finding options; the preview highlights matches while this is open
+export default function DedupePanel({ options, onChange, columns, groups, onApply, onClose }) {
+  const set = (key) => (value) => onChange({ ...options, [key]: value });
+  const duplicateRows = groups.reduce((n, g) => n + g.length - 1, 0);
+
+  function toggleKey(j) {
+    const keys = options.keys.includes(j) ? options.keys.filter((k) => k !== j) : [...options.keys, j];
+    set("keys")(keys.sort((a, b) => a - b));
+  }
+
+  const checkbox = (key, label) => (
+    <label style={{ marginRight: 14 }}>
+      <input
+        type="checkbox"
+        checked={options[key]}
+        onChange={(e) => set(key)(e.target.checked)}
+        style={{ marginRight: 6 }}
+      />
+      {label}
+    </label>
+  );
+
+  return (
+    <div className="small transformPanel">
+      <div>
+        <strong>Duplicates</strong> — compare by {options.keys.length === 0 ? "all columns" : "the ticked columns"}:
+      </div>
+      <div style={{ marginTop: 4 }}>
+        {columns.map((name, j) => (
+          <label key={j} style={{ marginRight: 12, whiteSpace: "nowrap" }}>
+            <input
+              type="checkbox"
+              checked={options.keys.includes(j)}
+              onChange={() => toggleKey(j)}
+              style={{ marginRight: 4 }}
+            />
+            {name || `Column ${j + 1}`}
+          </label>
+        ))}
+      </div>
+
+      <div style={{ marginTop: 6 }}>
+        Ignore: {checkbox("ignoreCase", "case")}
+        {checkbox("ignoreWhitespace", "whitespace")}
+        {checkbox("ignorePunctuation", "punctuation")}
+      </div>
+
+      <div style={{ marginTop: 6 }}>
+        <label style={{ marginRight: 8 }}>
+          <input
+            type="checkbox"
+            checked={options.similarity < 1}
+            onChange={(e) => set("similarity")(e.target.checked ? 0.9 : 1)}
+            style={{ marginRight: 6 }}
+          />
+          Fuzzy match
+        </label>
+        {options.similarity < 1 && (
+          <>
+            <input
+              type="range"
+              min={50}
+              max={99}
+              value={Math.round(options.similarity * 100)}
+              onChange={(e) => set("similarity")(Number(e.target.value) / 100)}
+              style={{ verticalAlign: "middle" }}
+            />
+            <span style={{ marginLeft: 6 }}>{Math.round(options.similarity * 100)}% similar</span>
+          </>
+        )}
+      </div>
+
+      <div style={{ marginTop: 6 }}>
+        <select value={options.keep} onChange={(e) => set("keep")(e.target.value)} style={{ padding: "4px 6px" }}>
+          {KEEP_OPTIONS.map((o) => (
+            <option key={o.value} value={o.value}>
+              {o.label}
+            </option>
+          ))}
+        </select>
+        <span style={{ marginLeft: 10 }}>
+          {duplicateRows === 0
+            ? "No duplicates found."
+            : `${duplicateRows} duplicate row(s) in ${groups.length} group(s), highlighted below.`}
+        </span>
+      </div>
+
+      <div style={{ marginTop: 8 }}>
+        <button onClick={onApply} disabled={duplicateRows === 0} style={{ padding: "6px 10px" }}>
+          Remove duplicates
+        </button>
+        <button onClick={onClose} style={{ marginLeft: 8, padding: "6px 10px" }}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,305 @@
+import { useEffect, useRef, useState } from "react";
+import ColumnFilter from "./ColumnFilter";
+
+const SORT_ICONS = { asc: "▲", desc: "▼" };
+
+// Past these sizes only the rows/columns in view are rendered. Virtual rows
+// are one line high and virtual columns have a fixed width.
+const VIRTUAL_ROWS = 200;
+const VIRTUAL_COLUMNS = 30;
+const ROW_HEIGHT = 37;
+const COLUMN_WIDTH = 160;
+const GUTTER_WIDTH = 72;
+
+// Items to render for a scroll position, and the space left for the rest
+function visibleRange(count, size, offset, viewport, overscan) {
+  const start = Math.max(0, Math.floor(offset / size) - overscan);
+  const end = Math.min(count, Math.ceil((offset + viewport) / size) + overscan);
+  return { start, end, before: start * size, after: (count - end) * size };
+}
+
+// Cell text with the search matches wrapped in <mark>
+function highlight(text, search) {
+  const needle = search.trim().toLowerCase();
+  if (!needle) return text;
+  const parts = [];
+  const lower = text.toLowerCase();
+  let at = 0;
+  for (let k = lower.indexOf(needle); k !== -1; k = lower.indexOf(needle, at)) {
+    if (k > at) parts.push(text.slice(at, k));
+    parts.push(<mark key={k}>{text.slice(k, k + needle.length)}</mark>);
+    at = k + needle.length;
+  }
+  if (parts.length === 0) return text;
+  if (at < text.length) parts.push(text.slice(at));
+  return parts;
+}
+
+// Preview table with click-to-edit cells, row/column insert and delete,
+// and drag-to-reorder column headers. Changes are reported as edits
+// (see lib/edits.js); `body` row i is table row i + 1 when there is a header.
+// `onColumnMenu(col)` opens the column's transforms; `rowClasses` maps
+// table row indexes to a class name (e.g. duplicate highlighting).
+// For a sorted or filtered view, `rowIndexes[i]` is body row i's table row.
+// `filters` (see lib/view.js) adds a filter row under the header.
+// `cellIssues` maps "row:col" to a message shown on highlighted cells;
+// a new `jumpTo` ({ row, col, seq }) scrolls that cell into view.
+export default function EditableGrid({
+  header,
+  body,
+  rowIndexes,
+  hasHeader,
+  types,
+  whiteSpace,
+  onEdit,
+  onColumnMenu,
+  rowClasses,
+  sort,
+  onSort,
+  filters,
+  onFilterChange,
+  search = "",
+  cellIssues,
+  jumpTo,
+}) {
+  const [editing, setEditing] = useState(null); // { row, col, value, original }
+  const [dragCol, setDragCol] = useState(null);
+  const [dropCol, setDropCol] = useState(null);
+  const [scroll, setScroll] = useState({ top: 0, left: 0, height: 800, width: 1200 });
+  const cancelled = useRef(false);
+  const scrollRef = useRef(null);
+  const jumpedSeq = useRef(null);
+
+  const offset = hasHeader ? 1 : 0;
+  const virtualRows = body.length > VIRTUAL_ROWS;
+  const virtualColumns = header.length > VIRTUAL_COLUMNS;
+  const rows = virtualRows
+    ? visibleRange(body.length, ROW_HEIGHT, scroll.top, scroll.height, 10)
+    : { start: 0, end: body.length, before: 0, after: 0 };
+  const cols = virtualColumns
+    ? visibleRange(header.length, COLUMN_WIDTH, Math.max(0, scroll.left - GUTTER_WIDTH), scroll.width, 3)
+    : { start: 0, end: header.length, before: 0, after: 0 };
+  const visibleCols = header.slice(cols.start, cols.end).map((_, k) => cols.start + k);
+  const cellWhiteSpace = virtualRows ? "nowrap" : whiteSpace;
+  const cellWidth = virtualColumns ? COLUMN_WIDTH : undefined;
+
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!jumpTo || !el || jumpedSeq.current === jumpTo.seq) return;
+    jumpedSeq.current = jumpTo.seq;
+    const index = rowIndexes ? rowIndexes.indexOf(jumpTo.row) : jumpTo.row - offset;
+    if (virtualRows || virtualColumns) {
+      el.scrollIntoView({ block: "nearest" });
+      if (virtualRows) el.scrollTop = Math.max(0, index * ROW_HEIGHT - el.clientHeight / 2);
+      if (virtualColumns && jumpTo.col !== null) el.scrollLeft = jumpTo.col * COLUMN_WIDTH;
+      return;
+    }
+    const target = el.querySelector(`[data-cell="${jumpTo.row}:${jumpTo.col ?? 0}"]`);
+    target?.scrollIntoView({ block: "center", inline: "center", behavior: "smooth" });
+  }, [jumpTo, rowIndexes, offset, virtualRows, virtualColumns]);
+
+  // Stands in for the columns left or right of the view
+  function spacer(Cell, width) {
+    return width > 0 ? <Cell style={{ width, padding: 0 }} /> : null;
+  }
+
+  function startEditing(row, col, value) {
+    if (editing?.row === row && editing?.col === col) return;
+    setEditing({ row, col, value, original: value });
+  }
+
+  // Enter and Escape both blur the input, so blur is the one place edits end
+  function finishEditing() {
+    if (!cancelled.current && editing && editing.value !== editing.original) {
+      onEdit({ type: "setCell", row: editing.row, col: editing.col, value: editing.value });
+    }
+    cancelled.current = false;
+    setEditing(null);
+  }
+
+  function cellContent(row, col, value) {
+    if (editing?.row !== row || editing?.col !== col) return highlight(value, search);
+    return (
+      <input
+        type="text"
+        className="cellInput"
+        autoFocus
+        value={editing.value}
+        onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+        onBlur={finishEditing}
+        onKeyDown={(e) => {
+          if (e.key === "Escape") cancelled.current = true;
+          if (e.key === "Enter" || e.key === "Escape") e.currentTarget.blur();
+        }}
+      />
+    );
+  }
+
+  // Column drags must not reach the card's file drop handlers
+  function dragProps(col) {
+    return {
+      draggable: editing === null,
+      onDragStart: (e) => {
+        e.stopPropagation();
+        e.dataTransfer.effectAllowed = "move";
+        setDragCol(col);
+      },
+      onDragEnter: (e) => {
+        e.stopPropagation();
+        if (dragCol !== null) setDropCol(col);
+      },
+      onDragOver: (e) => {
+        e.stopPropagation();
+        if (dragCol !== null) e.preventDefault();
+      },
+      onDragLeave: (e) => e.stopPropagation(),
+      onDrop: (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (dragCol !== null && dragCol !== col) onEdit({ type: "moveColumn", from: dragCol, to: col });
+        setDragCol(null);
+        setDropCol(null);
+      },
+      onDragEnd: () => {
+        setDragCol(null);
+        setDropCol(null);
+      },
+    };
+  }
+
+  const className = `editableGrid${virtualRows ? " virtualRows" : ""}${virtualColumns ? " virtualColumns" : ""}`;
+  const tableWidth = virtualColumns ? GUTTER_WIDTH + header.length * COLUMN_WIDTH : undefined;
+
+  return (
+    <div
+      ref={scrollRef}
+      className={virtualRows || virtualColumns ? "gridScroll" : undefined}
+      onScroll={(e) => {
+        const el = e.currentTarget;
+        setScroll({ top: el.scrollTop, left: el.scrollLeft, height: el.clientHeight, width: el.clientWidth });
+      }}
+    >
+      <table className={className} style={{ width: tableWidth }}>
+        <thead>
+          <tr>
+            <th className="rowGutter" style={{ width: virtualColumns ? GUTTER_WIDTH : undefined }} />
+            {spacer("th", cols.before)}
+            {visibleCols.map((j) => {
+              const cell = header[j];
+              return (
+                <th
+                  key={`h-${j}`}
+                  className={dropCol === j && dragCol !== j ? "dropTarget" : undefined}
+                  style={{ whiteSpace: cellWhiteSpace, cursor: "grab", width: cellWidth }}
+                  title="Drag to reorder"
+                  {...dragProps(j)}
+                >
+                  <span
+                    onClick={hasHeader ? () => startEditing(0, j, cell) : undefined}
+                    style={{ cursor: hasHeader ? "text" : undefined }}
+                    title={hasHeader ? "Click to rename" : undefined}
+                  >
+                    {hasHeader ? cellContent(0, j, cell) : cell}
+                  </span>
+                  {onSort && (
+                    <button
+                      className={`gridButton sortButton${sort?.col === j ? " sorted" : ""}`}
+                      title="Sort (click again to reverse, a third time to clear)"
+                      onClick={() => onSort(j)}
+                    >
+                      {sort?.col === j ? SORT_ICONS[sort.dir] : "↕"}
+                    </button>
+                  )}
+                  <span className="gridActions">
+                    <button className="gridButton" title="Transform column" onClick={() => onColumnMenu(j)}>
+                      ⋯
+                    </button>
+                    <button
+                      className="gridButton"
+                      title="Insert column to the right"
+                      onClick={() =>
+                        onEdit({ type: "insertColumn", col: j + 1, name: hasHeader ? "New column" : undefined })
+                      }
+                    >
+                      +
+                    </button>
+                    <button
+                      className="gridButton"
+                      title="Delete column"
+                      onClick={() => onEdit({ type: "deleteColumn", col: j })}
+                    >
+                      ×
+                    </button>
+                  </span>
+                  <span className="typeBadge">{types[j]}</span>
+                </th>
+              );
+            })}
+            {spacer("th", cols.after)}
+          </tr>
+          {filters && (
+            <tr>
+              <th className="rowGutter" />
+              {spacer("th", cols.before)}
+              {visibleCols.map((j) => (
+                <th key={`f-${j}`}>
+                  <ColumnFilter filter={filters[j]} onChange={(filter) => onFilterChange(j, filter)} />
+                </th>
+              ))}
+              {spacer("th", cols.after)}
+            </tr>
+          )}
+        </thead>
+        <tbody>
+          {rows.before > 0 && <tr style={{ height: rows.before }} />}
+          {body.slice(rows.start, rows.end).map((row, k) => {
+            const i = rows.start + k;
+            const r = rowIndexes ? rowIndexes[i] : i + offset;
+            return (
+              <tr key={r} className={rowClasses?.get(r)} style={{ height: virtualRows ? ROW_HEIGHT : undefined }}>
+                <td className="rowGutter">
+                  {r - offset + 1}
+                  <span className="gridActions">
+                    <button
+                      className="gridButton"
+                      title="Insert row below"
+                      onClick={() => onEdit({ type: "insertRow", row: r + 1 })}
+                    >
+                      +
+                    </button>
+                    <button
+                      className="gridButton"
+                      title="Delete row"
+                      onClick={() => onEdit({ type: "deleteRow", row: r })}
+                    >
+                      ×
+                    </button>
+                  </span>
+                </td>
+                {spacer("td", cols.before)}
+                {visibleCols.map((j) => {
+                  const issue = cellIssues?.get(`${r}:${j}`);
+                  const jumped = jumpTo?.row === r && (jumpTo.col ?? 0) === j;
+                  return (
+                    <td
+                      key={j}
+                      data-cell={`${r}:${j}`}
+                      className={[issue && "cellIssue", jumped && "jumpTarget"].filter(Boolean).join(" ") || undefined}
+                      title={issue}
+                      style={{ whiteSpace: cellWhiteSpace, cursor: "text" }}
+                      onClick={() => startEditing(r, j, row[j] ?? "")}
+                    >
+                      {cellContent(r, j, row[j] ?? "")}
+                    </td>
+                  );
+                })}
+                {spacer("td", cols.after)}
+              </tr>
+            );
+          })}
+          {rows.after > 0 && <tr style={{ height: rows.after }} />}
+        </tbody>
+      </table>
+    </div>
+  );
+}
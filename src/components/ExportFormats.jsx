@@ -0,0 +1,98 @@
+import { useMemo, useState } from "react";
+import * as XLSX from "xlsx";
+import { EXPORT_FORMATS, finishTextFile } from "../lib/exporters";
+import { buildWorkbook } from "../lib/xlsx";
+import { downloadTextFile } from "../utils/download";
+
+const ODS = "ods";
+const PREVIEW_LINES = 200;
+
+export default function ExportFormats({ table, context, fileName, textOptions, canExport = () => true, onExport }) {
+  const [formatId, setFormatId] = useState(EXPORT_FORMATS[0].id);
+  const [tableName, setTableName] = useState("data");
+
+  const format = EXPORT_FORMATS.find((f) => f.id === formatId);
+  const isSql = formatId === "sqlite" || formatId === "postgres";
+
+  const output = useMemo(
+    () => (format ? format.render(table, { ...context, tableName }) : ""),
+    [format, table, context, tableName]
+  );
+
+  const previewLines = output.split("\n");
+  const preview =
+    previewLines.length > PREVIEW_LINES
+      ? `${previewLines.slice(0, PREVIEW_LINES).join("\n")}\n… ${previewLines.length - PREVIEW_LINES} more lines`
+      : output;
+
+  return (
+    <div style={{ marginTop: 14 }}>
+      <div className="small">
+        More formats:&nbsp;
+        <select
+          value={formatId}
+          onChange={(e) => setFormatId(e.target.value)}
+          style={{ padding: "4px 6px", marginLeft: 6 }}
+        >
+          {EXPORT_FORMATS.map((f) => (
+            <option key={f.id} value={f.id}>
+              {f.label}
+            </option>
+          ))}
+          <option value={ODS}>ODS spreadsheet</option>
+        </select>
+
+        {isSql && (
+          <>
+            <span style={{ marginLeft: 14 }}>Table name:</span>
+            <input
+              type="text"
+              value={tableName}
+              onChange={(e) => setTableName(e.target.value)}
+              style={{ width: 120, padding: "4px 6px", marginLeft: 6 }}
+            />
+          </>
+        )}
+      </div>
+
+      {format ? (
+        <pre className="exportPreview">{preview}</pre>
+      ) : (
+        <div className="small">OpenDocument spreadsheet for LibreOffice / OpenOffice — download to open it.</div>
+      )}
+
+      <div className="actions">
+        {format && (
+          <button
+            onClick={() => {
+              if (!canExport()) return;
+              navigator.clipboard.writeText(output);
+              onExport();
+              alert(`Copied as ${format.label}!`);
+            }}
+          >
+            Copy {format.label}
+          </button>
+        )}
+
+        <button
+          onClick={() => {
+            if (!canExport()) return;
+            if (format) {
+              downloadTextFile(
+                `${fileName}.${format.ext}`,
+                finishTextFile(output, textOptions),
+                `${format.mime};charset=utf-8`
+              );
+            } else {
+              XLSX.writeFile(buildWorkbook(table, "Table", context), `${fileName}.ods`, { bookType: "ods" });
+            }
+            onExport();
+          }}
+        >
+          Download {format ? `.${format.ext}` : ".ods"}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+const DELIMITERS = [
+  { value: ",", label: "Comma (,)" },
+  { value: ";", label: "Semicolon (;)" },
+  { value: "\t", label: "Tab" },
+  { value: "|", label: "Pipe (|)" },
+];
+
+const QUOTES = [
+  { value: "minimal", label: "Only when needed" },
+  { value: "text", label: "All text cells" },
+  { value: "all", label: "Every cell" },
+];
+
+const ALIGNMENTS = [
+  { value: "none", label: "None" },
+  { value: "auto", label: "Numbers right" },
+  { value: "left", label: "Left" },
+  { value: "center", label: "Center" },
+  { value: "right", label: "Right" },
+];
+
+const selectStyle = { padding: "4px 6px", marginLeft: 6, marginRight: 14 };
+
+function Select({ value, options, onChange }) {
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} style={selectStyle}>
+      {options.map((o) => (
+        <option key={o.value} value={o.value}>
+          {o.label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default function ExportSettings({ settings, onChange, fileName, onFileNameChange, defaultFileName }) {
+  const set = (key) => (value) => onChange({ ...settings, [key]: value });
+
+  return (
+    <details className="small" style={{ marginTop: 10 }}>
+      <summary style={{ cursor: "pointer" }}>Export settings</summary>
+
+      <div style={{ marginTop: 6 }}>
+        File name:
+        <input
+          type="text"
+          value={fileName}
+          onChange={(e) => onFileNameChange(e.target.value)}
+          placeholder={defaultFileName}
+          style={{ width: 180, padding: "4px 6px", marginLeft: 6 }}
+        />
+      </div>
+
+      <div style={{ marginTop: 6 }}>
+        CSV delimiter:
+        <Select value={settings.delimiter} options={DELIMITERS} onChange={set("delimiter")} />
+        Quote cells:
+        <Select value={settings.quotes} options={QUOTES} onChange={set("quotes")} />
+        Markdown alignment:
+        <Select value={settings.markdownAlign} options={ALIGNMENTS} onChange={set("markdownAlign")} />
+      </div>
+
+      <div style={{ marginTop: 6 }}>
+        Line endings:
+        <Select
+          value={settings.lineEnding}
+          options={[
+            { value: "lf", label: "LF (Mac / Linux)" },
+            { value: "crlf", label: "CRLF (Windows)" },
+          ]}
+          onChange={set("lineEnding")}
+        />
+        <label>
+          <input
+            type="checkbox"
+            checked={settings.bom}
+            onChange={(e) => set("bom")(e.target.checked)}
+            style={{ marginRight: 6 }}
+          />
+          UTF-8 BOM (for accents in Excel on Windows)
+        </label>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,83 @@
+import { useRef, useState } from "react";
+
+const MAX_LINES = 40;
+
+// Drag markers to move column boundaries, click the ruler to add one,
+// double-click a marker to remove it.
+export default function FixedWidthRuler({ lines, boundaries, onChange }) {
+  const textRef = useRef(null);
+  const [dragIndex, setDragIndex] = useState(null);
+
+  const shown = lines.slice(0, MAX_LINES);
+  const width = Math.max(2, ...shown.map((l) => l.length));
+
+  function positionFromEvent(e) {
+    const rect = textRef.current.getBoundingClientRect();
+    const charWidth = rect.width / width;
+    return Math.round((e.clientX - rect.left) / charWidth);
+  }
+
+  function addBoundary(e) {
+    const pos = positionFromEvent(e);
+    if (pos <= 0 || pos >= width || boundaries.includes(pos)) return;
+    onChange([...boundaries, pos].sort((a, b) => a - b));
+  }
+
+  function removeBoundary(index) {
+    onChange(boundaries.filter((_, k) => k !== index));
+  }
+
+  function handlePointerMove(e) {
+    if (dragIndex === null) return;
+    // Clamp between neighbours so markers never cross
+    const min = (boundaries[dragIndex - 1] ?? 0) + 1;
+    const max = (boundaries[dragIndex + 1] ?? width) - 1;
+    const pos = Math.max(min, Math.min(max, positionFromEvent(e)));
+    if (pos !== boundaries[dragIndex]) {
+      onChange(boundaries.map((b, k) => (k === dragIndex ? pos : b)));
+    }
+  }
+
+  const ticks = Array.from({ length: Math.floor(width / 10) + 1 }, (_, k) => k * 10);
+
+  return (
+    <div className="rulerWrap">
+      <div
+        ref={textRef}
+        className="rulerInner"
+        style={{ width: `${width}ch` }}
+        onPointerMove={handlePointerMove}
+        onPointerUp={() => setDragIndex(null)}
+      >
+        <div className="rulerScale" onClick={addBoundary} title="Click to add a column boundary">
+          {ticks.map((t) => (
+            <span key={t} style={{ left: `${t}ch` }}>
+              {t}
+            </span>
+          ))}
+        </div>
+
+        <pre className="rulerText">{shown.join("\n")}</pre>
+
+        {boundaries.map((b, k) => (
+          <div
+            key={k}
+            className={`rulerMarker${dragIndex === k ? " dragging" : ""}`}
+            style={{ left: `${b}ch` }}
+            title="Drag to move, double-click to remove"
+            onPointerDown={(e) => {
+              e.currentTarget.setPointerCapture(e.pointerId);
+              setDragIndex(k);
+            }}
+            onPointerMove={handlePointerMove}
+            onPointerUp={() => setDragIndex(null)}
+            onDoubleClick={() => removeBoundary(k)}
+          />
+        ))}
+      </div>
+      {lines.length > MAX_LINES && (
+        <div className="small">Showing the first {MAX_LINES} of {lines.length} lines.</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import { GROUP_AGGREGATES } from "../lib/groupBy";
+
+const PREVIEW_ROWS = 50;
+
+const inputStyle = { padding: "4px 6px", marginRight: 6 };
+
+// Group-by summary (lib/groupBy.js) of the rows in view; it can replace the table in every export
+export default function GroupByPanel({ options, onChange, columns, summary, exported, onExportedChange, onClose }) {
+  const set = (key) => (value) => onChange({ ...options, [key]: value });
+
+  function toggleKey(j) {
+    const keys = options.keys.includes(j) ? options.keys.filter((k) => k !== j) : [...options.keys, j];
+    set("keys")(keys.sort((a, b) => a - b));
+  }
+
+  const setAggregate = (k, patch) =>
+    set("aggregates")(options.aggregates.map((a, i) => (i === k ? { ...a, ...patch } : a)));
+
+  return (
+    <div className="small transformPanel">
+      <div>
+        <strong>Group by</strong> — one row per distinct value of the ticked columns:
+      </div>
+      <div style={{ marginTop: 4 }}>
+        {columns.map((name, j) => (
+          <label key={j} style={{ marginRight: 12, whiteSpace: "nowrap" }}>
+            <input
+              type="checkbox"
+              checked={options.keys.includes(j)}
+              onChange={() => toggleKey(j)}
+              style={{ marginRight: 4 }}
+            />
+            {name || `Column ${j + 1}`}
+          </label>
+        ))}
+      </div>
+
+      {options.aggregates.map((a, k) => (
+        <div key={k} style={{ marginTop: 6 }}>
+          <select value={a.fn} onChange={(e) => setAggregate(k, { fn: e.target.value })} style={inputStyle}>
+            {Object.entries(GROUP_AGGREGATES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          of
+          <select
+            value={a.col}
+            onChange={(e) => setAggregate(k, { col: Number(e.target.value) })}
+            style={{ ...inputStyle, marginLeft: 6 }}
+          >
+            {columns.map((name, j) => (
+              <option key={j} value={j}>
+                {name || `Column ${j + 1}`}
+              </option>
+            ))}
+          </select>
+          <button
+            className="gridButton"
+            title="Remove aggregate"
+            onClick={() => set("aggregates")(options.aggregates.filter((_, i) => i !== k))}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <div style={{ marginTop: 6 }}>
+        <button
+          onClick={() => set("aggregates")([...options.aggregates, { col: columns.length - 1, fn: "sum" }])}
+          style={{ padding: "4px 8px" }}
+        >
+          Add aggregate
+        </button>
+        <label style={{ marginLeft: 12 }}>
+          <input
+            type="checkbox"
+            checked={exported}
+            onChange={(e) => onExportedChange(e.target.checked)}
+            style={{ marginRight: 6 }}
+          />
+          Export this summary instead of the table
+        </label>
+      </div>
+
+      {summary && (
+        <div className="tableWrap" style={{ marginTop: 8 }}>
+          <table>
+            <thead>
+              <tr>
+                {summary[0].map((name, j) => (
+                  <th key={j}>{name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {summary.slice(1, PREVIEW_ROWS + 1).map((row, i) => (
+                <tr key={i}>
+                  {row.map((cell, j) => (
+                    <td key={j}>{cell}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {summary.length > PREVIEW_ROWS + 1 && <div>… {summary.length - 1} groups in all</div>}
+        </div>
+      )}
+
+      <div style={{ marginTop: 8 }}>
+        <button onClick={onClose} style={{ padding: "6px 10px" }}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import { MASK_MODES, PII_KINDS, findMask, maskCell } from "../lib/pii";
+
+const percent = (share) => `${Math.round(share * 100)}%`;
+
+const EXAMPLES = {
+  email: "jane.doe@example.com",
+  phone: "+44 7700 900123",
+  iban: "GB82 WEST 1234 5698 7654 32",
+  card: "4111 1111 1111 1111",
+  nationalId: "123-45-6789",
+};
+
+// Columns flagged as personal data (lib/pii.js) and how each export masks them
+export default function PiiPanel({ flagged, masks, columns, onChange }) {
+  const maskOf = (name) => findMask(masks, name);
+  const masked = masks.filter((m) => m.mode).length;
+
+  function setMode(name, mode, kind) {
+    const rest = masks.filter((m) => m !== maskOf(name));
+    onChange(mode ? [...rest, { column: name, mode, kind }] : rest);
+  }
+
+  const flaggedNames = new Set(flagged.map((f) => columns[f.col]));
+  const rows = [
+    ...flagged.map((f) => ({ name: columns[f.col], kind: f.kind, note: `${percent(f.share)} ${PII_KINDS[f.kind]}` })),
+    ...masks
+      .filter((m) => !flaggedNames.has(m.column))
+      .map((m) => ({ name: m.column, kind: m.kind, note: columns.includes(m.column) ? "" : "not in this table" })),
+  ];
+
+  const modeSelect = (name, kind) => (
+    <select
+      value={maskOf(name)?.mode ?? ""}
+      onChange={(e) => setMode(name, e.target.value, kind)}
+      style={{ padding: "2px 6px", marginLeft: 8 }}
+    >
+      <option value="">Don’t mask</option>
+      {Object.entries(MASK_MODES).map(([mode, label]) => (
+        <option key={mode} value={mode}>
+          {mode !== "drop" && kind ? `${label} (${maskCell(EXAMPLES[kind], mode, kind)})` : label}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <details className="small" style={{ marginTop: 10 }}>
+      <summary style={{ cursor: "pointer" }}>
+        Personal data ({flagged.length} column{flagged.length === 1 ? "" : "s"} flagged, {masked} masked)
+      </summary>
+
+      <div style={{ marginTop: 8 }}>
+        Masks apply to every copy and download, not to the preview. Hashes keep equal values equal but can be
+        guessed for common values.
+      </div>
+
+      {rows.length > 0 && (
+        <ul className="stepList">
+          {rows.map((r) => (
+            <li key={r.name}>
+              <strong>{r.name}</strong>
+              {r.note && ` — ${r.note}`}
+              {modeSelect(r.name, r.kind)}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div style={{ marginTop: 8 }}>
+        Mask another column:
+        <select
+          value=""
+          onChange={(e) => setMode(e.target.value, "redact", null)}
+          style={{ padding: "2px 6px", marginLeft: 8 }}
+        >
+          <option value="">Choose…</option>
+          {columns
+            .filter((name) => name && !rows.some((r) => r.name === name))
+            .map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+        </select>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,93 @@
+// Issues listed below the column profile; the preview highlights all of them
+const MAX_LISTED_ISSUES = 200;
+
+const ISSUE_KINDS = {
+  type: "Wrong type",
+  dateFormat: "Date format",
+  outlier: "Outlier",
+  ragged: "Ragged row",
+};
+
+const percent = (share) => `${Math.round(share * 100)}%`;
+
+function typeMixLabel(typeMix) {
+  return Object.entries(typeMix)
+    .sort((a, b) => b[1] - a[1])
+    .map(([type, n]) => `${type} ${n}`)
+    .join(", ");
+}
+
+// Data quality report; `profile` is null until the panel is opened
+export default function ProfilePanel({ profile, columns, offset, onOpen, highlight, onHighlightChange, onJump }) {
+  return (
+    <details className="small" style={{ marginTop: 10 }} onToggle={(e) => onOpen(e.currentTarget.open)}>
+      <summary style={{ cursor: "pointer" }}>
+        Data quality{profile && ` (${profile.issues.length} issue${profile.issues.length === 1 ? "" : "s"})`}
+      </summary>
+
+      {profile && (
+        <>
+          <div className="tableWrap" style={{ marginTop: 8 }}>
+            <table className="profileTable">
+              <thead>
+                <tr>
+                  <th>Column</th>
+                  <th>Filled</th>
+                  <th>Distinct</th>
+                  <th>Types</th>
+                  <th>Min – max</th>
+                  <th>Most common</th>
+                  <th>Outliers</th>
+                </tr>
+              </thead>
+              <tbody>
+                {profile.columns.map((c, j) => (
+                  <tr key={j}>
+                    <td>
+                      {columns[j] || `Column ${j + 1}`} <span className="typeBadge">{c.type}</span>
+                    </td>
+                    <td>{percent(c.fillRate)}</td>
+                    <td>{c.distinct}</td>
+                    <td>{typeMixLabel(c.typeMix)}</td>
+                    <td>{c.min === null ? "" : `${c.min} – ${c.max}`}</td>
+                    <td>{c.top.map((t) => `${t.value} (${t.count})`).join(", ")}</td>
+                    <td>{c.outliers || ""}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <label style={{ display: "block", marginTop: 8 }}>
+            <input
+              type="checkbox"
+              checked={highlight}
+              onChange={(e) => onHighlightChange(e.target.checked)}
+              style={{ marginRight: 6 }}
+            />
+            Highlight issues in the preview
+          </label>
+
+          {profile.issues.length === 0 ? (
+            <div style={{ marginTop: 6 }}>No issues found.</div>
+          ) : (
+            <ul className="issueList">
+              {profile.issues.slice(0, MAX_LISTED_ISSUES).map((issue, k) => (
+                <li key={k}>
+                  <button className="linkButton" onClick={() => onJump(issue)}>
+                    {issue.row < offset ? "Header" : `Row ${issue.row - offset + 1}`}
+                    {issue.col !== null && `, ${columns[issue.col] || `column ${issue.col + 1}`}`}
+                  </button>{" "}
+                  {ISSUE_KINDS[issue.kind]}: {issue.message}
+                </li>
+              ))}
+              {profile.issues.length > MAX_LISTED_ISSUES && (
+                <li>…and {profile.issues.length - MAX_LISTED_ISSUES} more</li>
+              )}
+            </ul>
+          )}
+        </>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,84 @@
+import { useState } from "react";
+import { parseRecipe } from "../lib/recipes";
+
+const headerSummary = (header) => header.slice(0, 4).join(", ") + (header.length > 4 ? ", …" : "");
+
+// Saved recipes (lib/recipes.js): save the current setup, apply, export or import
+export default function RecipePanel({ recipes, canSave, onSave, onApply, onDelete, onExport, onImport }) {
+  const [name, setName] = useState("");
+  const [importError, setImportError] = useState("");
+
+  function importFile(file) {
+    setImportError("");
+    file
+      .text()
+      .then((json) => onImport(parseRecipe(json)))
+      .catch((e) => setImportError(e.message));
+  }
+
+  return (
+    <details className="small" style={{ marginTop: 10 }}>
+      <summary style={{ cursor: "pointer" }}>Recipes ({recipes.length})</summary>
+
+      <div style={{ marginTop: 8 }}>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Recipe name, e.g. Vendor export"
+          style={{ padding: "6px 8px", width: 240 }}
+        />
+        <button
+          onClick={() => {
+            onSave(name.trim());
+            setName("");
+          }}
+          disabled={!canSave || !name.trim()}
+          title="Saves the delimiter, cleaning options and transforms"
+          style={{ marginLeft: 8, padding: "6px 10px" }}
+        >
+          {recipes.some((r) => r.name === name.trim()) ? "Replace recipe" : "Save recipe"}
+        </button>
+        <label style={{ marginLeft: 10, textDecoration: "underline", cursor: "pointer" }}>
+          Import JSON…
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) importFile(file);
+              e.target.value = "";
+            }}
+            style={{ display: "none" }}
+          />
+        </label>
+      </div>
+      {importError && <div style={{ marginTop: 6 }}>Could not import: {importError}</div>}
+
+      {recipes.length > 0 && (
+        <ul className="stepList">
+          {recipes.map((recipe) => (
+            <li key={recipe.name}>
+              <strong>{recipe.name}</strong>
+              {recipe.header.length > 0 && ` — ${headerSummary(recipe.header)}`}
+              <button onClick={() => onApply(recipe)} style={{ marginLeft: 8, padding: "2px 8px" }}>
+                Apply
+              </button>
+              <button onClick={() => onExport(recipe)} style={{ marginLeft: 6, padding: "2px 8px" }}>
+                Export
+              </button>
+              <button
+                className="gridButton"
+                title="Delete recipe"
+                onClick={() => onDelete(recipe.name)}
+                style={{ marginLeft: 6 }}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,49 @@
+const rowText = (row) => row.map((c) => c || "·").join(" | ");
+
+// Proposed ragged row fixes (lib/repair.js), each with a before/after preview
+export default function RepairPanel({ fixes, skipped, offset, onToggle, onApply, onClose }) {
+  const chosen = fixes.length - skipped.length;
+
+  return (
+    <div className="small transformPanel">
+      <strong>Ragged rows</strong> —{" "}
+      {fixes.length === 0
+        ? "every row has the usual number of cells."
+        : `${fixes.length} proposed fix${fixes.length === 1 ? "" : "es"}, rows highlighted below:`}
+
+      {fixes.length > 0 && (
+        <ul className="repairList">
+          {fixes.map((fix) => (
+            <li key={fix.row}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={!skipped.includes(fix.row)}
+                  onChange={() => onToggle(fix.row)}
+                  style={{ marginRight: 6 }}
+                />
+                Row {fix.row - offset + 1}:{" "}
+                {fix.kind === "merge" ? `merge into row ${fix.into - offset + 1}` : "realign cells"}
+              </label>
+              {fix.before.map((row, k) => (
+                <div key={k} className="repairBefore">
+                  {rowText(row)}
+                </div>
+              ))}
+              <div className="repairAfter">→ {rowText(fix.after)}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div style={{ marginTop: 8 }}>
+        <button onClick={onApply} disabled={chosen === 0} style={{ padding: "6px 10px" }}>
+          Apply {chosen} fix{chosen === 1 ? "" : "es"}
+        </button>
+        <button onClick={onClose} style={{ marginLeft: 8, padding: "6px 10px" }}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
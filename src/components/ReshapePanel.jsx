@@ -0,0 +1,129 @@
+import { useMemo, useState } from "react";
+import { PIVOT_AGGREGATES, applyReshape } from "../lib/reshape";
+
+const PREVIEW_ROWS = 5;
+
+const inputStyle = { padding: "4px 6px", marginLeft: 6, marginRight: 6 };
+
+const rowText = (row) => row.map((c) => c || "·").join(" | ");
+
+// Transpose, unpivot or pivot the table, previewing the first rows of the result
+export default function ReshapePanel({ table, columns: names, hasHeader, onApply, onClose }) {
+  const columns = names.map((name, j) => name || `Column ${j + 1}`);
+  const [op, setOp] = useState("unpivot");
+  const [melted, setMelted] = useState(() => columns.map((_, j) => j).slice(1));
+  const [keyName, setKeyName] = useState("Key");
+  const [valueName, setValueName] = useState("Value");
+  const [skipEmpty, setSkipEmpty] = useState(true);
+  const [keyCol, setKeyCol] = useState(0);
+  const [valueCol, setValueCol] = useState(Math.min(1, columns.length - 1));
+  const [aggregate, setAggregate] = useState("sum");
+
+  const reshape = useMemo(() => {
+    if (op === "pivot") return { op, keyCol, valueCol, aggregate, hasHeader };
+    if (op === "unpivot") {
+      return { op, columns: melted, keyName: keyName || "Key", valueName: valueName || "Value", skipEmpty, hasHeader };
+    }
+    return { op };
+  }, [op, melted, keyName, valueName, skipEmpty, keyCol, valueCol, aggregate, hasHeader]);
+  const summary = {
+    transpose: "",
+    unpivot: melted.map((j) => columns[j]).join(", "),
+    pivot: `${columns[keyCol]} by ${columns[valueCol]}`,
+  }[op];
+
+  const preview = useMemo(() => applyReshape(table, reshape), [table, reshape]);
+  const previewWidth = preview.reduce((n, r) => Math.max(n, r.length), 0);
+  const invalid =
+    (op === "unpivot" && melted.length === 0) || (op === "pivot" && (keyCol === valueCol || columns.length < 2));
+
+  const select = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(Number(e.target.value))} style={inputStyle}>
+      {columns.map((name, j) => (
+        <option key={j} value={j}>
+          {name}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="small transformPanel">
+      <select value={op} onChange={(e) => setOp(e.target.value)} style={{ ...inputStyle, marginLeft: 0 }}>
+        <option value="unpivot">Unpivot (columns to key/value rows)</option>
+        <option value="pivot">Pivot (key values to columns)</option>
+        <option value="transpose">Transpose (swap rows and columns)</option>
+      </select>
+
+      {op === "unpivot" && (
+        <>
+          <div style={{ marginTop: 8 }}>
+            Columns to unpivot; the others repeat on every row:
+            {columns.map((name, j) => (
+              <label key={j} style={{ marginLeft: 10, whiteSpace: "nowrap" }}>
+                <input
+                  type="checkbox"
+                  checked={melted.includes(j)}
+                  onChange={() => setMelted(melted.includes(j) ? melted.filter((k) => k !== j) : [...melted, j])}
+                  style={{ marginRight: 4 }}
+                />
+                {name}
+              </label>
+            ))}
+          </div>
+          <div style={{ marginTop: 8 }}>
+            Key column
+            <input type="text" value={keyName} onChange={(e) => setKeyName(e.target.value)} style={inputStyle} />
+            Value column
+            <input type="text" value={valueName} onChange={(e) => setValueName(e.target.value)} style={inputStyle} />
+            <label>
+              <input
+                type="checkbox"
+                checked={skipEmpty}
+                onChange={(e) => setSkipEmpty(e.target.checked)}
+                style={{ marginRight: 6 }}
+              />
+              Skip empty values
+            </label>
+          </div>
+        </>
+      )}
+
+      {op === "pivot" && (
+        <div style={{ marginTop: 8 }}>
+          New columns from
+          {select(keyCol, setKeyCol)}
+          filled with
+          <select value={aggregate} onChange={(e) => setAggregate(e.target.value)} style={inputStyle}>
+            {Object.entries(PIVOT_AGGREGATES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label.toLowerCase()} of
+              </option>
+            ))}
+          </select>
+          {select(valueCol, setValueCol)}
+          per row of the other columns.
+        </div>
+      )}
+
+      <div style={{ marginTop: 8 }}>
+        Result: {preview.length - (hasHeader ? 1 : 0)} rows × {previewWidth} columns.
+        <div className="repairAfter">
+          {preview.slice(0, PREVIEW_ROWS).map((row, i) => (
+            <div key={i}>{rowText(row)}</div>
+          ))}
+          {preview.length > PREVIEW_ROWS && <div>…</div>}
+        </div>
+      </div>
+
+      <div style={{ marginTop: 8 }}>
+        <button onClick={() => onApply(reshape, summary)} disabled={invalid} style={{ padding: "6px 10px" }}>
+          Apply
+        </button>
+        <button onClick={onClose} style={{ marginLeft: 8, padding: "6px 10px" }}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,236 @@
+import { useState } from "react";
+import { PATTERN_PRESETS, SCHEMA_TYPES, parseSchema, rulePattern } from "../lib/schema";
+
+const MAX_LISTED_VIOLATIONS = 200;
+
+const inputStyle = { padding: "4px 6px", marginRight: 6 };
+
+function patternError(pattern) {
+  if (!pattern) return "";
+  try {
+    rulePattern(pattern);
+    return "";
+  } catch {
+    return "invalid pattern";
+  }
+}
+
+const splitAllowed = (text) =>
+  text
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+function RuleRow({ rule, onChange, onRemove }) {
+  const set = (key) => (value) => onChange({ ...rule, [key]: value });
+  const checkbox = (key, label) => (
+    <label style={{ marginRight: 8 }}>
+      <input
+        type="checkbox"
+        checked={Boolean(rule[key])}
+        onChange={(e) => set(key)(e.target.checked)}
+        style={{ marginRight: 4 }}
+      />
+      {label}
+    </label>
+  );
+
+  return (
+    <li>
+      <input
+        type="text"
+        value={rule.name}
+        onChange={(e) => set("name")(e.target.value)}
+        list="schemaColumns"
+        placeholder="Column name"
+        style={{ ...inputStyle, width: 130 }}
+      />
+      <select value={rule.type} onChange={(e) => set("type")(e.target.value)} style={inputStyle}>
+        {SCHEMA_TYPES.map((type) => (
+          <option key={type} value={type}>
+            {type}
+          </option>
+        ))}
+      </select>
+      {checkbox("required", "required")}
+      {checkbox("unique", "unique")}
+      <input
+        type="text"
+        value={rule.pattern}
+        onChange={(e) => set("pattern")(e.target.value)}
+        placeholder="Pattern (regex)"
+        spellCheck={false}
+        style={{ ...inputStyle, width: 150, fontFamily: "monospace" }}
+      />
+      <select value="" onChange={(e) => set("pattern")(PATTERN_PRESETS[e.target.value].pattern)} style={inputStyle}>
+        <option value="">Preset…</option>
+        {Object.entries(PATTERN_PRESETS).map(([id, p]) => (
+          <option key={id} value={id}>
+            {p.label}
+          </option>
+        ))}
+      </select>
+      {patternError(rule.pattern) && <span style={{ marginRight: 6 }}>({patternError(rule.pattern)})</span>}
+      <input
+        // Edited as free text and stored on blur; a new list (say, an import) resets it
+        key={rule.allowed.join(",")}
+        type="text"
+        defaultValue={rule.allowed.join(", ")}
+        onBlur={(e) => set("allowed")(splitAllowed(e.target.value))}
+        placeholder="Allowed values, comma separated"
+        style={{ ...inputStyle, width: 190 }}
+      />
+      <input
+        type="number"
+        value={rule.min ?? ""}
+        onChange={(e) => set("min")(e.target.value)}
+        placeholder="min"
+        style={{ ...inputStyle, width: 70 }}
+      />
+      <input
+        type="number"
+        value={rule.max ?? ""}
+        onChange={(e) => set("max")(e.target.value)}
+        placeholder="max"
+        style={{ ...inputStyle, width: 70 }}
+      />
+      <button className="gridButton" title="Remove rule" onClick={onRemove}>
+        ×
+      </button>
+    </li>
+  );
+}
+
+// Schema rules (lib/schema.js) checked against the cleaned table; failing cells are marked in the preview
+export default function SchemaPanel({
+  schema,
+  onChange,
+  header,
+  validation,
+  offset,
+  onFromHeader,
+  onJump,
+  onDownloadViolations,
+  onExportSchema,
+}) {
+  const [importError, setImportError] = useState("");
+  const violations = validation?.violations ?? [];
+
+  function importFile(file) {
+    setImportError("");
+    file
+      .text()
+      .then((json) => onChange(parseSchema(json)))
+      .catch((e) => setImportError(e.message));
+  }
+
+  const setRules = (columns) => onChange({ ...schema, columns });
+  const blank = { name: "", type: "any", required: false, unique: false, pattern: "", allowed: [] };
+
+  return (
+    <details className="small" style={{ marginTop: 10 }}>
+      <summary style={{ cursor: "pointer" }}>
+        Schema validation
+        {schema.columns.length > 0 && ` (${violations.length} violation${violations.length === 1 ? "" : "s"})`}
+      </summary>
+
+      <datalist id="schemaColumns">
+        {header.map((name, j) => (
+          <option key={j} value={name} />
+        ))}
+      </datalist>
+
+      {schema.columns.length > 0 && (
+        <ul className="stepList">
+          {schema.columns.map((rule, k) => (
+            <RuleRow
+              key={k}
+              rule={rule}
+              onChange={(next) => setRules(schema.columns.map((r, i) => (i === k ? next : r)))}
+              onRemove={() => setRules(schema.columns.filter((_, i) => i !== k))}
+            />
+          ))}
+        </ul>
+      )}
+
+      <div style={{ marginTop: 8 }}>
+        <button onClick={() => setRules([...schema.columns, blank])} style={{ padding: "4px 8px" }}>
+          Add rule
+        </button>
+        <button onClick={onFromHeader} style={{ marginLeft: 8, padding: "4px 8px" }}>
+          Start from current columns
+        </button>
+        <label style={{ marginLeft: 10, textDecoration: "underline", cursor: "pointer" }}>
+          Import schema or JSON Schema…
+          <input
+            type="file"
+            accept=".json,application/json,application/schema+json"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) importFile(file);
+              e.target.value = "";
+            }}
+            style={{ display: "none" }}
+          />
+        </label>
+        {schema.columns.length > 0 && (
+          <>
+            <button onClick={onExportSchema} style={{ marginLeft: 8, padding: "4px 8px" }}>
+              Export schema
+            </button>
+            <button onClick={() => setRules([])} style={{ marginLeft: 8, padding: "4px 8px" }}>
+              Clear
+            </button>
+          </>
+        )}
+      </div>
+      {importError && <div style={{ marginTop: 6 }}>Could not import: {importError}</div>}
+
+      {schema.columns.length > 0 && (
+        <>
+          <div style={{ marginTop: 8 }}>
+            On export with violations:
+            <select
+              value={schema.onViolation}
+              onChange={(e) => onChange({ ...schema, onViolation: e.target.value })}
+              style={{ ...inputStyle, marginLeft: 6 }}
+            >
+              <option value="warn">warn and ask</option>
+              <option value="block">block the export</option>
+            </select>
+            {violations.length > 0 && (
+              <button onClick={onDownloadViolations} style={{ padding: "4px 8px" }}>
+                Download violations CSV
+              </button>
+            )}
+          </div>
+
+          {validation && validation.checkedColumns === 0 && (
+            <div style={{ marginTop: 6 }}>No rule names a column of this table.</div>
+          )}
+          {violations.length === 0 ? (
+            <div style={{ marginTop: 6 }}>The table passes every rule.</div>
+          ) : (
+            <ul className="issueList">
+              {violations.slice(0, MAX_LISTED_VIOLATIONS).map((v, k) => (
+                <li key={k}>
+                  {v.row === null ? (
+                    "Table"
+                  ) : (
+                    <button className="linkButton" onClick={() => onJump(v)}>
+                      {`Row ${v.row - offset + 1}, ${v.column}`}
+                    </button>
+                  )}{" "}
+                  {v.message}
+                </li>
+              ))}
+              {violations.length > MAX_LISTED_VIOLATIONS && (
+                <li>…and {violations.length - MAX_LISTED_VIOLATIONS} more</li>
+              )}
+            </ul>
+          )}
+        </>
+      )}
+    </details>
+  );
+}
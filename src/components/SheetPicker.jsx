@@ -0,0 +1,52 @@
+export const ALL_SHEETS = "all";
+
+export default function SheetPicker({
+  label = "Sheet",
+  sheets,
+  value,
+  onChange,
+  sourceColumn,
+  onSourceColumnChange,
+  exportAll,
+  onExportAllChange,
+}) {
+  return (
+    <div className="small" style={{ marginTop: 6 }}>
+      {label}:&nbsp;
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value === ALL_SHEETS ? ALL_SHEETS : Number(e.target.value))}
+        style={{ padding: "4px 6px", marginLeft: 6, marginRight: 14 }}
+      >
+        {sheets.map((sheet, i) => (
+          <option key={i} value={i}>
+            {sheet.name} ({sheet.table.length} rows)
+          </option>
+        ))}
+        <option value={ALL_SHEETS}>All {label.toLowerCase()}s (stacked)</option>
+      </select>
+
+      {value === ALL_SHEETS && (
+        <label style={{ marginRight: 14 }}>
+          <input
+            type="checkbox"
+            checked={sourceColumn}
+            onChange={(e) => onSourceColumnChange(e.target.checked)}
+            style={{ marginRight: 6 }}
+          />
+          Add "{label}" column
+        </label>
+      )}
+
+      <label>
+        <input
+          type="checkbox"
+          checked={exportAll}
+          onChange={(e) => onExportAllChange(e.target.checked)}
+          style={{ marginRight: 6 }}
+        />
+        Download XLSX with every {label.toLowerCase()}
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import { stepLabel } from "../lib/steps";
+
+// The parse step is fixed; every later step can be switched off or removed
+export default function StepList({
+  detected,
+  steps,
+  skipped = [],
+  onToggle,
+  onRemove,
+  canUndo,
+  canRedo,
+  onUndo,
+  onRedo,
+}) {
+  const skipReasons = new Map(skipped.map((s) => [s.id, s.reason]));
+  return (
+    <details className="small" style={{ marginTop: 10 }}>
+      <summary style={{ cursor: "pointer" }}>
+        Steps ({steps.length + 1})
+        <button
+          onClick={(e) => {
+            e.preventDefault();
+            onUndo();
+          }}
+          disabled={!canUndo}
+          title="Undo (Ctrl+Z)"
+          style={{ marginLeft: 10, padding: "4px 8px" }}
+        >
+          Undo
+        </button>
+        <button
+          onClick={(e) => {
+            e.preventDefault();
+            onRedo();
+          }}
+          disabled={!canRedo}
+          title="Redo (Ctrl+Shift+Z)"
+          style={{ marginLeft: 6, padding: "4px 8px" }}
+        >
+          Redo
+        </button>
+      </summary>
+
+      <ol className="stepList">
+        <li>
+          <span style={{ marginLeft: 22 }}>
+            Parse input (detected: <strong>{detected}</strong>)
+          </span>
+        </li>
+        {steps.map((step) => (
+          <li key={step.id} style={{ opacity: step.enabled ? 1 : 0.5 }}>
+            <input
+              type="checkbox"
+              checked={step.enabled}
+              onChange={() => onToggle(step.id)}
+              title={step.enabled ? "Switch this step off" : "Switch this step on"}
+              style={{ marginRight: 8 }}
+            />
+            {stepLabel(step)}
+            {skipReasons.has(step.id) && ` (skipped: ${skipReasons.get(step.id)})`}
+            <button className="gridButton" title="Remove step" onClick={() => onRemove(step.id)}>
+              ×
+            </button>
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+}
@@ -0,0 +1,151 @@
+import { useMemo, useState } from "react";
+import { joinTables } from "../lib/combine";
+
+const PREVIEW_ROWS = 5;
+
+const inputStyle = { padding: "4px 6px", marginLeft: 6, marginRight: 6 };
+
+const columnNames = (table, hasHeader) =>
+  Array.from({ length: table.reduce((n, r) => Math.max(n, r.length), 0) }, (_, j) =>
+    hasHeader ? table[0]?.[j] || `Column ${j + 1}` : `Column ${j + 1}`
+  );
+
+function UnmatchedRows({ label, rows }) {
+  if (rows.length === 0) return null;
+  return (
+    <div style={{ marginTop: 6 }}>
+      {label} ({rows.length}):
+      <div className="repairBefore" style={{ textDecoration: "none" }}>
+        {rows.slice(0, PREVIEW_ROWS).map((row, i) => (
+          <div key={i}>{row.join(" | ")}</div>
+        ))}
+        {rows.length > PREVIEW_ROWS && <div>…</div>}
+      </div>
+    </div>
+  );
+}
+
+// Join form for one loaded table, previewing the rows that find no match
+function JoinForm({ current, other, hasHeader, onJoin, onCancel }) {
+  const leftColumns = columnNames(current, hasHeader);
+  const rightColumns = columnNames(other.table, hasHeader);
+  const [leftKey, setLeftKey] = useState(0);
+  const [rightKey, setRightKey] = useState(() => {
+    const j = rightColumns.findIndex((name) => name.trim().toLowerCase() === leftColumns[0]?.trim().toLowerCase());
+    return Math.max(0, j);
+  });
+  const [how, setHow] = useState("left");
+
+  const join = { leftKey, rightKey, how, hasHeader };
+  const preview = useMemo(
+    () => joinTables(current, other.table, { leftKey, rightKey, how, hasHeader }),
+    [current, other.table, leftKey, rightKey, how, hasHeader]
+  );
+
+  const select = (value, onChange, names) => (
+    <select value={value} onChange={(e) => onChange(Number(e.target.value))} style={inputStyle}>
+      {names.map((name, j) => (
+        <option key={j} value={j}>
+          {name}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="transformPanel">
+      <select value={how} onChange={(e) => setHow(e.target.value)} style={{ ...inputStyle, marginLeft: 0 }}>
+        <option value="inner">Inner join (matches only)</option>
+        <option value="left">Left join (keep every current row)</option>
+        <option value="full">Full join (keep every row of both)</option>
+      </select>
+      <strong>{other.name}</strong> where
+      {select(leftKey, setLeftKey, leftColumns)}=
+      {select(rightKey, setRightKey, rightColumns)}
+      <div style={{ marginTop: 6 }}>
+        Result: {preview.table.length - (hasHeader ? 1 : 0)} rows.
+        <UnmatchedRows label="Current rows without a match" rows={preview.unmatchedLeft} />
+        <UnmatchedRows label={`Rows of ${other.name} without a match`} rows={preview.unmatchedRight} />
+      </div>
+      <div style={{ marginTop: 8 }}>
+        <button
+          onClick={() => onJoin(join, `${leftColumns[leftKey]} = ${rightColumns[rightKey]}`)}
+          style={{ padding: "6px 10px" }}
+        >
+          Join
+        </button>
+        <button onClick={onCancel} style={{ marginLeft: 8, padding: "6px 10px" }}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Other loaded tables, to append below the current one or join onto it
+export default function TablesPanel({ tables, current, hasHeader, onAddFiles, onRemove, onAppend, onJoin }) {
+  const [joining, setJoining] = useState(null); // table name
+
+  const joinTarget = tables.find((t) => t.name === joining);
+
+  return (
+    <details className="small" style={{ marginTop: 10 }}>
+      <summary style={{ cursor: "pointer" }}>Other tables ({tables.length})</summary>
+
+      <div style={{ marginTop: 8 }}>
+        Load more files to append them (columns line up by name) or join them on a key column.{" "}
+        <label style={{ textDecoration: "underline", cursor: "pointer" }}>
+          Add tables…
+          <input
+            type="file"
+            multiple
+            accept=".csv,.txt,.tsv,.md,.html,.htm,.xlsx"
+            onChange={(e) => {
+              if (e.target.files?.length) onAddFiles([...e.target.files]);
+              e.target.value = "";
+            }}
+            style={{ display: "none" }}
+          />
+        </label>
+      </div>
+
+      {tables.length > 0 && (
+        <ul className="stepList">
+          {tables.map((t) => (
+            <li key={t.name}>
+              <strong>{t.name}</strong> — {t.table.length} rows
+              <button onClick={() => onAppend(t.name)} style={{ marginLeft: 8, padding: "2px 8px" }}>
+                Append
+              </button>
+              <button onClick={() => setJoining(t.name)} style={{ marginLeft: 6, padding: "2px 8px" }}>
+                Join…
+              </button>
+              <button
+                className="gridButton"
+                title="Remove table"
+                onClick={() => onRemove(t.name)}
+                style={{ marginLeft: 6 }}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {joinTarget && current.length > 0 && (
+        <JoinForm
+          key={joinTarget.name}
+          current={current}
+          other={joinTarget}
+          hasHeader={hasHeader}
+          onJoin={(join, columns) => {
+            onJoin(joinTarget.name, join, columns);
+            setJoining(null);
+          }}
+          onCancel={() => setJoining(null)}
+        />
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,365 @@
+import Papa from "papaparse";
+import { inferColumnBoundaries, parseFixedWidth } from "./fixedWidth.js";
+import { looksLikeHtmlTable, parseHtmlTables } from "./html.js";
+import { normalizeLocale } from "./locale.js";
+import { isAsciiGrid, isMarkdownTable, parseAsciiGrid, parseMarkdownTable } from "./markdown.js";
+
+/* ---------- parsing helpers ---------- */
+
+export function splitLine(line, delimiter) {
+  const src = line ?? "";
+  if (delimiter) return src.split(delimiter);
+
+  if (src.includes("\t")) return src.split("\t");
+  if (src.includes(";")) return src.split(";");
+  if (src.includes("|")) return src.split("|");
+
+  // fallback: 2+ spaces
+  return src.split(/ {2,}/);
+}
+
+export function normalizeCell(cell, collapseSpaces) {
+  const s = (cell ?? "").toString();
+  if (!collapseSpaces) return s; // keep exactly
+  return s.trim().replace(/\s+/g, " ");
+}
+
+export function rowHasAnyValue(row) {
+  return row.some((c) => (c ?? "").toString().trim() !== "");
+}
+
+export function removeEmptyColumns(table) {
+  if (table.length === 0) return table;
+
+  const maxCols = table.reduce((n, r) => Math.max(n, r.length), 0);
+  const colHasValue = Array(maxCols).fill(false);
+
+  for (const row of table) {
+    for (let j = 0; j < maxCols; j++) {
+      const v = (row[j] ?? "").toString().trim();
+      if (v !== "") colHasValue[j] = true;
+    }
+  }
+
+  return table.map((row) => row.filter((_, j) => colHasValue[j]));
+}
+
+export function parseRowsSimple(lines, delimiter, collapseSpaces) {
+  return lines.map((line) =>
+    splitLine(line, delimiter).map((c) => normalizeCell(c, collapseSpaces))
+  );
+}
+
+// Lower score = better
+export function scoreTable(table) {
+  const rowLengths = table.map((r) => r.length).filter((n) => n > 0);
+  if (rowLengths.length === 0) return Infinity;
+
+  const maxCols = rowLengths.reduce((a, b) => Math.max(a, b), 0);
+  if (maxCols <= 1) return Infinity;
+
+  const counts = new Map();
+  for (const n of rowLengths) counts.set(n, (counts.get(n) || 0) + 1);
+
+  let bestCount = 0;
+  let modeCols = 0;
+  for (const [cols, freq] of counts.entries()) {
+    if (freq > bestCount) {
+      bestCount = freq;
+      modeCols = cols;
+    }
+  }
+
+  const inconsistent = rowLengths.length - bestCount;
+  const raggedPenalty = rowLengths.reduce(
+    (sum, n) => sum + Math.abs(n - modeCols),
+    0
+  );
+
+  return inconsistent * 10 + raggedPenalty;
+}
+
+/* ---------- delimiter detection ---------- */
+
+// In tie-break order
+export const DELIMITER_CANDIDATES = [
+  { name: "tabs", delimiter: "\t" },
+  { name: "comma", delimiter: "," },
+  { name: "pipe", delimiter: "|" },
+  { name: "semicolon", delimiter: ";" },
+  { name: "caret", delimiter: "^" },
+  { name: "colon", delimiter: ":" },
+];
+
+const SPACES_RE = / {2,}/;
+
+// Texts longer than this are detected on a sample, then parsed in full
+// with the chosen candidate
+export const DETECT_SAMPLE_CHARS = 256 * 1024;
+
+const STREAM_CHUNK_CHARS = 1024 * 1024;
+
+/**
+ * Quote-aware split ("a, b" stays one cell, quoted cells may span lines).
+ * With `onProgress`, PapaParse streams the text in chunks and reports the
+ * share parsed so far.
+ */
+export function splitDelimited(text, delimiter, onProgress = null) {
+  if (!onProgress) {
+    const parsed = Papa.parse(text, { delimiter, skipEmptyLines: true });
+    return toStringRows(parsed.data);
+  }
+
+  const rows = [];
+  Papa.parse(text, {
+    delimiter,
+    skipEmptyLines: true,
+    chunkSize: STREAM_CHUNK_CHARS,
+    chunk: (results) => {
+      for (const row of toStringRows(results.data)) rows.push(row);
+      onProgress(Math.min(1, results.meta.cursor / text.length));
+    },
+  });
+  return rows;
+}
+
+/**
+ * Finds 2-3 character punctuation runs such as "::" or "||" that occur the
+ * same number of times on most lines, as candidate multi-char delimiters.
+ */
+export function findMultiCharDelimiters(lines, max = 2) {
+  if (lines.length === 0) return [];
+
+  const perLine = lines.map((line) => {
+    const counts = new Map();
+    for (const m of line.matchAll(/[^\w\s"'.,]{2,3}/g)) counts.set(m[0], (counts.get(m[0]) || 0) + 1);
+    return counts;
+  });
+
+  const seqs = new Set(perLine.flatMap((c) => [...c.keys()]));
+  const found = [];
+  for (const seq of seqs) {
+    const freq = new Map();
+    for (const c of perLine) {
+      const n = c.get(seq) || 0;
+      freq.set(n, (freq.get(n) || 0) + 1);
+    }
+    const [modeCount, modeLines] = [...freq.entries()].sort((a, b) => b[1] - a[1])[0];
+    if (modeCount > 0 && modeLines >= lines.length * 0.8) found.push({ seq, modeLines });
+  }
+
+  return found
+    .sort((a, b) => b.modeLines - a.modeLines)
+    .slice(0, max)
+    .map((f) => f.seq);
+}
+
+function emptyCellShare(table) {
+  let cells = 0;
+  let empty = 0;
+  for (const row of table) {
+    for (const c of row) {
+      cells++;
+      if (c.trim() === "") empty++;
+    }
+  }
+  return cells === 0 ? 1 : empty / cells;
+}
+
+// Most common row length (the longer one on a tie)
+export function modalColumns(table) {
+  const counts = new Map();
+  for (const r of table) counts.set(r.length, (counts.get(r.length) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0]?.[0] ?? 0;
+}
+
+// The candidate parsers detectDelimiter ranks
+function candidateSpecs(lines) {
+  return [
+    { name: "markdown", delimiter: null, parse: isMarkdownTable(lines) && parseMarkdownTable },
+    { name: "ascii-grid", delimiter: null, parse: isAsciiGrid(lines) && parseAsciiGrid },
+    ...DELIMITER_CANDIDATES,
+    ...findMultiCharDelimiters(lines).map((d) => ({ name: `multi (${d})`, delimiter: d })),
+    { name: "spaces", delimiter: null },
+    { name: "fixed-width", delimiter: null },
+  ];
+}
+
+// `{ table, boundaries }` for one candidate, or null when it does not apply.
+// `boundaries` reuses fixed-width columns found on a sample.
+function parseCandidate(spec, text, lines, { collapseSpaces, boundaries = null, onProgress = null }) {
+  if (spec.parse === false) return null;
+  if (spec.parse) return { table: spec.parse(lines), boundaries: null };
+  if (spec.name === "spaces") return { table: parseRowsSimple(lines, SPACES_RE, collapseSpaces), boundaries: null };
+  if (spec.name === "fixed-width") {
+    const starts = boundaries ?? inferColumnBoundaries(lines);
+    return starts.length === 0 ? null : { table: parseFixedWidth(lines, starts), boundaries: starts };
+  }
+  if (!text.includes(spec.delimiter)) return null;
+  return { table: splitDelimited(text, spec.delimiter, onProgress), boundaries: null };
+}
+
+/**
+ * Tries every delimiter candidate (plus Markdown and "+---+" grid tables,
+ * discovered multi-char delimiters, 2+ spaces and fixed-width columns) and
+ * ranks them.
+ *
+ * Each candidate gets a weight from its `scoreTable` penalty per row and its
+ * share of empty cells; `confidence` is that weight as a share of all
+ * candidates' weights. Returns `{ table, detected, boundaries, candidates }`
+ * where `candidates` is `[{ name, delimiter, columns, confidence }]`, best
+ * first. `force` picks a candidate by name instead of the best one.
+ */
+export function detectDelimiter(text, { collapseSpaces = true, force = "" } = {}) {
+  const lines = text.split("\n").filter((l) => l.length > 0);
+
+  const results = [];
+  candidateSpecs(lines).forEach((spec, priority) => {
+    const parsed = parseCandidate(spec, text, lines, { collapseSpaces });
+    if (!parsed) return;
+    const { table, boundaries } = parsed;
+
+    const score = scoreTable(table);
+    if (score === Infinity) return;
+
+    const weight = Math.exp((-2 * score) / table.length) * (1 - emptyCellShare(table)) ** 2;
+    results.push({
+      name: spec.name,
+      delimiter: spec.delimiter,
+      table,
+      boundaries,
+      columns: modalColumns(table),
+      weight,
+      priority,
+    });
+  });
+
+  results.sort((a, b) => b.weight - a.weight || a.priority - b.priority);
+
+  const total = results.reduce((sum, r) => sum + r.weight, 0);
+  const candidates = results.map((r) => ({
+    name: r.name,
+    delimiter: r.delimiter,
+    columns: r.columns,
+    confidence: total > 0 ? r.weight / total : 0,
+  }));
+
+  const chosen = results.find((r) => r.name === force) ?? results[0];
+  if (!chosen) return { table: [], detected: "auto", boundaries: null, candidates };
+
+  return { table: chosen.table, detected: chosen.name, boundaries: chosen.boundaries, candidates };
+}
+
+function toStringRows(rows) {
+  return (Array.isArray(rows) ? rows : []).map((row) => {
+    const arr = Array.isArray(row) ? row : [row];
+    return arr.map((c) => (c ?? "").toString());
+  });
+}
+
+/* ---------- cleaning ---------- */
+
+export const DEFAULT_OPTIONS = {
+  delimiter: "",
+  removeEmptyRows: true,
+  removeEmptyColumns: true,
+  collapseSpaces: true,
+  candidate: "", // force a detectDelimiter candidate by name, "" = best
+  columnBoundaries: null, // fixed-width column starts; overrides delimiter detection (null or [] = auto)
+  locale: "", // "" = leave numbers/dates as-is, "auto" or a LOCALES key
+  hasHeader: undefined, // undefined = detect
+  onProgress: null, // (stage, share done) while parsing large inputs
+};
+
+export function applyCleaning(t, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  let out = t.map((row) => row.map((c) => normalizeCell(c, opts.collapseSpaces)));
+  if (opts.removeEmptyRows) out = out.filter(rowHasAnyValue);
+  if (opts.removeEmptyColumns) out = removeEmptyColumns(out);
+  return out;
+}
+
+// Splits raw text into rows, detecting the delimiter unless one is given.
+export function parseText(text, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  if (opts.columnBoundaries?.length === 0) opts.columnBoundaries = null;
+  const normalizedText = (text ?? "").replace(/\r\n/g, "\n");
+  const splitLines = (s) => s.split("\n").filter((l) => l.length > 0);
+
+  if (looksLikeHtmlTable(normalizedText) && !opts.delimiter && !opts.columnBoundaries) {
+    const [first] = parseHtmlTables(normalizedText);
+    if (first) return { table: first.table, detected: "html", candidates: [] };
+  }
+
+  const large = normalizedText.length > DETECT_SAMPLE_CHARS;
+  const sampleEnd = normalizedText.lastIndexOf("\n", DETECT_SAMPLE_CHARS);
+  const sample = large ? normalizedText.slice(0, sampleEnd > 0 ? sampleEnd : DETECT_SAMPLE_CHARS) : normalizedText;
+  opts.onProgress?.("detecting", 0);
+  const detection = detectDelimiter(sample, {
+    collapseSpaces: opts.collapseSpaces,
+    force: opts.candidate,
+  });
+  const { candidates } = detection;
+  const onProgress = opts.onProgress && ((share) => opts.onProgress("parsing", share));
+
+  if (opts.columnBoundaries) {
+    const parsed = parseFixedWidth(splitLines(normalizedText), opts.columnBoundaries);
+    return { table: parsed, detected: "fixed-width (manual)", boundaries: opts.columnBoundaries, candidates };
+  }
+
+  if (opts.delimiter) {
+    const parsed = splitDelimited(normalizedText, opts.delimiter, onProgress);
+    return { table: parsed, detected: `custom (${opts.delimiter})`, candidates };
+  }
+
+  if (!large || detection.detected === "auto") return detection;
+
+  const spec = candidateSpecs(splitLines(sample)).find((s) => s.name === detection.detected);
+  // Delimited candidates stream the text and never need the lines
+  const lines = spec.delimiter ? [] : splitLines(normalizedText);
+  const parsed = parseCandidate(spec, normalizedText, lines, {
+    collapseSpaces: opts.collapseSpaces,
+    boundaries: detection.boundaries,
+    onProgress,
+  });
+  return { ...detection, ...parsed };
+}
+
+/**
+ * Parses and cleans a table.
+ * `input` is either raw text (delimiter auto-detected) or an array of rows.
+ * Returns `{ table, detected, hasTable, boundaries, candidates, normalization }`;
+ * `boundaries` are the fixed-width column starts when that parser was used,
+ * `candidates` the ranked `detectDelimiter` candidates (text input only),
+ * `normalization` the `normalizeLocale` report (without the table) or null.
+ */
+export function cleanTable(input, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+
+  const parsed = Array.isArray(input)
+    ? { table: toStringRows(input), detected: "table" }
+    : parseText(input, opts);
+
+  opts.onProgress?.("cleaning", 1);
+  let table = applyCleaning(parsed.table, opts);
+  const hasTable = table.length > 0 && table.some((r) => r.length > 1);
+
+  let normalization = null;
+  if (opts.locale && hasTable) {
+    const { table: normalized, ...report } = normalizeLocale(table, {
+      locale: opts.locale,
+      hasHeader: opts.hasHeader,
+    });
+    table = normalized;
+    normalization = report;
+  }
+
+  return {
+    table,
+    detected: parsed.detected,
+    hasTable,
+    boundaries: parsed.boundaries ?? null,
+    candidates: parsed.candidates ?? [],
+    normalization,
+  };
+}
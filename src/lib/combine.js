@@ -0,0 +1,90 @@
+/* ---------- append and join ---------- */
+
+// Both take the current table and another loaded table. With `hasHeader`
+// row 0 of each is its header: appended columns line up by name, and the
+// joined header keeps both sides' names.
+
+const nameKey = (cell) => (cell ?? "").toString().trim().toLowerCase();
+const width = (table) => table.reduce((n, r) => Math.max(n, r.length), 0);
+
+/**
+ * Appends the rows of `other` below `table`. With headers, columns match by
+ * name (case and spaces ignored) and new names are added on the right;
+ * without, they match by position.
+ */
+export function appendTables(table, other, { hasHeader = true } = {}) {
+  if (!hasHeader || table.length === 0) return [...table, ...(hasHeader ? other.slice(1) : other)];
+
+  const header = table[0].slice();
+  const index = new Map(header.map((name, j) => [nameKey(name), j]));
+  const mapping = (other[0] ?? []).map((name) => {
+    const key = nameKey(name);
+    if (!index.has(key)) {
+      index.set(key, header.length);
+      header.push(name);
+    }
+    return index.get(key);
+  });
+
+  const pad = (row) => [...row, ...Array(Math.max(0, header.length - row.length)).fill("")];
+  const appended = other.slice(1).map((row) => {
+    const out = Array(header.length).fill("");
+    row.forEach((cell, j) => {
+      out[mapping[j] ?? header.length + j] = cell;
+    });
+    return out;
+  });
+  return [header, ...table.slice(1).map(pad), ...appended];
+}
+
+/**
+ * Joins `right` onto `table` where column `leftKey` equals `rightKey`
+ * (trimmed, case ignored). `how` is "inner", "left" or "full"; several
+ * matches give one row per pair. The right key column is dropped, since
+ * it repeats the left one (full joins fill the left key from it).
+ *
+ * Returns `{ table, unmatchedLeft, unmatchedRight }` with the rows (from
+ * each input) that found no partner.
+ */
+export function joinTables(table, right, { leftKey, rightKey, how = "inner", hasHeader = true } = {}) {
+  const start = hasHeader ? 1 : 0;
+  const leftWidth = width(table);
+  const rightCols = Array.from({ length: width(right) }, (_, j) => j).filter((j) => j !== rightKey);
+  const rightPart = (row) => rightCols.map((j) => row?.[j] ?? "");
+  const pad = (row) => Array.from({ length: leftWidth }, (_, j) => row[j] ?? "");
+
+  const byKey = new Map();
+  for (let i = start; i < right.length; i++) {
+    const key = nameKey(right[i][rightKey]);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(i);
+  }
+
+  const out = hasHeader ? [[...pad(table[0] ?? []), ...rightPart(right[0])]] : [];
+  const matchedRight = new Set();
+  const unmatchedLeft = [];
+
+  for (let i = start; i < table.length; i++) {
+    const row = table[i];
+    const partners = byKey.get(nameKey(row[leftKey])) ?? [];
+    for (const r of partners) {
+      matchedRight.add(r);
+      out.push([...pad(row), ...rightPart(right[r])]);
+    }
+    if (partners.length > 0) continue;
+    unmatchedLeft.push(row);
+    if (how !== "inner") out.push([...pad(row), ...rightPart(null)]);
+  }
+
+  const unmatchedRight = [];
+  for (let i = start; i < right.length; i++) {
+    if (matchedRight.has(i)) continue;
+    unmatchedRight.push(right[i]);
+    if (how !== "full") continue;
+    const left = Array(leftWidth).fill("");
+    left[leftKey] = right[i][rightKey] ?? "";
+    out.push([...left, ...rightPart(right[i])]);
+  }
+
+  return { table: out, unmatchedLeft, unmatchedRight };
+}
@@ -0,0 +1,116 @@
+/* ---------- duplicate rows ---------- */
+
+// Options shared by findDuplicates and removeDuplicates:
+//   keys         column indexes to compare; null/empty = every column
+//   ignoreCase, ignoreWhitespace, ignorePunctuation
+//   similarity   0..1; below 1, keys this similar (by edit distance) match
+//   hasHeader    leaves row 0 out of the comparison
+//   keep         "first" | "last" | "merge" (removeDuplicates only)
+
+function normalizeKey(value, { ignoreCase, ignoreWhitespace, ignorePunctuation }) {
+  let s = (value ?? "").toString();
+  if (ignoreCase) s = s.toLowerCase();
+  if (ignorePunctuation) s = s.replace(/[\p{P}\p{S}]/gu, "");
+  if (ignoreWhitespace) s = s.replace(/\s+/g, "");
+  else s = s.trim().replace(/\s+/g, " ");
+  return s;
+}
+
+function rowKey(row, options) {
+  const cols = options.keys?.length ? options.keys : row.map((_, j) => j);
+  return cols.map((j) => normalizeKey(row[j], options)).join("\u0001");
+}
+
+// Levenshtein distance, giving up once it must exceed `max`
+function boundedDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, cur[j]);
+    }
+    if (best > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function isSimilar(a, b, similarity) {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return true;
+  const max = Math.floor(longest * (1 - similarity));
+  return boundedDistance(a, b, max) <= max;
+}
+
+// Groups by key length, so fuzzy lookups only visit keys of a length that could match
+function findSimilarGroup(byLength, key, similarity) {
+  const reach = similarity > 0 ? Math.ceil((key.length * (1 - similarity)) / similarity) : Infinity;
+  for (const [len, groups] of byLength) {
+    if (Math.abs(len - key.length) > reach) continue;
+    const match = groups.find((g) => isSimilar(g.key, key, similarity));
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Groups rows with matching keys. Returns `[[row, row, ...], ...]` with
+ * table row indexes in order; only groups of two or more are returned.
+ * Fuzzy matching compares each row with the first row of every group,
+ * so it gets slow on many thousands of distinct rows.
+ */
+export function findDuplicates(table, options = {}) {
+  const { similarity = 1, hasHeader = false } = options;
+  const start = hasHeader ? 1 : 0;
+  const exact = new Map();
+  const byLength = new Map();
+  const groups = [];
+
+  for (let i = start; i < table.length; i++) {
+    const key = rowKey(table[i], options);
+    let group = exact.get(key);
+    if (!group && similarity < 1) group = findSimilarGroup(byLength, key, similarity);
+    if (!group) {
+      group = { key, rows: [] };
+      groups.push(group);
+      if (!byLength.has(key.length)) byLength.set(key.length, []);
+      byLength.get(key.length).push(group);
+    }
+    exact.set(key, group);
+    group.rows.push(i);
+  }
+
+  return groups.filter((g) => g.rows.length > 1).map((g) => g.rows);
+}
+
+// Kept row with its blank cells filled from the other rows, first value wins
+function mergeRows(rows) {
+  const width = Math.max(...rows.map((r) => r.length));
+  return Array.from({ length: width }, (_, j) => rows.map((r) => r[j] ?? "").find((c) => c.trim() !== "") ?? "");
+}
+
+/**
+ * Removes duplicate rows (see findDuplicates for matching). `keep` picks
+ * the first or last row of each group, or "merge" keeps the first
+ * position with blanks filled in from the rest.
+ */
+export function removeDuplicates(table, options = {}) {
+  const { keep = "first" } = options;
+  const drop = new Set();
+  const replace = new Map();
+
+  for (const rows of findDuplicates(table, options)) {
+    const kept = keep === "last" ? rows[rows.length - 1] : rows[0];
+    for (const i of rows) if (i !== kept) drop.add(i);
+    if (keep === "merge") replace.set(kept, mergeRows(rows.map((i) => table[i])));
+  }
+
+  const out = [];
+  table.forEach((row, i) => {
+    if (!drop.has(i)) out.push(replace.get(i) ?? row);
+  });
+  return out;
+}
@@ -0,0 +1,63 @@
+/* ---------- manual edits ---------- */
+
+// Edits are replayed in order on top of the cleaned table, so the source
+// text is never rewritten. Rows and columns are 0-based indexes into the
+// table as it is when the edit runs (row 0 is the header row, if any).
+//
+//   { type: "setCell", row, col, value }
+//   { type: "insertRow", row }            empty row before `row`
+//   { type: "deleteRow", row }
+//   { type: "insertColumn", col, name }   empty column before `col`; `name`
+//                                         goes in row 0 when there is a header
+//   { type: "deleteColumn", col }
+//   { type: "moveColumn", from, to }
+
+function width(table) {
+  return table.reduce((n, r) => Math.max(n, r.length), 0);
+}
+
+function applyEdit(table, edit) {
+  switch (edit.type) {
+    case "setCell":
+      return table.map((r, i) => {
+        if (i !== edit.row) return r;
+        const row = r.slice();
+        while (row.length <= edit.col) row.push("");
+        row[edit.col] = edit.value;
+        return row;
+      });
+    case "insertRow": {
+      const out = table.slice();
+      out.splice(edit.row, 0, Array(width(table)).fill(""));
+      return out;
+    }
+    case "deleteRow":
+      return table.filter((_, i) => i !== edit.row);
+    case "insertColumn":
+      return table.map((r, i) => {
+        const row = r.slice();
+        while (row.length < edit.col) row.push("");
+        row.splice(edit.col, 0, i === 0 ? edit.name ?? "" : "");
+        return row;
+      });
+    case "deleteColumn":
+      return table.map((r) => r.filter((_, j) => j !== edit.col));
+    case "moveColumn": {
+      const w = width(table);
+      return table.map((r) => {
+        const row = r.slice();
+        while (row.length < w) row.push("");
+        const [cell] = row.splice(edit.from, 1);
+        row.splice(edit.to, 0, cell);
+        return row;
+      });
+    }
+    default:
+      return table;
+  }
+}
+
+// Replays manual grid edits on a table and returns the edited copy
+export function applyEdits(table, edits) {
+  return edits.reduce(applyEdit, table);
+}
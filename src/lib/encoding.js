@@ -0,0 +1,127 @@
+/* ---------- input encodings ---------- */
+
+// Names are TextDecoder labels. Browsers decode "iso-8859-1" as
+// windows-1252 anyway, so the two share an entry.
+export const ENCODINGS = {
+  "utf-8": "UTF-8",
+  "utf-16le": "UTF-16 LE",
+  "utf-16be": "UTF-16 BE",
+  "windows-1252": "Windows-1252 / ISO-8859-1 (Western)",
+  "iso-8859-15": "ISO-8859-15 (Western, with €)",
+  "iso-8859-2": "ISO-8859-2 (Central European)",
+  shift_jis: "Shift-JIS (Japanese)",
+};
+
+// Bytes looked at when sniffing; enough for any realistic header + rows
+const SAMPLE_BYTES = 64 * 1024;
+
+const BOMS = [
+  { encoding: "utf-8", bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: "utf-16le", bytes: [0xff, 0xfe] },
+  { encoding: "utf-16be", bytes: [0xfe, 0xff] },
+];
+
+function bomEncoding(bytes) {
+  const bom = BOMS.find((b) => b.bytes.every((x, i) => bytes[i] === x));
+  return bom?.encoding ?? null;
+}
+
+// Mostly-ASCII UTF-16 text has a zero in every other byte
+function sniffUtf16(sample) {
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs < 2) return null;
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i + 1 < sample.length; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+  if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return "utf-16le";
+  if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return "utf-16be";
+  return null;
+}
+
+function decodes(sample, encoding) {
+  try {
+    new TextDecoder(encoding, { fatal: true }).decode(sample);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// A sample cut mid-file ends at its last full line, so no character is split
+function wholeLines(sample, truncated) {
+  if (!truncated) return sample;
+  const end = sample.lastIndexOf(0x0a);
+  return end > 0 ? sample.subarray(0, end) : sample;
+}
+
+// Share of non-ASCII characters that are kana, kanji or full-width forms
+function japaneseShare(text) {
+  let high = 0;
+  let japanese = 0;
+  for (const [ch] of text.matchAll(/\P{ASCII}/gu)) {
+    high++;
+    if (/[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}\u3000-\u303f\uff00-\uffef]/u.test(ch)) japanese++;
+  }
+  return high === 0 ? 0 : japanese / high;
+}
+
+// Share of non-ASCII characters that are letters next to other letters;
+// the right single-byte code page turns accents into letters, not symbols.
+function letterScore(text) {
+  let high = 0;
+  let letters = 0;
+  for (const m of text.matchAll(/\P{ASCII}/gu)) {
+    high++;
+    const before = text[m.index - 1] ?? "";
+    const after = text[m.index + 1] ?? "";
+    if (/\p{L}/u.test(m[0]) && (/\p{L}/u.test(before) || /\p{L}/u.test(after))) letters++;
+  }
+  return high === 0 ? 1 : letters / high;
+}
+
+/**
+ * Guesses the encoding of raw file bytes: BOM first, then UTF-16 zero
+ * patterns, strict UTF-8, Shift-JIS that decodes to Japanese text, and
+ * finally the Western or Central European code page whose decoding reads
+ * most like words.
+ * Returns `{ encoding, bom }` where `encoding` is a key of ENCODINGS.
+ */
+export function detectEncoding(bytes) {
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+
+  const fromBom = bomEncoding(data);
+  if (fromBom) return { encoding: fromBom, bom: true };
+
+  const truncated = data.length > SAMPLE_BYTES;
+  const sample = data.subarray(0, SAMPLE_BYTES);
+
+  const utf16 = sniffUtf16(sample);
+  if (utf16) return { encoding: utf16, bom: false };
+
+  const lines = wholeLines(sample, truncated);
+  if (decodes(lines, "utf-8")) return { encoding: "utf-8", bom: false };
+
+  const western = letterScore(new TextDecoder("windows-1252").decode(lines));
+  if (decodes(lines, "shift_jis")) {
+    const japanese = japaneseShare(new TextDecoder("shift_jis").decode(lines));
+    if (japanese > 0.8 && japanese > western) return { encoding: "shift_jis", bom: false };
+  }
+
+  const central = letterScore(new TextDecoder("iso-8859-2").decode(lines));
+  return { encoding: central > western ? "iso-8859-2" : "windows-1252", bom: false };
+}
+
+/**
+ * Decodes raw bytes as text. `encoding` is a key of ENCODINGS, or
+ * "" / "auto" to use detectEncoding. A leading BOM is dropped.
+ * Returns `{ text, encoding }`.
+ */
+export function decodeText(bytes, encoding = "auto") {
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const resolved = !encoding || encoding === "auto" ? detectEncoding(data).encoding : encoding;
+  return { text: new TextDecoder(resolved).decode(data), encoding: resolved };
+}
@@ -0,0 +1,239 @@
+import Papa from "papaparse";
+import { NUMERIC_TYPES, parseTypedValue } from "./types.js";
+
+/* ---------- text exporters ---------- */
+
+export function toTsv(data) {
+  return data.map((r) => r.join("\t")).join("\n");
+}
+
+export const QUOTE_STYLES = ["minimal", "all", "text"];
+
+const PLAIN_NUMBER_RE = /^[+-]?\d+(?:[.,]\d+)?$/;
+
+/**
+ * CSV via PapaParse. `quotes` is "minimal" (only where needed), "all",
+ * or "text" (every non-empty cell that is not a plain number). Rows end
+ * with `lineEnding` ("lf" | "crlf").
+ */
+export function toCsv(data, { delimiter = ",", quotes = "minimal", lineEnding = "lf" } = {}) {
+  let quoteRule = false;
+  if (quotes === "all") quoteRule = true;
+  else if (quotes === "text") quoteRule = (value) => value !== "" && !PLAIN_NUMBER_RE.test(value);
+  return Papa.unparse(data, { delimiter, quotes: quoteRule, newline: lineEnding === "crlf" ? "\r\n" : "\n" });
+}
+
+/**
+ * Line endings ("lf" | "crlf") and an optional UTF-8 BOM for a text file.
+ * Excel only reads UTF-8 CSV correctly when it starts with a BOM.
+ */
+export function finishTextFile(text, { lineEnding = "lf", bom = false } = {}) {
+  const body = lineEnding === "crlf" ? text.replace(/\r?\n/g, "\r\n") : text;
+  return bom ? `\ufeff${body}` : body;
+}
+
+function padRows(data) {
+  const maxCols = data.reduce((n, r) => Math.max(n, r.length), 0);
+  return data.map((r) => Array.from({ length: maxCols }, (_, j) => r[j] ?? ""));
+}
+
+/**
+ * Column names for keyed formats: the header row when there is one,
+ * with blanks filled in and duplicates numbered ("Name", "Name_2").
+ */
+export function columnNames(data, hasHeader = true) {
+  const rows = padRows(data);
+  const width = rows[0]?.length ?? 0;
+  const used = new Set();
+
+  return Array.from({ length: width }, (_, j) => {
+    const base = (hasHeader ? rows[0][j].trim() : "") || `column_${j + 1}`;
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}_${n}`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+function bodyRows(data, hasHeader) {
+  const rows = padRows(data);
+  return hasHeader ? rows.slice(1) : rows;
+}
+
+// Typed JS value for JSON/SQL: numbers and booleans when the column is typed
+function typedValue(cell, j, ctx) {
+  const type = ctx.types?.[j];
+  const typed = type ? parseTypedValue(cell, type, { dateOrder: ctx.dateOrders?.[j] ?? "dmy" }) : null;
+  if (!typed) return cell;
+  if (typeof typed.value === "object") {
+    const d = typed.value;
+    return `${d.year}-${String(d.month).padStart(2, "0")}-${String(d.day).padStart(2, "0")}`;
+  }
+  return typed.value;
+}
+
+/* ---------- json ---------- */
+
+export function toJson(data, { mode = "objects", hasHeader = true, types, dateOrders } = {}) {
+  const ctx = { types, dateOrders };
+  const cellValue = (c, j) => (c === "" ? null : typedValue(c, j, ctx));
+
+  if (mode === "arrays") {
+    // One row per line reads better than one cell per line
+    const rows = padRows(data).map((r, i) => (hasHeader && i === 0 ? r : r.map(cellValue)));
+    return `[\n${rows.map((r) => `  ${JSON.stringify(r)}`).join(",\n")}\n]`;
+  }
+
+  const names = columnNames(data, hasHeader);
+  const objects = bodyRows(data, hasHeader).map((r) =>
+    Object.fromEntries(names.map((name, j) => [name, cellValue(r[j], j)]))
+  );
+  return JSON.stringify(objects, null, 2);
+}
+
+/* ---------- sql ---------- */
+
+const SQL_TYPES = {
+  sqlite: {
+    integer: "INTEGER",
+    decimal: "REAL",
+    percent: "REAL",
+    currency: "REAL",
+    date: "TEXT",
+    boolean: "INTEGER",
+    text: "TEXT",
+  },
+  postgres: {
+    integer: "BIGINT",
+    decimal: "NUMERIC",
+    percent: "NUMERIC",
+    currency: "NUMERIC",
+    date: "DATE",
+    boolean: "BOOLEAN",
+    text: "TEXT",
+  },
+};
+
+const SQL_BATCH = 500;
+
+function quoteIdent(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+function sqlLiteral(value, dialect) {
+  if (value === null) return "NULL";
+  if (typeof value === "number") return Number.isFinite(value) ? String(value) : "NULL";
+  if (typeof value === "boolean") return dialect === "sqlite" ? (value ? "1" : "0") : value ? "TRUE" : "FALSE";
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * `CREATE TABLE` plus batched `INSERT` statements.
+ * `dialect` is "sqlite" or "postgres"; column types come from `types`.
+ */
+export function toSql(data, options = {}) {
+  const { dialect = "sqlite", tableName = "data", hasHeader = true, types = [], dateOrders } = options;
+  const ctx = { types, dateOrders };
+  const names = columnNames(data, hasHeader);
+  const rows = bodyRows(data, hasHeader);
+  const table = quoteIdent(tableName || "data");
+  const cols = names.map(quoteIdent).join(", ");
+
+  const defs = names.map((name, j) => `  ${quoteIdent(name)} ${SQL_TYPES[dialect][types[j] ?? "text"] ?? "TEXT"}`);
+  const out = [`CREATE TABLE ${table} (\n${defs.join(",\n")}\n);`];
+
+  for (let i = 0; i < rows.length; i += SQL_BATCH) {
+    const values = rows
+      .slice(i, i + SQL_BATCH)
+      .map((r) => `  (${r.map((c, j) => sqlLiteral(c === "" ? null : typedValue(c, j, ctx), dialect)).join(", ")})`);
+    out.push(`INSERT INTO ${table} (${cols}) VALUES\n${values.join(",\n")};`);
+  }
+
+  return out.join("\n\n");
+}
+
+/* ---------- html ---------- */
+
+function escapeHtml(s) {
+  return s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+export function toHtmlTable(data, { hasHeader = true } = {}) {
+  const rows = padRows(data);
+  const row = (r, tag) => `    <tr>${r.map((c) => `<${tag}>${escapeHtml(c)}</${tag}>`).join("")}</tr>`;
+
+  const out = ["<table>"];
+  if (hasHeader && rows.length > 0) out.push("  <thead>", row(rows[0], "th"), "  </thead>");
+  out.push("  <tbody>", ...(hasHeader ? rows.slice(1) : rows).map((r) => row(r, "td")), "  </tbody>");
+  out.push("</table>");
+  return out.join("\n");
+}
+
+/* ---------- latex ---------- */
+
+const LATEX_ESCAPES = {
+  "\\": "\\textbackslash{}",
+  "&": "\\&",
+  "%": "\\%",
+  $: "\\$",
+  "#": "\\#",
+  _: "\\_",
+  "{": "\\{",
+  "}": "\\}",
+  "~": "\\textasciitilde{}",
+  "^": "\\textasciicircum{}",
+};
+
+function escapeLatex(s) {
+  return s.replace(/[\\&%$#_{}~^]/g, (ch) => LATEX_ESCAPES[ch]);
+}
+
+// Numeric columns are right-aligned
+export function toLatexTable(data, { hasHeader = true, types = [] } = {}) {
+  const rows = padRows(data);
+  const width = rows[0]?.length ?? 0;
+  const spec = Array.from({ length: width }, (_, j) => (NUMERIC_TYPES.has(types[j]) ? "r" : "l")).join("");
+  const line = (r) => `  ${r.map(escapeLatex).join(" & ")} \\\\`;
+
+  const out = [`\\begin{tabular}{${spec}}`, "  \\hline"];
+  if (hasHeader && rows.length > 0) out.push(line(rows[0]), "  \\hline");
+  out.push(...(hasHeader ? rows.slice(1) : rows).map(line), "  \\hline", "\\end{tabular}");
+  return out.join("\n");
+}
+
+/* ---------- registry ---------- */
+
+// Text formats offered next to the CSV/XLSX/Markdown buttons.
+// `render(table, ctx)` gets `{ hasHeader, types, dateOrders, tableName }`.
+export const EXPORT_FORMATS = [
+  {
+    id: "json",
+    label: "JSON (array of objects)",
+    ext: "json",
+    mime: "application/json",
+    render: (t, ctx) => toJson(t, { ...ctx, mode: "objects" }),
+  },
+  {
+    id: "json-arrays",
+    label: "JSON (array of arrays)",
+    ext: "json",
+    mime: "application/json",
+    render: (t, ctx) => toJson(t, { ...ctx, mode: "arrays" }),
+  },
+  {
+    id: "sqlite",
+    label: "SQL (SQLite)",
+    ext: "sql",
+    mime: "application/sql",
+    render: (t, ctx) => toSql(t, { ...ctx, dialect: "sqlite" }),
+  },
+  {
+    id: "postgres",
+    label: "SQL (PostgreSQL)",
+    ext: "sql",
+    mime: "application/sql",
+    render: (t, ctx) => toSql(t, { ...ctx, dialect: "postgres" }),
+  },
+  { id: "html", label: "HTML table", ext: "html", mime: "text/html", render: toHtmlTable },
+  { id: "latex", label: "LaTeX tabular", ext: "tex", mime: "application/x-tex", render: toLatexTable },
+];
@@ -0,0 +1,261 @@
+import { cellNumber } from "./types.js";
+
+/* ---------- computed column expressions ---------- */
+
+// A small formula language, parsed here and never handed to eval:
+//
+//   [Unit price] * Qty          columns by header name; brackets allow spaces
+//   First & " " & Last          & joins text
+//   if(Qty > 10, "bulk", "")    if, and, or, not, = != < <= > >=
+//   round(Total / 3, 2)         functions listed in FUNCTIONS
+//
+// Arithmetic reads cells as numbers (currency and percent included); a cell
+// that is not a number, or a division by zero, leaves the result blank.
+
+const TOKEN_RE = new RegExp(
+  String.raw`\s*(?:` +
+    [
+      String.raw`(\d+(?:\.\d+)?)`, // number
+      String.raw`"((?:[^"]|"")*)"`, // "text", quotes doubled inside
+      String.raw`'((?:[^']|'')*)'`,
+      String.raw`\[([^\]]*)\]`, // [Column name]
+      String.raw`([\p{L}_][\p{L}\p{N}_.]*)`, // column, function or keyword
+      String.raw`(<=|>=|<>|!=|==|[-+*/%&=<>(),])`,
+    ].join("|") +
+    ")",
+  "uy"
+);
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_RE.lastIndex = 0;
+  while (TOKEN_RE.lastIndex < source.length) {
+    const at = source.slice(TOKEN_RE.lastIndex).search(/\S/);
+    if (at === -1) break;
+    const start = TOKEN_RE.lastIndex + at;
+    const m = TOKEN_RE.exec(source);
+    if (!m) throw new Error(`Unexpected “${source[start]}” at character ${start + 1}.`);
+    const [, number, dq, sq, bracketed, word, op] = m;
+    if (number !== undefined) tokens.push({ kind: "number", value: Number(number) });
+    else if (dq !== undefined) tokens.push({ kind: "string", value: dq.replace(/""/g, '"') });
+    else if (sq !== undefined) tokens.push({ kind: "string", value: sq.replace(/''/g, "'") });
+    else if (bracketed !== undefined) tokens.push({ kind: "column", value: bracketed });
+    else if (word !== undefined) tokens.push({ kind: "word", value: word });
+    else tokens.push({ kind: "op", value: op });
+  }
+  return tokens;
+}
+
+/* ---------- values ---------- */
+
+// Cells are strings; operators convert as they need
+function toNumber(v) {
+  if (typeof v === "number") return v;
+  if (typeof v === "boolean") return v ? 1 : 0;
+  return cellNumber(v) ?? NaN;
+}
+
+function toText(v) {
+  if (typeof v === "boolean") return v ? "TRUE" : "FALSE";
+  if (typeof v === "number") return Number.isFinite(v) ? String(Math.round(v * 1e9) / 1e9) : "";
+  return v;
+}
+
+function isTrue(v) {
+  if (typeof v === "boolean") return v;
+  if (typeof v === "number") return v !== 0 && !Number.isNaN(v);
+  const s = v.trim().toLowerCase();
+  return s !== "" && s !== "false" && s !== "0" && s !== "no";
+}
+
+function compare(a, b) {
+  const x = toNumber(a);
+  const y = toNumber(b);
+  if (!Number.isNaN(x) && !Number.isNaN(y)) return x - y;
+  return toText(a).trim().localeCompare(toText(b).trim(), undefined, { sensitivity: "accent" });
+}
+
+const BINARY = {
+  "+": (a, b) => toNumber(a) + toNumber(b),
+  "-": (a, b) => toNumber(a) - toNumber(b),
+  "*": (a, b) => toNumber(a) * toNumber(b),
+  "/": (a, b) => toNumber(a) / toNumber(b),
+  "%": (a, b) => toNumber(a) % toNumber(b),
+  "&": (a, b) => toText(a) + toText(b),
+  "=": (a, b) => compare(a, b) === 0,
+  "!=": (a, b) => compare(a, b) !== 0,
+  "<": (a, b) => compare(a, b) < 0,
+  "<=": (a, b) => compare(a, b) <= 0,
+  ">": (a, b) => compare(a, b) > 0,
+  ">=": (a, b) => compare(a, b) >= 0,
+};
+BINARY["=="] = BINARY["="];
+BINARY["<>"] = BINARY["!="];
+
+const numbers = (args) => args.map(toNumber).filter((n) => !Number.isNaN(n));
+
+export const FUNCTIONS = {
+  round: (x, digits = 0) => {
+    const f = 10 ** toNumber(digits);
+    return Math.round(toNumber(x) * f) / f;
+  },
+  abs: (x) => Math.abs(toNumber(x)),
+  min: (...args) => (numbers(args).length ? Math.min(...numbers(args)) : NaN),
+  max: (...args) => (numbers(args).length ? Math.max(...numbers(args)) : NaN),
+  upper: (s) => toText(s).toUpperCase(),
+  lower: (s) => toText(s).toLowerCase(),
+  trim: (s) => toText(s).trim(),
+  len: (s) => toText(s).length,
+  concat: (...args) => args.map(toText).join(""),
+  isblank: (s) => toText(s).trim() === "",
+};
+
+/* ---------- parser ---------- */
+
+// Recursive descent, lowest precedence first. Each rule returns a function
+// of the row, so evaluation is a plain call per row.
+function parse(tokens, columns) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (...ops) => peek()?.kind === "op" && ops.includes(peek().value);
+  const isWord = (word) => peek()?.kind === "word" && peek().value.toLowerCase() === word;
+  const expect = (op) => {
+    if (!isOp(op)) throw new Error(peek() ? `Expected “${op}” before “${peek().value}”.` : `Missing “${op}”.`);
+    pos++;
+  };
+
+  function binary(next, ops) {
+    let left = next();
+    while (isOp(...ops)) {
+      const fn = BINARY[tokens[pos++].value];
+      const l = left;
+      const r = next();
+      left = (row) => fn(l(row), r(row));
+    }
+    return left;
+  }
+
+  function or() {
+    let left = and();
+    while (isWord("or")) {
+      pos++;
+      const l = left;
+      const r = and();
+      left = (row) => isTrue(l(row)) || isTrue(r(row));
+    }
+    return left;
+  }
+
+  function and() {
+    let left = not();
+    while (isWord("and")) {
+      pos++;
+      const l = left;
+      const r = not();
+      left = (row) => isTrue(l(row)) && isTrue(r(row));
+    }
+    return left;
+  }
+
+  function not() {
+    if (!isWord("not")) return comparison();
+    pos++;
+    const operand = not();
+    return (row) => !isTrue(operand(row));
+  }
+
+  const comparison = () => binary(concat, ["=", "==", "!=", "<>", "<", "<=", ">", ">="]);
+  const concat = () => binary(additive, ["&"]);
+  const additive = () => binary(multiplicative, ["+", "-"]);
+  const multiplicative = () => binary(unary, ["*", "/", "%"]);
+
+  function unary() {
+    if (!isOp("-", "+")) return primary();
+    const negate = tokens[pos++].value === "-";
+    const operand = unary();
+    return negate ? (row) => -toNumber(operand(row)) : (row) => toNumber(operand(row));
+  }
+
+  function column(name) {
+    const key = name.trim().toLowerCase();
+    const j = columns.findIndex((c) => c.trim().toLowerCase() === key);
+    if (j === -1) throw new Error(`Unknown column “${name}”.`);
+    return (row) => row[j] ?? "";
+  }
+
+  function call(name) {
+    pos++; // "("
+    const args = [];
+    while (!isOp(")")) {
+      if (!peek()) throw new Error(`Missing “)” after ${name}(.`);
+      if (args.length > 0) expect(",");
+      args.push(or());
+    }
+    expect(")");
+
+    if (name === "if") {
+      if (args.length < 2 || args.length > 3) throw new Error("if needs a condition, a value and an optional else.");
+      const [test, then, otherwise = () => ""] = args;
+      return (row) => (isTrue(test(row)) ? then(row) : otherwise(row));
+    }
+    const fn = Object.hasOwn(FUNCTIONS, name) ? FUNCTIONS[name] : null;
+    if (!fn) throw new Error(`Unknown function “${name}”.`);
+    return (row) => fn(...args.map((arg) => arg(row)));
+  }
+
+  function primary() {
+    const token = peek();
+    if (!token) throw new Error("The expression ends too early.");
+    if (isOp("(")) {
+      pos++;
+      const inner = or();
+      expect(")");
+      return inner;
+    }
+    pos++;
+    if (token.kind === "number" || token.kind === "string") return () => token.value;
+    if (token.kind === "column") return column(token.value);
+    if (token.kind === "word") {
+      const word = token.value.toLowerCase();
+      if (isOp("(")) return call(word);
+      if (word === "true" || word === "false") return () => word === "true";
+      return column(token.value);
+    }
+    throw new Error(`Unexpected “${token.value}”.`);
+  }
+
+  if (tokens.length === 0) throw new Error("Enter an expression.");
+  const root = or();
+  if (pos < tokens.length) throw new Error(`Unexpected “${peek().value}”.`);
+  return root;
+}
+
+/**
+ * Compiles an expression against the column names. Returns a function from
+ * a row (array of cells) to the result cell. Throws an Error with a
+ * readable message for syntax errors and unknown columns or functions.
+ */
+export function compileExpression(source, columns) {
+  const evaluate = parse(tokenize(source), columns);
+  return (row) => toText(evaluate(row));
+}
+
+/**
+ * Adds a column computed from `expression` on the right. `compute` is
+ * `{ name, expression, hasHeader }`; without a header, columns are called
+ * "Column 1", "Column 2", … An expression that no longer compiles (say a
+ * column was renamed) leaves the table as it is.
+ */
+export function addComputedColumn(table, { name, expression, hasHeader = true }) {
+  if (table.length === 0) return table;
+  const width = table.reduce((n, r) => Math.max(n, r.length), 0);
+  const columns = Array.from({ length: width }, (_, j) => (hasHeader ? (table[0][j] ?? "") : `Column ${j + 1}`));
+  let evaluate;
+  try {
+    evaluate = compileExpression(expression, columns);
+  } catch {
+    return table;
+  }
+  const pad = (row) => Array.from({ length: width }, (_, j) => row[j] ?? "");
+  return table.map((row, i) => [...pad(row), hasHeader && i === 0 ? name : evaluate(row)]);
+}
@@ -0,0 +1,41 @@
+/* ---------- fixed-width ---------- */
+
+/**
+ * Infers column cut positions from whitespace alignment: a column starts
+ * wherever a run of at least `minGap` character positions that are blank on
+ * every line ends. (Single-space runs are usually gaps between words.)
+ * Returns the sorted start offsets of every column after the first, or []
+ * when the lines don't line up.
+ */
+export function inferColumnBoundaries(lines, minGap = 2) {
+  if (lines.length === 0) return [];
+
+  const width = lines.reduce((n, l) => Math.max(n, l.length), 0);
+  const blank = Array.from({ length: width }, (_, i) =>
+    lines.every((l) => (l[i] ?? " ") === " ")
+  );
+
+  const cuts = [];
+  let seenContent = false;
+  let gap = 0;
+  for (let i = 0; i < width; i++) {
+    if (blank[i]) {
+      gap++;
+      continue;
+    }
+    if (seenContent && gap >= minGap) cuts.push(i);
+    seenContent = true;
+    gap = 0;
+  }
+  return cuts;
+}
+
+// Padding is layout, not data, so cells are always trimmed
+export function splitFixedWidth(line, boundaries) {
+  const starts = [0, ...boundaries];
+  return starts.map((start, k) => line.slice(start, starts[k + 1]).trim());
+}
+
+export function parseFixedWidth(lines, boundaries) {
+  return lines.map((line) => splitFixedWidth(line, boundaries));
+}
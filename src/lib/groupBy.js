@@ -0,0 +1,85 @@
+import { findMask } from "./pii.js";
+import { cellNumber } from "./types.js";
+
+/* ---------- group-by summary ---------- */
+
+// A summary of a table: one row per distinct combination of the key
+// columns, in first-seen order, then one column per aggregate.
+//
+//   { keys: [0], aggregates: [{ col: 3, fn: "sum" }], hasHeader }
+//
+// sum and avg skip cells that are not numbers; min and max compare as
+// numbers when every filled cell is one, as text otherwise; count counts
+// filled cells.
+
+export const GROUP_AGGREGATES = { sum: "Sum", avg: "Average", min: "Min", max: "Max", count: "Count" };
+
+const formatNumber = (n) => String(Math.round(n * 1e9) / 1e9);
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+function extreme(values, pick) {
+  if (values.length === 0) return "";
+  const numbers = values.map(cellNumber);
+  if (numbers.every((n) => n !== null)) {
+    return values[numbers.reduce((best, n, i) => (pick(n - numbers[best]) ? i : best), 0)];
+  }
+  return values.reduce((best, v) => (pick(collator.compare(v, best)) ? v : best));
+}
+
+const AGGREGATE = {
+  sum: (values) => formatNumber(values.map(cellNumber).reduce((a, n) => a + (n ?? 0), 0)),
+  avg: (values) => {
+    const numbers = values.map(cellNumber).filter((n) => n !== null);
+    return numbers.length > 0 ? formatNumber(numbers.reduce((a, b) => a + b, 0) / numbers.length) : "";
+  },
+  min: (values) => extreme(values, (d) => d < 0),
+  max: (values) => extreme(values, (d) => d > 0),
+  count: (values) => String(values.length),
+};
+
+const columnNamer = (table, hasHeader) => (j) => (hasHeader ? table[0]?.[j] || `Column ${j + 1}` : `Column ${j + 1}`);
+
+const aggregateName = (a, name) => `${GROUP_AGGREGATES[a.fn] ?? a.fn} of ${name(a.col)}`;
+
+/**
+ * Groups the body rows of `table` by the key columns and aggregates the
+ * others. Returns a new table with a header row; without `hasHeader` the
+ * columns are named "Column 1", "Column 2", …
+ */
+export function groupRows(table, { keys = [], aggregates = [], hasHeader = true } = {}) {
+  const name = columnNamer(table, hasHeader);
+  const groups = new Map(); // key cells -> { keys, values: one array of filled cells per aggregate }
+
+  for (const row of table.slice(hasHeader ? 1 : 0)) {
+    const keyCells = keys.map((j) => (row[j] ?? "").trim());
+    const groupKey = JSON.stringify(keyCells);
+    if (!groups.has(groupKey)) groups.set(groupKey, { keys: keyCells, values: aggregates.map(() => []) });
+    const group = groups.get(groupKey);
+    aggregates.forEach((a, k) => {
+      const cell = (row[a.col] ?? "").trim();
+      if (cell !== "") group.values[k].push(cell);
+    });
+  }
+
+  const header = [...keys.map(name), ...aggregates.map((a) => aggregateName(a, name))];
+  const body = [...groups.values()].map((g) => [
+    ...g.keys,
+    ...aggregates.map((a, k) => (AGGREGATE[a.fn] ?? AGGREGATE.count)(g.values[k])),
+  ]);
+  return [header, ...body];
+}
+
+/**
+ * PII `masks` (see pii.js) for the summary groupRows builds from `table`
+ * with the same options: key columns keep their names, and each aggregate
+ * but a count is masked like its column, so "Min of Email" is too.
+ */
+export function summaryMasks(table, { aggregates = [], hasHeader = true } = {}, masks = []) {
+  const name = columnNamer(table, hasHeader);
+  const carried = aggregates.flatMap((a) => {
+    const m = a.fn !== "count" && findMask(masks, name(a.col));
+    return m ? [{ ...m, column: aggregateName(a, name) }] : [];
+  });
+  return [...masks, ...carried];
+}
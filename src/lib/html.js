@@ -0,0 +1,140 @@
+/* ---------- html tables ---------- */
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  euro: "€",
+  pound: "£",
+  yen: "¥",
+  copy: "©",
+  reg: "®",
+};
+
+export function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] === "#") {
+      const n = code[1] === "x" || code[1] === "X" ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+      // Beyond the last code point fromCodePoint throws; keep the text as it is
+      return Number.isFinite(n) && n <= 0x10ffff ? String.fromCodePoint(n) : m;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? m;
+  });
+}
+
+export function looksLikeHtmlTable(text) {
+  return /<table[\s>]/i.test(text ?? "");
+}
+
+function spanAttr(attrs, name) {
+  const m = new RegExp(`${name}\\s*=\\s*["']?(\\d+)`, "i").exec(attrs);
+  const n = m ? Number(m[1]) : 1;
+  return n >= 1 ? Math.min(n, 1000) : 1;
+}
+
+function cleanText(s) {
+  return decodeEntities(s).replace(/\s+/g, " ").trim();
+}
+
+// Lays out parsed rows on a grid. Rowspans repeat their value down (it is
+// the same data), colspans leave the extra cells empty (usually a heading).
+function layoutRows(rows) {
+  const grid = [];
+  rows.forEach((row, r) => {
+    grid[r] = grid[r] ?? [];
+    let c = 0;
+    for (const cell of row) {
+      while (grid[r][c] !== undefined) c++;
+      for (let dr = 0; dr < cell.rowspan; dr++) {
+        grid[r + dr] = grid[r + dr] ?? [];
+        for (let dc = 0; dc < cell.colspan; dc++) {
+          grid[r + dr][c + dc] = dc === 0 ? cell.text : "";
+        }
+      }
+      c += cell.colspan;
+    }
+  });
+
+  const width = Math.max(0, ...grid.map((r) => r.length));
+  return grid.slice(0, rows.length).map((r) => Array.from({ length: width }, (_, j) => r[j] ?? ""));
+}
+
+/**
+ * Extracts every `<table>` from an HTML string, nested ones included.
+ * Works without a DOM, so it runs in Node as well as the browser.
+ * Returns `[{ name, table }]`; `name` is the caption or "Table N".
+ */
+export function parseHtmlTables(html) {
+  const src = (html ?? "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style)[\s\S]*?<\/\1\s*>/gi, "");
+
+  const tokenRe = /<(\/?)([a-z][\w-]*)([^>]*)>|([^<]+|<)/gi;
+  const done = [];
+  const stack = [];
+  let opened = 0;
+  let m;
+
+  while ((m = tokenRe.exec(src))) {
+    const [, closing, rawTag, attrs, text] = m;
+    const ctx = stack[stack.length - 1];
+
+    if (text !== undefined) {
+      if (ctx?.cell) ctx.cell.raw += text;
+      else if (ctx?.inCaption) ctx.caption += text;
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+    if (tag === "table") {
+      if (!closing) {
+        stack.push({ rows: [], row: null, cell: null, caption: "", inCaption: false, order: opened++ });
+      } else if (ctx) {
+        stack.pop();
+        done.push(ctx);
+      }
+      continue;
+    }
+    if (!ctx) continue;
+
+    if (tag === "caption") {
+      ctx.inCaption = !closing;
+    } else if (tag === "tr") {
+      if (!closing) {
+        ctx.row = [];
+        ctx.rows.push(ctx.row);
+      }
+      ctx.cell = null;
+    } else if (tag === "td" || tag === "th") {
+      if (closing) {
+        ctx.cell = null;
+        continue;
+      }
+      if (!ctx.row) {
+        ctx.row = [];
+        ctx.rows.push(ctx.row);
+      }
+      ctx.cell = { raw: "", colspan: spanAttr(attrs, "colspan"), rowspan: spanAttr(attrs, "rowspan") };
+      ctx.row.push(ctx.cell);
+    } else if (ctx.cell && (tag === "br" || tag === "p" || tag === "div" || tag === "li")) {
+      ctx.cell.raw += " ";
+    }
+  }
+
+  // Unclosed tables still count
+  done.push(...stack);
+
+  return done
+    .sort((a, b) => a.order - b.order)
+    .filter((t) => t.rows.length > 0)
+    .map((t, i) => ({
+      name: cleanText(t.caption) || `Table ${i + 1}`,
+      table: layoutRows(t.rows.map((row) => row.map((c) => ({ ...c, text: cleanText(c.raw) })))),
+    }));
+}
@@ -0,0 +1,96 @@
+export {
+  DEFAULT_OPTIONS,
+  DELIMITER_CANDIDATES,
+  applyCleaning,
+  cleanTable,
+  detectDelimiter,
+  findMultiCharDelimiters,
+  modalColumns,
+  normalizeCell,
+  parseRowsSimple,
+  parseText,
+  removeEmptyColumns,
+  rowHasAnyValue,
+  scoreTable,
+  splitDelimited,
+  splitLine,
+} from "./cleanTable.js";
+export { inferColumnBoundaries, parseFixedWidth, splitFixedWidth } from "./fixedWidth.js";
+export {
+  escapeMarkdownCell,
+  isAsciiGrid,
+  isMarkdownTable,
+  parseAsciiGrid,
+  parseMarkdownTable,
+  splitMarkdownRow,
+  toMarkdownTable,
+} from "./markdown.js";
+export { applyEdits } from "./edits.js";
+export { appendTables, joinTables } from "./combine.js";
+export { PIVOT_AGGREGATES, applyReshape, transposeTable } from "./reshape.js";
+export { findDuplicates, removeDuplicates } from "./dedupe.js";
+export { FUNCTIONS, addComputedColumn, compileExpression } from "./expression.js";
+export { GROUP_AGGREGATES, groupRows, summaryMasks } from "./groupBy.js";
+export {
+  EMPTY_SCHEMA,
+  PATTERN_PRESETS,
+  SCHEMA_TYPES,
+  SCHEMA_VERSION,
+  parseSchema,
+  rulePattern,
+  schemaFromHeader,
+  validateTable,
+  violationsTable,
+} from "./schema.js";
+export {
+  MASK_MODES,
+  PII_KINDS,
+  REDACTED,
+  detectPii,
+  findMask,
+  maskCell,
+  maskTable,
+  maskValue,
+  scanPii,
+} from "./pii.js";
+export { profileTable } from "./profile.js";
+export { RECIPE_VERSION, createRecipe, matchRecipe, parseRecipe, recipeSteps } from "./recipes.js";
+export { repairRaggedRows } from "./repair.js";
+export { EMPTY_VIEW, FILTER_MODES, applyView, isViewActive, matchesSearch, viewRows } from "./view.js";
+export { ENCODINGS, decodeText, detectEncoding } from "./encoding.js";
+export { decodeEntities, looksLikeHtmlTable, parseHtmlTables } from "./html.js";
+export {
+  EXPORT_FORMATS,
+  QUOTE_STYLES,
+  columnNames,
+  finishTextFile,
+  toCsv,
+  toHtmlTable,
+  toJson,
+  toLatexTable,
+  toSql,
+  toTsv,
+} from "./exporters.js";
+export {
+  buildMultiSheetWorkbook,
+  buildWorkbook,
+  readFirstSheet,
+  readSheets,
+  sheetToRows,
+  stackSheets,
+  toTypedCells,
+} from "./xlsx.js";
+export {
+  COLUMN_TYPES,
+  NUMERIC_TYPES,
+  analyzeTable,
+  cellNumber,
+  detectCellType,
+  detectHeaderRow,
+  inferColumnType,
+  inferDateOrder,
+  parseDate,
+  parseNumber,
+  parseTypedValue,
+} from "./types.js";
+export { LOCALES, guessLocale, normalizeLocale, parseLocaleNumber } from "./locale.js";
@@ -0,0 +1,214 @@
+import { detectHeaderRow } from "./types.js";
+
+/* ---------- locale normalisation ---------- */
+
+export const LOCALES = {
+  "en-US": { label: "US (1,234.56 · 12/31/2025)", decimal: ".", dateOrder: "mdy" },
+  "en-GB": { label: "UK (1,234.56 · 31/12/2025)", decimal: ".", dateOrder: "dmy" },
+  "de-DE": { label: "European (1.234,56 · 31.12.2025)", decimal: ",", dateOrder: "dmy" },
+};
+
+// Thousands separators accepted for each decimal mark
+const GROUPS = {
+  ".": [",", " ", "\u00a0", "'"],
+  ",": [".", " ", "\u00a0", "\u202f"],
+};
+
+// Share of non-empty cells that must parse before a column is rewritten
+const COLUMN_THRESHOLD = 0.9;
+
+const AFFIXED_NUMBER_RE = /^([+-]?\s?(?:[$€£¥₹]|[A-Z]{3}\s)?\s?[+-]?)(\d(?:[\d.,'\s\u00a0\u202f]*\d)?)(\s?(?:%|[$€£¥₹]|[A-Z]{3}))?$/;
+const DATE_RE = /^(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})$/;
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const NUMBER_CORE_RE = Object.fromEntries(
+  Object.entries(GROUPS).map(([decimal, groups]) => {
+    const g = `[${groups.map(escapeRe).join("")}]`;
+    const d = escapeRe(decimal);
+    return [decimal, new RegExp(`^(?:\\d{1,3}(${g})\\d{3}(?:\\1\\d{3})*|\\d+)(?:${d}\\d+)?$`)];
+  })
+);
+
+/**
+ * Parses the numeric core of a cell (e.g. "1.234,56") for a decimal mark.
+ * Returns the canonical string ("1234.56") or null.
+ */
+export function parseLocaleNumber(core, decimal) {
+  const s = core.trim();
+  if (!NUMBER_CORE_RE[decimal].test(s)) return null;
+
+  const [intPart, fracPart] = s.split(decimal);
+  const digits = intPart.replace(/\D/g, "");
+  return fracPart === undefined ? digits : `${digits}.${fracPart}`;
+}
+
+/**
+ * Canonical form of a number cell under both decimal marks.
+ * Returns `{ ".": string|null, ",": string|null }`, or null for non-numbers.
+ */
+function numberReadings(cell) {
+  const m = AFFIXED_NUMBER_RE.exec(cell.trim());
+  if (!m) return null;
+
+  const [, prefix, core, suffix = ""] = m;
+  const read = (decimal) => {
+    const n = parseLocaleNumber(core, decimal);
+    return n === null ? null : `${prefix.replace(/\s/g, "")}${n}${suffix}`;
+  };
+
+  const readings = { ".": read("."), ",": read(",") };
+  return readings["."] === null && readings[","] === null ? null : readings;
+}
+
+function pad(n, width = 2) {
+  return n.toString().padStart(width, "0");
+}
+
+function expandYear(y) {
+  if (y.length === 4) return Number(y);
+  const n = Number(y);
+  return n < 50 ? 2000 + n : 1900 + n;
+}
+
+function toIsoDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1) return null;
+  if (day > new Date(Date.UTC(year, month, 0)).getUTCDate()) return null;
+  return `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * ISO 8601 form of a date cell under both day/month orders.
+ * Returns `{ dmy: string|null, mdy: string|null, dotted }`, or null.
+ */
+function dateReadings(cell) {
+  const m = DATE_RE.exec(cell.trim());
+  if (!m) return null;
+
+  const a = Number(m[1]);
+  const b = Number(m[3]);
+  const year = expandYear(m[4]);
+  const readings = { dmy: toIsoDate(year, b, a), mdy: toIsoDate(year, a, b), dotted: m[2] === "." };
+  return readings.dmy === null && readings.mdy === null ? null : readings;
+}
+
+function differ(readings, x, y) {
+  return readings[x] !== null && readings[y] !== null && readings[x] !== readings[y];
+}
+
+/**
+ * Guesses the source locale from cells that can only be read one way,
+ * e.g. "1,5" (decimal comma), "1,234.56" (US), "31/12/2025" (day first).
+ * Returns `{ locale, decimalKnown, dateOrderKnown }`.
+ */
+export function guessLocale(table) {
+  let dot = 0;
+  let comma = 0;
+  let dmy = 0;
+  let mdy = 0;
+  let dotted = 0;
+
+  for (const row of table) {
+    for (const cell of row) {
+      const s = (cell ?? "").toString();
+
+      const num = numberReadings(s);
+      if (num && num["."] === null) comma++;
+      if (num && num[","] === null) dot++;
+
+      const date = dateReadings(s);
+      if (date?.dotted) dotted++;
+      if (date && date.mdy === null) dmy++;
+      if (date && date.dmy === null) mdy++;
+    }
+  }
+
+  const decimal = comma > dot || (comma === dot && dotted > 0) ? "," : ".";
+  const dateOrder = mdy > dmy ? "mdy" : dmy > mdy || decimal === "," ? "dmy" : "mdy";
+
+  let locale;
+  if (decimal === ",") locale = "de-DE";
+  else locale = dateOrder === "dmy" ? "en-GB" : "en-US";
+
+  return {
+    locale,
+    decimalKnown: comma !== dot || dotted > 0,
+    dateOrderKnown: dmy !== mdy || dotted > 0,
+  };
+}
+
+function columnKind(values) {
+  let filled = 0;
+  let numbers = 0;
+  let dates = 0;
+
+  for (const v of values) {
+    const s = (v ?? "").toString().trim();
+    if (s === "") continue;
+    filled++;
+    if (dateReadings(s)) dates++;
+    else if (numberReadings(s)) numbers++;
+  }
+
+  if (filled === 0) return null;
+  if (dates >= filled * COLUMN_THRESHOLD) return "date";
+  if (numbers >= filled * COLUMN_THRESHOLD) return "number";
+  return null;
+}
+
+/**
+ * Rewrites number columns to canonical form ("1234.56") and date columns
+ * to ISO 8601 ("2025-12-31").
+ *
+ * `locale` is a key of LOCALES or "auto". With "auto", cells that read
+ * differently under the plausible locales (e.g. "1,234" or "03/04/2025")
+ * are left as-is and reported instead of guessed.
+ *
+ * Returns `{ table, locale, ambiguous: [{ row, col, value, readings }] }`
+ * with 0-based `row`/`col` into the returned table.
+ */
+export function normalizeLocale(table, { locale = "auto", hasHeader } = {}) {
+  const auto = locale === "auto";
+  const guess = auto ? guessLocale(table) : null;
+  const resolved = auto ? guess.locale : locale;
+  const { decimal, dateOrder } = LOCALES[resolved];
+
+  const header = hasHeader ?? detectHeaderRow(table);
+  const start = header ? 1 : 0;
+  const maxCols = table.reduce((n, r) => Math.max(n, r.length), 0);
+
+  const out = table.map((row) => row.slice());
+  const ambiguous = [];
+
+  for (let j = 0; j < maxCols; j++) {
+    const kind = columnKind(table.slice(start).map((r) => r[j]));
+    if (!kind) continue;
+
+    for (let i = start; i < table.length; i++) {
+      const cell = (table[i][j] ?? "").toString();
+      if (cell.trim() === "") continue;
+
+      if (kind === "number") {
+        const r = numberReadings(cell);
+        if (!r) continue;
+        if (auto && !guess.decimalKnown && differ(r, ".", ",")) {
+          ambiguous.push({ row: i, col: j, value: cell, readings: [r["."], r[","]] });
+          continue;
+        }
+        if (r[decimal] !== null) out[i][j] = r[decimal];
+      } else {
+        const r = dateReadings(cell);
+        if (!r) continue;
+        if (auto && !guess.dateOrderKnown && differ(r, "dmy", "mdy")) {
+          ambiguous.push({ row: i, col: j, value: cell, readings: [r.dmy, r.mdy] });
+          continue;
+        }
+        if (r[dateOrder] !== null) out[i][j] = r[dateOrder];
+      }
+    }
+  }
+
+  return { table: out, locale: resolved, ambiguous };
+}
@@ -0,0 +1,122 @@
+import { NUMERIC_TYPES } from "./types.js";
+
+/* ---------- markdown ---------- */
+
+export function escapeMarkdownCell(s) {
+  return (s ?? "")
+    .toString()
+    .replace(/\r?\n/g, " ")
+    .replace(/\|/g, "\\|");
+}
+
+const ALIGN_SEPARATORS = { left: ":---", center: ":---:", right: "---:" };
+
+// "auto" right-aligns numeric columns; "left" / "center" / "right" apply to all
+function columnAlignment(align, types, width) {
+  if (Array.isArray(align)) return align;
+  if (align === "auto") return Array.from({ length: width }, (_, j) => (NUMERIC_TYPES.has(types[j]) ? "right" : ""));
+  return Array(width).fill(align);
+}
+
+/**
+ * Markdown table with the first row as header. `align` is "none", "auto"
+ * (needs `types`), "left", "center", "right", or an array per column.
+ */
+export function toMarkdownTable(data, { align = "none", types = [] } = {}) {
+  if (!data || data.length === 0) return "";
+
+  const maxCols = data.reduce((n, r) => Math.max(n, r.length), 0);
+  const padded = data.map((r) => {
+    const row = Array.from({ length: maxCols }, (_, i) => r[i] ?? "");
+    return row.map(escapeMarkdownCell);
+  });
+
+  const header = padded[0];
+  const body = padded.slice(1);
+
+  const headerLine = `| ${header.join(" | ")} |`;
+  const alignment = columnAlignment(align, types, maxCols);
+  const separatorLine = `| ${header.map((_, j) => ALIGN_SEPARATORS[alignment[j]] ?? "---").join(" | ")} |`;
+  const bodyLines = body.map((row) => `| ${row.join(" | ")} |`);
+
+  return [headerLine, separatorLine, ...bodyLines].join("\n");
+}
+
+// e.g. "|---|:---:|" or "--- | ---"
+const SEPARATOR_RE = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+// e.g. "+----+----+" or "+====+====+"
+const GRID_BORDER_RE = /^\s*\+(?:[-=:]+\+)+\s*$/;
+
+// Splits "| a | b \| c |" into ["a", "b | c"]; the outer pipes are optional
+export function splitMarkdownRow(line) {
+  let s = line.trim();
+  if (s.startsWith("|")) s = s.slice(1);
+  if (s.endsWith("|") && !s.endsWith("\\|")) s = s.slice(0, -1);
+
+  const cells = [];
+  let cur = "";
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === "\\" && s[i + 1] === "|") {
+      cur += "|";
+      i++;
+    } else if (s[i] === "|") {
+      cells.push(cur.trim());
+      cur = "";
+    } else {
+      cur += s[i];
+    }
+  }
+  cells.push(cur.trim());
+  return cells;
+}
+
+function isSeparatorLine(line) {
+  return line.includes("|") && SEPARATOR_RE.test(line);
+}
+
+export function isMarkdownTable(lines) {
+  return lines.some(isSeparatorLine) && lines.filter((l) => l.includes("|")).length >= 2;
+}
+
+// Keeps only the table lines, so prose around a pasted table is ignored
+export function parseMarkdownTable(lines) {
+  return lines.filter((l) => l.includes("|") && !isSeparatorLine(l)).map(splitMarkdownRow);
+}
+
+export function isAsciiGrid(lines) {
+  return lines.filter((l) => GRID_BORDER_RE.test(l)).length >= 2;
+}
+
+/**
+ * Parses "+----+" bordered tables (MySQL, psql, pandoc grid tables).
+ * Cells are cut at the border's "+" positions, so "|" inside a cell is kept.
+ * When every body row has its own border, a row spanning several lines is
+ * merged into one; otherwise each line is a row.
+ */
+export function parseAsciiGrid(lines) {
+  const border = lines.find((l) => GRID_BORDER_RE.test(l));
+  const cuts = [...border.matchAll(/\+/g)].map((m) => m.index);
+
+  const blocks = [[]];
+  for (const line of lines) {
+    if (GRID_BORDER_RE.test(line)) blocks.push([]);
+    else if (/^\s*\|/.test(line)) blocks[blocks.length - 1].push(line);
+  }
+  const filled = blocks.filter((b) => b.length > 0);
+
+  const splitLine = (line) =>
+    cuts.slice(0, -1).map((start, k) => line.slice(start + 1, cuts[k + 1]).trim());
+
+  const perRowBorders = filled.length > 2;
+  if (!perRowBorders) return filled.flat().map(splitLine);
+
+  return filled.map((block) => {
+    const parts = block.map(splitLine);
+    return parts[0].map((_, j) =>
+      parts
+        .map((p) => p[j])
+        .filter((c) => c !== "")
+        .join(" ")
+    );
+  });
+}
@@ -0,0 +1,202 @@
+import { detectCellType } from "./types.js";
+
+/* ---------- personal data ---------- */
+
+// Flags columns that look like personal data and masks them for export.
+// Masks name columns by header (case and spaces ignored), so they also fit
+// another sheet with the same columns; summaryMasks in groupBy.js carries
+// them to a group-by summary:
+//
+//   [{ column: "Email", mode: "partial", kind: "email" }]
+
+export const PII_KINDS = {
+  email: "Email addresses",
+  phone: "Phone numbers",
+  iban: "IBANs",
+  card: "Card numbers",
+  nationalId: "National ID numbers",
+};
+
+export const MASK_MODES = {
+  redact: "Redact",
+  partial: "Partial mask",
+  hash: "Hash",
+  drop: "Drop column",
+};
+
+export const REDACTED = "[redacted]";
+
+const SCAN_ROWS = 2000;
+const MIN_SHARE = 0.5;
+
+const EMAIL_RE = /^[^@\s]+@[^@\s]+\.[a-z]{2,}$/i;
+const PHONE_RE = /^\+?[\d\s().-]{7,20}$/;
+const IBAN_RE = /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/;
+const SSN_RE = /^\d{3}-\d{2}-\d{4}$/;
+const NINO_RE = /^[A-CEGHJ-PR-TW-Z]{2}\s?\d{2}\s?\d{2}\s?\d{2}\s?[A-D]$/i;
+
+const HEADER_HINTS = [
+  ["email", /e-?mail/i],
+  ["phone", /phone|mobile|\btel\b|fax/i],
+  ["iban", /iban/i],
+  ["card", /card.?(no|num)|credit.?card|\bpan\b/i],
+  ["nationalId", /\bssn\b|social.?security|national.?(id|insurance)|\bnino\b|passport/i],
+];
+
+function ibanValid(s) {
+  const rearranged = s.slice(4) + s.slice(0, 4);
+  const digits = rearranged.replace(/[A-Z]/g, (ch) => String(ch.charCodeAt(0) - 55));
+  let rest = 0;
+  for (const d of digits) rest = (rest * 10 + Number(d)) % 97;
+  return rest === 1;
+}
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) d = d * 2 > 9 ? d * 2 - 9 : d * 2;
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * The kind of personal data a cell looks like (a key of PII_KINDS), or null.
+ */
+export function detectPii(cell) {
+  const s = (cell ?? "").toString().trim();
+  if (s === "") return null;
+  if (EMAIL_RE.test(s)) return "email";
+  const compact = s.replace(/[\s-]/g, "");
+  if (IBAN_RE.test(compact.toUpperCase()) && ibanValid(compact.toUpperCase())) return "iban";
+  if (/^\d{13,19}$/.test(compact) && /^[\d\s-]+$/.test(s) && luhnValid(compact)) return "card";
+  if (SSN_RE.test(s) || NINO_RE.test(s)) return "nationalId";
+  const digits = s.replace(/\D/g, "").length;
+  // Plain numbers are more often IDs or amounts; phones have a + or separators
+  if (PHONE_RE.test(s) && digits >= 8 && digits <= 15 && /[+\s().-]/.test(s) && detectCellType(s) !== "date") {
+    return "phone";
+  }
+  return null;
+}
+
+/**
+ * Columns that likely hold personal data: `[{ col, kind, share, byHeader }]`.
+ * A column is flagged when at least half of its filled cells (of the first
+ * rows) are one kind, or when its header names one and some cells match.
+ */
+export function scanPii(table, { hasHeader = true } = {}) {
+  const body = table.slice(hasHeader ? 1 : 0, (hasHeader ? 1 : 0) + SCAN_ROWS);
+  const width = table.reduce((n, r) => Math.max(n, r.length), 0);
+  const flagged = [];
+
+  for (let col = 0; col < width; col++) {
+    const counts = new Map();
+    let filled = 0;
+    for (const row of body) {
+      const cell = row[col] ?? "";
+      if (cell.trim() === "") continue;
+      filled++;
+      const kind = detectPii(cell);
+      if (kind) counts.set(kind, (counts.get(kind) ?? 0) + 1);
+    }
+    if (filled === 0) continue;
+
+    const hinted = hasHeader ? HEADER_HINTS.find(([, re]) => re.test(table[0]?.[col] ?? ""))?.[0] : undefined;
+    const [kind, n] = [...counts].reduce((best, entry) => (entry[1] > best[1] ? entry : best), [null, 0]);
+    if (kind && n / filled >= MIN_SHARE) {
+      flagged.push({ col, kind, share: n / filled, byHeader: false });
+    } else if (hinted && counts.get(hinted)) {
+      flagged.push({ col, kind: hinted, share: counts.get(hinted) / filled, byHeader: true });
+    }
+  }
+  return flagged;
+}
+
+/* ---------- masks ---------- */
+
+// Letters and digits outside the first `keepStart` and last `keepEnd`
+// become *, so the layout stays recognisable
+function maskMiddle(s, keepStart, keepEnd) {
+  const positions = [...s].flatMap((ch, i) => (/[\p{L}\p{N}]/u.test(ch) ? [i] : []));
+  const hidden = new Set(positions.slice(keepStart, Math.max(keepStart, positions.length - keepEnd)));
+  return [...s].map((ch, i) => (hidden.has(i) ? "*" : ch)).join("");
+}
+
+const PARTIAL = {
+  email: (s) => {
+    const at = s.lastIndexOf("@");
+    return at < 1 ? maskMiddle(s, 1, 1) : `${s[0]}***${s.slice(at)}`;
+  },
+  phone: (s) => maskMiddle(s, 0, 2),
+  iban: (s) => maskMiddle(s, 4, 4),
+  card: (s) => maskMiddle(s, 0, 4),
+  nationalId: (s) => maskMiddle(s, 0, 3),
+};
+
+// cyrb53: a fast, stable 53-bit string hash. It hides values from a casual
+// reader but is no secret; common values can be guessed by hashing them.
+function hashCell(s) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < s.length; i++) {
+    const ch = s.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, "0");
+}
+
+/**
+ * Masks one cell: "redact", "partial" (shaped by `kind`) or "hash". Blank
+ * cells stay blank.
+ */
+export function maskCell(cell, mode, kind) {
+  const s = (cell ?? "").toString().trim();
+  if (s === "") return cell ?? "";
+  if (mode === "redact") return REDACTED;
+  if (mode === "hash") return hashCell(s);
+  if (mode === "partial") return (PARTIAL[kind] ?? ((v) => maskMiddle(v, 1, 1)))(s);
+  return cell;
+}
+
+const columnKey = (name) => (name ?? "").toString().trim().toLowerCase();
+
+// The mask for the named column (case and spaces ignored), or undefined
+export function findMask(masks, column) {
+  return masks.find((m) => columnKey(m.column) === columnKey(column));
+}
+
+/**
+ * One value of the named column as `masks` export it; a dropped column
+ * gives "". For exports that quote cells outside the table.
+ */
+export function maskValue(value, column, masks) {
+  const m = findMask(masks, column);
+  if (!m) return value;
+  return m.mode === "drop" ? "" : maskCell(value, m.mode, m.kind);
+}
+
+/**
+ * Applies `masks` to a table. Without `hasHeader`, masks name columns
+ * "Column 1", "Column 2", … Dropped columns are removed; the header row is
+ * never masked.
+ */
+export function maskTable(table, masks, { hasHeader = true } = {}) {
+  if (masks.length === 0 || table.length === 0) return table;
+  const width = table.reduce((n, r) => Math.max(n, r.length), 0);
+  const columnMasks = Array.from({ length: width }, (_, j) =>
+    findMask(masks, hasHeader ? table[0][j] : `Column ${j + 1}`)
+  );
+  if (columnMasks.every((m) => !m)) return table;
+
+  const kept = columnMasks.flatMap((m, j) => (m?.mode === "drop" ? [] : [j]));
+  return table.map((row, i) =>
+    kept.map((j) => {
+      const m = columnMasks[j];
+      return !m || (hasHeader && i === 0) ? (row[j] ?? "") : maskCell(row[j], m.mode, m.kind);
+    })
+  );
+}
@@ -0,0 +1,145 @@
+import { modalColumns } from "./cleanTable.js";
+import { NUMERIC_TYPES, detectCellType, parseTypedValue } from "./types.js";
+
+/* ---------- data quality profile ---------- */
+
+const TOP_VALUES = 5;
+
+// "iso" for 2025-12-31, otherwise the separator of a day/month/year date
+function dateStyle(s) {
+  if (/^\d{4}-/.test(s)) return "iso";
+  const sep = /^\d{1,2}([/.-])/.exec(s)?.[1];
+  return sep ? `d${sep}m${sep}y` : "other";
+}
+
+function dateNumber(d) {
+  return Date.UTC(d.year, d.month - 1, d.day, d.hours, d.minutes, d.seconds);
+}
+
+function formatDate(d) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.year}-${pad(d.month)}-${pad(d.day)}`;
+}
+
+function quantile(sorted, q) {
+  const at = (sorted.length - 1) * q;
+  const lo = Math.floor(at);
+  return sorted[lo] + (sorted[Math.ceil(at)] - sorted[lo]) * (at - lo);
+}
+
+// Values outside 1.5 interquartile ranges of the middle half (Tukey's fences)
+function outlierFences(values) {
+  if (values.length < 8) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const spread = (q3 - q1) * 1.5;
+  return spread > 0 ? { low: q1 - spread, high: q3 + spread } : null;
+}
+
+function profileColumn(table, j, start, type, dateOrder, issues) {
+  const typeMix = {};
+  const counts = new Map();
+  const numbers = [];
+  const dateStyles = new Map();
+  let filled = 0;
+  let min = null;
+  let max = null;
+
+  for (let i = start; i < table.length; i++) {
+    const cell = (table[i][j] ?? "").trim();
+    if (cell === "") continue;
+    filled++;
+    const cellType = detectCellType(cell);
+    typeMix[cellType] = (typeMix[cellType] || 0) + 1;
+    counts.set(cell, (counts.get(cell) || 0) + 1);
+    if (type === "text") continue;
+
+    const typed = parseTypedValue(cell, type, { dateOrder: dateOrder ?? "dmy" });
+    if (!typed) {
+      const article = type === "integer" ? "an" : "a";
+      issues.push({ row: i, col: j, kind: "type", message: `“${cell}” is not ${article} ${type}` });
+      continue;
+    }
+    if (type === "date") {
+      const style = dateStyle(cell);
+      if (!dateStyles.has(style)) dateStyles.set(style, []);
+      dateStyles.get(style).push(i);
+      const n = dateNumber(typed.value);
+      if (min === null || n < dateNumber(min)) min = typed.value;
+      if (max === null || n > dateNumber(max)) max = typed.value;
+    } else if (NUMERIC_TYPES.has(type)) {
+      numbers.push({ row: i, value: typed.value });
+      if (min === null || typed.value < min) min = typed.value;
+      if (max === null || typed.value > max) max = typed.value;
+    }
+  }
+
+  // Dates written in a less common style than most of the column
+  if (dateStyles.size > 1) {
+    const [main] = [...dateStyles.entries()].sort((a, b) => b[1].length - a[1].length)[0];
+    for (const [style, rows] of dateStyles) {
+      if (style === main) continue;
+      for (const row of rows) {
+        const message = `“${table[row][j].trim()}” is not written like most dates`;
+        issues.push({ row, col: j, kind: "dateFormat", message });
+      }
+    }
+  }
+
+  const fences = outlierFences(numbers.map((n) => n.value));
+  let outliers = 0;
+  if (fences) {
+    for (const { row, value } of numbers) {
+      if (value >= fences.low && value <= fences.high) continue;
+      outliers++;
+      issues.push({ row, col: j, kind: "outlier", message: `${table[row][j].trim()} is far outside the usual range` });
+    }
+  }
+
+  const top = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_VALUES)
+    .map(([value, count]) => ({ value, count }));
+
+  const rows = table.length - start;
+  return {
+    type,
+    filled,
+    fillRate: rows > 0 ? filled / rows : 0,
+    distinct: counts.size,
+    typeMix,
+    min: type === "date" && min ? formatDate(min) : min,
+    max: type === "date" && max ? formatDate(max) : max,
+    top,
+    outliers,
+  };
+}
+
+/**
+ * Per-column profile of a cleaned table plus the cells worth a second look.
+ * `analysis` is analyzeTable's result for the same table.
+ *
+ * Returns `{ columns, issues, expectedCells }`: `columns[j]` has fill rate,
+ * distinct count, type mix, min/max (numbers and dates), the most common
+ * values and an outlier count; `issues` are `{ row, col, kind, message }`
+ * with table row indexes, where `kind` is "type", "dateFormat", "outlier"
+ * or "ragged" (a row whose cell count differs from `expectedCells`; `col`
+ * is null).
+ */
+export function profileTable(table, analysis) {
+  const { hasHeader, types = [], dateOrders = [] } = analysis;
+  const start = hasHeader ? 1 : 0;
+  const issues = [];
+  const columns = types.map((type, j) => profileColumn(table, j, start, type, dateOrders[j], issues));
+
+  const expectedCells = modalColumns(table);
+  for (let i = 0; i < table.length; i++) {
+    const n = table[i].length;
+    if (n === expectedCells) continue;
+    issues.push({ row: i, col: null, kind: "ragged", message: `${n} cells instead of ${expectedCells}` });
+  }
+
+  issues.sort((a, b) => a.row - b.row || (a.col ?? -1) - (b.col ?? -1));
+  return { columns, issues, expectedCells };
+}
@@ -0,0 +1,188 @@
+import { LOCALES } from "./locale.js";
+import { PIVOT_AGGREGATES } from "./reshape.js";
+import { OPTION_STEPS, createStep } from "./steps.js";
+import { TRANSFORM_OPS } from "./transforms.js";
+
+/* ---------- recipes ---------- */
+
+// A recipe is a saved cleaning setup that can be applied to the next file:
+//
+//   {
+//     version: 1,
+//     name,
+//     header: ["id", "name", ...],       the parsed header it was saved from
+//     parse: { delimiter, candidate, columnBoundaries },
+//     headerMode, excludeFirstRow,
+//     steps: [{ type, enabled, ... }],   steps without their ids
+//   }
+//
+// Edits that name a row only fit the file they were made on, so recipes
+// keep column edits and header renames but no other cell or row edits.
+
+export const RECIPE_VERSION = 1;
+
+const COLUMN_EDITS = new Set(["insertColumn", "deleteColumn", "moveColumn"]);
+
+// Column headers are compared without case and surrounding spaces
+const headerKey = (cell) => (cell ?? "").toString().trim().toLowerCase();
+
+function withoutId(step) {
+  const copy = { ...step };
+  delete copy.id;
+  return copy;
+}
+
+function reusableStep(step, hasHeader) {
+  if (step.type !== "edit") return true;
+  const { edit } = step;
+  return COLUMN_EDITS.has(edit.type) || (hasHeader && edit.type === "setCell" && edit.row === 0);
+}
+
+/**
+ * Builds a recipe from the undoable document (see App) and the header
+ * of the parsed table.
+ */
+export function createRecipe(name, doc, { header = [], hasHeader = true } = {}) {
+  const { parse, steps, headerMode, excludeFirstRow } = doc;
+  return {
+    version: RECIPE_VERSION,
+    name: name.trim(),
+    header: header.map((c) => (c ?? "").toString()),
+    parse: { delimiter: parse.delimiter, candidate: parse.candidate, columnBoundaries: parse.columnBoundaries },
+    headerMode,
+    excludeFirstRow,
+    steps: steps.filter((s) => reusableStep(s, hasHeader)).map(withoutId),
+  };
+}
+
+// The recipe's steps with fresh ids, ready for the document
+export function recipeSteps(recipe) {
+  return recipe.steps.map(({ type, ...props }) => createStep(type, props));
+}
+
+/* ---------- step checks ---------- */
+
+const isIndex = (v) => Number.isInteger(v) && v >= 0;
+const isText = (v) => typeof v === "string";
+const isObject = (v) => Boolean(v) && typeof v === "object" && !Array.isArray(v);
+const oneOf = (values) => (v) => values.includes(v);
+const isIndexList = (v) => v == null || (Array.isArray(v) && v.every(isIndex));
+const isShare = (v) => v === undefined || (typeof v === "number" && v >= 0 && v <= 1);
+
+// Fields (and their checks) that each kind of edit, transform and reshape needs
+const EDIT_FIELDS = {
+  setCell: { row: isIndex, col: isIndex, value: isText },
+  insertRow: { row: isIndex },
+  deleteRow: { row: isIndex },
+  insertColumn: { col: isIndex },
+  deleteColumn: { col: isIndex },
+  moveColumn: { from: isIndex, to: isIndex },
+};
+
+const TRANSFORM_FIELDS = {
+  split: { separator: isText },
+  merge: { with: isIndex },
+  case: { mode: oneOf(["upper", "lower", "title"]) },
+  padZeros: { width: isIndex },
+  replace: { find: isText, replace: isText },
+};
+
+const RESHAPE_FIELDS = {
+  transpose: {},
+  unpivot: { columns: (v) => Array.isArray(v) && v.every(isIndex), keyName: isText, valueName: isText },
+  pivot: { keyCol: isIndex, valueCol: isIndex, aggregate: oneOf(Object.keys(PIVOT_AGGREGATES)) },
+};
+
+// The first field of `fields` that `value` lacks, prefixed with `name`, or null
+function badField(name, value, fields) {
+  const bad = Object.entries(fields).find(([key, check]) => !check(value[key]));
+  return bad ? `${name}.${bad[0]}` : null;
+}
+
+// Per step type, the first missing or invalid field of a step, or null
+const STEP_CHECKS = {
+  ...Object.fromEntries(Object.keys(OPTION_STEPS).map((type) => [type, () => null])),
+  locale: (s) => (oneOf(["auto", ...Object.keys(LOCALES)])(s.locale) ? null : "locale"),
+  edit: ({ edit }) =>
+    isObject(edit) && EDIT_FIELDS[edit.type] ? badField("edit", edit, EDIT_FIELDS[edit.type]) : "edit.type",
+  transform: ({ transform: t }) => {
+    if (!isObject(t) || !TRANSFORM_OPS[t.op]) return "transform.op";
+    return badField("transform", t, { col: isIndex, ...TRANSFORM_FIELDS[t.op] });
+  },
+  compute: ({ compute }) =>
+    isObject(compute) ? badField("compute", compute, { name: isText, expression: isText }) : "compute",
+  dedupe: ({ dedupe }) => {
+    if (!isObject(dedupe)) return "dedupe";
+    const fields = { keys: isIndexList, keep: oneOf(["first", "last", "merge"]), similarity: isShare };
+    return badField("dedupe", dedupe, fields);
+  },
+  repair: ({ repair }) => (isObject(repair) ? badField("repair", repair, { rows: isIndexList }) : "repair"),
+  append: (s) => (isText(s.table) ? null : "table"),
+  join: (s) => {
+    if (!isText(s.table)) return "table";
+    if (!isObject(s.join)) return "join";
+    return badField("join", s.join, { leftKey: isIndex, rightKey: isIndex, how: oneOf(["inner", "left", "full"]) });
+  },
+  reshape: ({ reshape: r }) =>
+    isObject(r) && RESHAPE_FIELDS[r.op] ? badField("reshape", r, RESHAPE_FIELDS[r.op]) : "reshape.op",
+};
+
+// Steps of a known type, checked; steps this version does not know are dropped
+function readSteps(steps) {
+  return steps.flatMap((step, i) => {
+    if (!isObject(step) || !isText(step.type)) throw new Error(`Step ${i + 1} of this recipe has no type.`);
+    const check = STEP_CHECKS[step.type];
+    if (!check) return [];
+    const field = check(step);
+    if (field) throw new Error(`Step ${i + 1} of this recipe (${step.type}) has a missing or invalid ${field}.`);
+    return [{ ...step, enabled: step.enabled !== false }];
+  });
+}
+
+/**
+ * Reads a recipe from JSON text. Throws an Error with a readable message
+ * when the text is not a recipe or a step lacks what its type needs; steps
+ * of unknown types are left out.
+ */
+export function parseRecipe(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error("This file is not valid JSON.");
+  }
+  if (!data || typeof data !== "object" || !Array.isArray(data.steps) || typeof data.parse !== "object") {
+    throw new Error("This file is not a table cleaner recipe.");
+  }
+  if (data.version > RECIPE_VERSION) {
+    throw new Error("This recipe was saved by a newer version of the tool.");
+  }
+  if (!isIndexList(data.parse?.columnBoundaries)) {
+    throw new Error("This recipe's column boundaries are not a list of character positions.");
+  }
+
+  return {
+    version: RECIPE_VERSION,
+    name: (data.name ?? "").toString().trim() || "Imported recipe",
+    header: Array.isArray(data.header) ? data.header.map((c) => (c ?? "").toString()) : [],
+    parse: {
+      delimiter: (data.parse?.delimiter ?? "").toString(),
+      candidate: (data.parse?.candidate ?? "").toString(),
+      columnBoundaries: data.parse?.columnBoundaries ?? null,
+    },
+    headerMode: ["auto", "yes", "no"].includes(data.headerMode) ? data.headerMode : "auto",
+    excludeFirstRow: Boolean(data.excludeFirstRow),
+    steps: readSteps(data.steps),
+  };
+}
+
+/**
+ * The saved recipe whose header matches `header` (case and spaces ignored),
+ * or null. Headers saved empty never match.
+ */
+export function matchRecipe(recipes, header) {
+  const keys = header.map(headerKey);
+  if (keys.every((k) => k === "")) return null;
+  const matches = (r) => r.header.length === keys.length && r.header.every((c, j) => headerKey(c) === keys[j]);
+  return recipes.find(matches) ?? null;
+}
@@ -0,0 +1,130 @@
+import { modalColumns } from "./cleanTable.js";
+import { analyzeTable, detectCellType, parseTypedValue } from "./types.js";
+
+/* ---------- ragged row repair ---------- */
+
+// Rows whose cell count differs from the modal count are ragged. A short
+// row right after another short row (or a lone cell after a full row) is
+// taken as a wrapped line and merged into the row above; other ragged rows
+// are realigned, joining extra cells or inserting blanks where the cells
+// then best fit their column types.
+//
+//   { kind: "merge", row, into, before: [rowAbove, row], after }
+//   { kind: "realign", row, before: [row], after }
+
+// Whether a cell looks like it belongs in a column of this type
+function fits(cell, type) {
+  const s = (cell ?? "").trim();
+  if (s === "") return true;
+  if (type === "text") return detectCellType(s) === "text";
+  return parseTypedValue(s, type) !== null;
+}
+
+function fitScore(row, types) {
+  return row.reduce((n, cell, j) => n + (fits(cell, types[j] ?? "text") ? 1 : 0), 0);
+}
+
+function joinCells(a, b) {
+  const left = (a ?? "").trim();
+  const right = (b ?? "").trim();
+  return left && right ? `${left} ${right}` : left || right;
+}
+
+function padTo(row, width) {
+  return row.length >= width ? row : [...row, ...Array(width - row.length).fill("")];
+}
+
+// The row above with `row` appended, or null when they don't fit in `width`
+function mergeRows(above, row, width, types) {
+  if (above.length < width && above.length + row.length - 1 <= width) {
+    const merged = [...above.slice(0, -1), joinCells(above[above.length - 1], row[0]), ...row.slice(1)];
+    return padTo(merged, width);
+  }
+  // A lone wrapped cell after a full row continues its last text column
+  if (row.length === 1 && above.length === width) {
+    const j = types.lastIndexOf("text");
+    if (j === -1) return null;
+    const merged = above.slice();
+    merged[j] = joinCells(above[j], row[0]);
+    return merged;
+  }
+  return null;
+}
+
+// Best of every way to bring the row to `width` cells, by joining the extra
+// cells at some position or inserting the missing ones as blanks
+function realignRow(row, width, types) {
+  const extra = row.length - width;
+  const options = [];
+  if (extra > 0) {
+    for (let p = 0; p < width; p++) {
+      const joined = row.slice(p, p + extra + 1).reduce(joinCells);
+      options.push([...row.slice(0, p), joined, ...row.slice(p + extra + 1)]);
+    }
+  } else {
+    for (let p = 0; p <= row.length; p++) {
+      options.push([...row.slice(0, p), ...Array(-extra).fill(""), ...row.slice(p)]);
+    }
+  }
+  // Changes at the end win ties, so plain padding is no fix at all
+  let best = null;
+  let bestScore = -1;
+  for (const option of options.reverse()) {
+    const score = fitScore(option, types);
+    if (score > bestScore) [best, bestScore] = [option, score];
+  }
+  return best;
+}
+
+const sameRow = (a, b) => a.length === b.length && a.every((c, j) => c === b[j]);
+
+/**
+ * Repairs ragged rows; see the top of this file. `rows` limits the fixes to
+ * those rows (table indexes, as in the returned `fixes`); null fixes all.
+ * Returns `{ table, fixes, width }` with the fixes that were applied.
+ */
+export function repairRaggedRows(table, { hasHeader = false, rows = null } = {}) {
+  const width = modalColumns(table);
+  const start = hasHeader ? 1 : 0;
+  const regular = table.filter((r, i) => i >= start && r.length === width);
+  const { types } = analyzeTable(regular, { hasHeader: false });
+  const wanted = rows && new Set(rows);
+
+  const out = table.slice(0, start);
+  const origins = out.map((_, i) => i); // table index of each output row
+  const fixes = [];
+
+  for (let i = start; i < table.length; i++) {
+    const row = table[i];
+    const next = table[i + 1];
+    const aboveAt = out.length - 1;
+    const apply = !wanted || wanted.has(i);
+
+    if (row.length < width && aboveAt >= start) {
+      const merged = mergeRows(out[aboveAt], row, width, types);
+      if (merged && apply) {
+        fixes.push({ kind: "merge", row: i, into: origins[aboveAt], before: [out[aboveAt], row], after: merged });
+        out[aboveAt] = merged;
+        continue;
+      }
+    }
+
+    // The first half of a wrapped row waits for the next line
+    const wrapped = row.length < width && next && next.length < width && mergeRows(row, next, width, types);
+
+    if (row.length !== width && !wrapped) {
+      const realigned = realignRow(row, width, types);
+      if (realigned && !sameRow(padTo(row, width), realigned) && apply) {
+        fixes.push({ kind: "realign", row: i, before: [row], after: realigned });
+        out.push(realigned);
+        origins.push(i);
+        continue;
+      }
+    }
+
+    out.push(row);
+    origins.push(i);
+  }
+
+  return { table: out, fixes, width };
+}
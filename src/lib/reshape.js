@@ -0,0 +1,98 @@
+import { parseNumber } from "./types.js";
+
+/* ---------- transpose, unpivot, pivot ---------- */
+
+// Reshapes are steps like transforms (see steps.js). Columns are 0-based
+// indexes; with `hasHeader` row 0 names them.
+//
+//   { op: "transpose" }
+//   { op: "unpivot", columns, keyName, valueName, skipEmpty }
+//       the `columns` become key/value rows; the other columns repeat
+//   { op: "pivot", keyCol, valueCol, aggregate }
+//       `keyCol` values become columns holding `valueCol`, aggregated
+//       ("sum" | "count" | "first") over rows that share the other columns
+
+export const PIVOT_AGGREGATES = { sum: "Sum", count: "Count", first: "First value" };
+
+const width = (table) => table.reduce((n, r) => Math.max(n, r.length), 0);
+
+function headerOf(table, hasHeader) {
+  return Array.from({ length: width(table) }, (_, j) => (hasHeader ? (table[0]?.[j] ?? "") : `Column ${j + 1}`));
+}
+
+export function transposeTable(table) {
+  const w = width(table);
+  return Array.from({ length: w }, (_, j) => table.map((row) => row[j] ?? ""));
+}
+
+function unpivot(table, { columns = [], keyName = "Key", valueName = "Value", skipEmpty = true, hasHeader = true }) {
+  const header = headerOf(table, hasHeader);
+  const melted = new Set(columns.filter((j) => j < header.length));
+  const ids = header.map((_, j) => j).filter((j) => !melted.has(j));
+
+  const out = [[...ids.map((j) => header[j]), keyName, valueName]];
+  for (const row of table.slice(hasHeader ? 1 : 0)) {
+    for (const j of melted) {
+      const value = row[j] ?? "";
+      if (skipEmpty && value.trim() === "") continue;
+      out.push([...ids.map((k) => row[k] ?? ""), header[j], value]);
+    }
+  }
+  return out;
+}
+
+function formatSum(n) {
+  return String(Math.round(n * 1e9) / 1e9);
+}
+
+const AGGREGATE = {
+  sum: (values) => {
+    const numbers = values.map(parseNumber).filter((n) => n !== null);
+    return numbers.length > 0 ? formatSum(numbers.reduce((a, b) => a + b, 0)) : "";
+  },
+  count: (values) => String(values.length),
+  first: (values) => values[0] ?? "",
+};
+
+function pivot(table, { keyCol, valueCol, aggregate = "sum", hasHeader = true }) {
+  const header = headerOf(table, hasHeader);
+  const ids = header.map((_, j) => j).filter((j) => j !== keyCol && j !== valueCol);
+  const keys = []; // new columns, in first-seen order
+  const groups = new Map(); // id cells -> { ids, values: Map(key -> [values]) }
+
+  for (const row of table.slice(hasHeader ? 1 : 0)) {
+    const key = (row[keyCol] ?? "").trim();
+    const value = (row[valueCol] ?? "").trim();
+    const idCells = ids.map((j) => row[j] ?? "");
+    const groupKey = idCells.join("\u0001");
+    if (!groups.has(groupKey)) groups.set(groupKey, { ids: idCells, values: new Map() });
+    const { values } = groups.get(groupKey);
+    if (!keys.includes(key)) keys.push(key);
+    if (!values.has(key)) values.set(key, []);
+    if (value !== "") values.get(key).push(value);
+  }
+
+  const combine = AGGREGATE[aggregate] ?? AGGREGATE.sum;
+  const out = [[...ids.map((j) => header[j]), ...keys]];
+  for (const group of groups.values()) {
+    out.push([...group.ids, ...keys.map((k) => (group.values.has(k) ? combine(group.values.get(k)) : ""))]);
+  }
+  return out;
+}
+
+/**
+ * Runs one reshape on a table and returns the new table.
+ */
+export function applyReshape(table, r) {
+  if (table.length === 0) return table;
+  switch (r.op) {
+    case "transpose":
+      return transposeTable(table);
+    case "unpivot":
+      return unpivot(table, r);
+    case "pivot":
+      return pivot(table, r);
+    default:
+      return table;
+  }
+}
@@ -0,0 +1,257 @@
+import { maskValue } from "./pii.js";
+import { cellNumber, inferDateOrder, parseTypedValue } from "./types.js";
+
+/* ---------- schema validation ---------- */
+
+// A schema lists rules for columns, matched to the table by header name
+// (case and spaces ignored). Every rule but `name` is optional.
+//
+//   {
+//     version: 1,
+//     onViolation: "warn" | "block",          what exporting a failing table does
+//     columns: [{ name, type, required, unique, pattern, allowed, min, max }],
+//   }
+//
+// `type` is "any" or a column type from types.js; `pattern` is a regex the
+// whole cell must match; `allowed` lists the permitted values; `min` and
+// `max` bound numbers. `required` means the column must exist and have no
+// blank cells; other rules skip blank cells.
+
+export const SCHEMA_VERSION = 1;
+
+export const SCHEMA_TYPES = ["any", "text", "integer", "decimal", "percent", "currency", "date", "boolean"];
+
+// Starting points for `pattern`; partners' own rules can be stricter
+export const PATTERN_PRESETS = {
+  email: { label: "Email", pattern: "[^@\\s]+@[^@\\s]+\\.[^@\\s]+" },
+  phone: { label: "Phone", pattern: "\\+?[\\d\\s().-]{7,20}" },
+  ukPostcode: { label: "UK postcode", pattern: "(?i)[A-Z]{1,2}\\d[A-Z\\d]? ?\\d[A-Z]{2}" },
+  usZip: { label: "US ZIP code", pattern: "\\d{5}(-\\d{4})?" },
+};
+
+export const EMPTY_SCHEMA = { version: SCHEMA_VERSION, onViolation: "warn", columns: [] };
+
+const nameKey = (name) => (name ?? "").toString().trim().toLowerCase();
+
+/**
+ * Builds the RegExp for a rule's pattern, anchored to the whole cell. A
+ * leading "(?i)" makes it ignore case. Patterns that are only invalid in
+ * Unicode mode, like `[\w-.]` or `\_`, compile without it. Throws a
+ * SyntaxError for an invalid pattern.
+ */
+export function rulePattern(pattern) {
+  const ignoreCase = pattern.startsWith("(?i)");
+  const source = `^(?:${ignoreCase ? pattern.slice(4) : pattern})$`;
+  const flags = ignoreCase ? "i" : "";
+  try {
+    return new RegExp(source, `${flags}u`);
+  } catch {
+    return new RegExp(source, flags);
+  }
+}
+
+// `dateOrder` is the column's, as analyzeTable infers it, so ambiguous
+// dates like 03/04/2025 read the same way the column is typed
+function fitsType(cell, type, dateOrder) {
+  if (type === "any" || type === "text" || !type) return true;
+  const typed = parseTypedValue(cell, type, { dateOrder });
+  return typed !== null && (type !== "integer" || Number.isInteger(typed.value));
+}
+
+// Each rule as a check of one filled cell, returning a message or null
+function cellChecks(rule, dateOrder) {
+  const checks = [];
+  if (rule.type && rule.type !== "any") {
+    checks.push(["type", (cell) => (fitsType(cell, rule.type, dateOrder) ? null : `“${cell}” is not ${rule.type}`)]);
+  }
+  if (rule.pattern) {
+    let re = null;
+    try {
+      re = rulePattern(rule.pattern);
+    } catch {
+      // An invalid pattern is reported by the editor and checks nothing here
+    }
+    if (re) checks.push(["pattern", (cell) => (re.test(cell) ? null : `“${cell}” does not match the pattern`)]);
+  }
+  if (rule.allowed?.length > 0) {
+    const allowed = new Set(rule.allowed.map(nameKey));
+    checks.push(["allowed", (cell) => (allowed.has(nameKey(cell)) ? null : `“${cell}” is not an allowed value`)]);
+  }
+  const min = rule.min === "" || rule.min === undefined ? null : Number(rule.min);
+  const max = rule.max === "" || rule.max === undefined ? null : Number(rule.max);
+  if (min !== null || max !== null) {
+    checks.push([
+      "range",
+      (cell) => {
+        const n = cellNumber(cell);
+        if (n === null) return `“${cell}” is not a number`;
+        if (min !== null && n < min) return `${cell} is below ${min}`;
+        if (max !== null && n > max) return `${cell} is above ${max}`;
+        return null;
+      },
+    ]);
+  }
+  return checks;
+}
+
+/**
+ * Checks the body rows of `table` against `schema`. Returns
+ * `{ violations, checkedColumns }`; each violation is
+ * `{ row, col, column, rule, value, message }` with `row` a table row
+ * index. A missing required column gives one violation with `row` and
+ * `col` null.
+ */
+export function validateTable(table, schema, { hasHeader = true } = {}) {
+  const width = table.reduce((n, r) => Math.max(n, r.length), 0);
+  const header = Array.from({ length: width }, (_, j) => (hasHeader ? (table[0]?.[j] ?? "") : `Column ${j + 1}`));
+  const start = hasHeader ? 1 : 0;
+  const violations = [];
+  let checkedColumns = 0;
+
+  for (const rule of schema.columns) {
+    const col = header.findIndex((name) => nameKey(name) === nameKey(rule.name));
+    if (col === -1) {
+      if (rule.required) {
+        const message = `Required column “${rule.name}” is missing`;
+        violations.push({ row: null, col: null, column: rule.name, rule: "required", value: "", message });
+      }
+      continue;
+    }
+    checkedColumns++;
+
+    const dateOrder = rule.type === "date" ? inferDateOrder(table.slice(start).map((r) => r[col] ?? "")) : "dmy";
+    const checks = cellChecks(rule, dateOrder);
+    const seen = new Map(); // unique: value -> first row
+    for (let i = start; i < table.length; i++) {
+      const value = (table[i][col] ?? "").trim();
+      const add = (kind, message) => violations.push({ row: i, col, column: rule.name, rule: kind, value, message });
+      if (value === "") {
+        if (rule.required) add("required", "Required value is blank");
+        continue;
+      }
+      for (const [kind, check] of checks) {
+        const message = check(value);
+        if (message) add(kind, message);
+      }
+      if (rule.unique) {
+        const key = nameKey(value);
+        if (seen.has(key)) add("unique", `“${value}” repeats row ${seen.get(key) - start + 1}`);
+        else seen.set(key, i);
+      }
+    }
+  }
+
+  violations.sort((a, b) => (a.row ?? -1) - (b.row ?? -1) || (a.col ?? -1) - (b.col ?? -1));
+  return { violations, checkedColumns };
+}
+
+/**
+ * The violations as a table for CSV export, rows numbered as the preview
+ * shows them (the header row is not counted). Values of columns with a
+ * pii.js mask are masked, in the message too.
+ */
+export function violationsTable(violations, { hasHeader = true, masks = [] } = {}) {
+  const offset = hasHeader ? 1 : 0;
+  const row = (v) => {
+    const value = maskValue(v.value, v.column, masks);
+    // Messages quote the value first, before any row number
+    const message = v.value === "" ? v.message : v.message.replace(v.value, () => value || "…");
+    return [v.row === null ? "" : String(v.row - offset + 1), v.column, v.rule, value, message];
+  };
+  return [["Row", "Column", "Rule", "Value", "Problem"], ...violations.map(row)];
+}
+
+/**
+ * A schema with one untyped rule per column of the header, to edit.
+ */
+export function schemaFromHeader(header) {
+  return {
+    ...EMPTY_SCHEMA,
+    columns: header.map((name) => ({ name, type: "any", required: false, unique: false, pattern: "", allowed: [] })),
+  };
+}
+
+/* ---------- import ---------- */
+
+const JSON_SCHEMA_TYPES = { integer: "integer", number: "decimal", boolean: "boolean", string: "text" };
+
+// One property of a JSON Schema object as a column rule
+function ruleFromProperty(name, prop, required) {
+  const types = [prop.type].flat().filter((t) => t !== "null");
+  let type = JSON_SCHEMA_TYPES[types[0]] ?? "any";
+  if (prop.format === "date" || prop.format === "date-time") type = "date";
+  let pattern = prop.format === "email" ? PATTERN_PRESETS.email.pattern : "";
+  // JSON Schema patterns match anywhere unless anchored; ours match the whole cell
+  if (typeof prop.pattern === "string") {
+    const anchored = prop.pattern.startsWith("^") && prop.pattern.endsWith("$");
+    pattern = anchored ? prop.pattern.slice(1, -1) : `.*(?:${prop.pattern}).*`;
+  }
+  return {
+    name,
+    type,
+    required,
+    unique: Boolean(prop.unique ?? prop["x-unique"]),
+    pattern,
+    allowed: Array.isArray(prop.enum) ? prop.enum.map(String) : [],
+    min: prop.minimum ?? "",
+    max: prop.maximum ?? "",
+  };
+}
+
+// The schema, or an Error naming the first rule whose pattern does not compile
+function checkPatterns(schema) {
+  for (const rule of schema.columns) {
+    if (!rule.pattern) continue;
+    try {
+      rulePattern(rule.pattern);
+    } catch {
+      throw new Error(`The pattern for “${rule.name}” is not a valid regular expression.`);
+    }
+  }
+  return schema;
+}
+
+/**
+ * Reads a schema from JSON text: either one exported by this tool or a
+ * JSON Schema describing a row (an object, or an array of objects). Throws
+ * an Error with a readable message otherwise, or when a pattern is invalid.
+ */
+export function parseSchema(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error("This file is not valid JSON.");
+  }
+  if (!data || typeof data !== "object") throw new Error("This file is not a schema.");
+
+  if (Array.isArray(data.columns)) {
+    if (data.columns.some((c) => typeof c?.name !== "string")) throw new Error("Every column rule needs a name.");
+    return checkPatterns({
+      version: SCHEMA_VERSION,
+      onViolation: data.onViolation === "block" ? "block" : "warn",
+      columns: data.columns.map((c) => ({
+        name: c.name,
+        type: SCHEMA_TYPES.includes(c.type) ? c.type : "any",
+        required: Boolean(c.required),
+        unique: Boolean(c.unique),
+        pattern: (c.pattern ?? "").toString(),
+        allowed: Array.isArray(c.allowed) ? c.allowed.map(String) : [],
+        min: c.min ?? "",
+        max: c.max ?? "",
+      })),
+    });
+  }
+
+  const row = data.type === "array" ? data.items : data;
+  if (!row || typeof row.properties !== "object") {
+    throw new Error("This JSON Schema does not describe rows with properties.");
+  }
+  const required = new Set(Array.isArray(row.required) ? row.required : []);
+  return checkPatterns({
+    ...EMPTY_SCHEMA,
+    columns: Object.entries(row.properties).map(([name, prop]) =>
+      ruleFromProperty(name, prop ?? {}, required.has(name))
+    ),
+  });
+}
@@ -0,0 +1,178 @@
+import { appendTables, joinTables } from "./combine.js";
+import { removeDuplicates } from "./dedupe.js";
+import { applyEdits } from "./edits.js";
+import { addComputedColumn } from "./expression.js";
+import { LOCALES } from "./locale.js";
+import { repairRaggedRows } from "./repair.js";
+import { PIVOT_AGGREGATES, applyReshape } from "./reshape.js";
+import { TRANSFORM_OPS, applyTransform } from "./transforms.js";
+
+/* ---------- steps ---------- */
+
+// The table is the parsed input plus a list of steps. Option steps switch
+// on cleaning that happens while parsing; table steps (manual edits,
+// column transforms, computed columns, dedupe, ragged row repair, append,
+// join and reshapes) run afterwards, in order. Every step can be disabled
+// or removed. A new input keeps the option steps and the column transforms,
+// which find their column by name; the other table steps only fit the
+// table they were made on.
+//
+//   { id, type: "removeEmptyRows" | "removeEmptyColumns" | "collapseSpaces", enabled }
+//   { id, type: "locale", locale, enabled }
+//   { id, type: "edit", edit, enabled }
+//   { id, type: "transform", transform, column, enabled }   `column` is the name shown;
+//                                                            a merge also names `withColumn`
+//   { id, type: "compute", compute, enabled }                `compute` is addComputedColumn's options
+//   { id, type: "dedupe", dedupe, columns, enabled }         `dedupe` as in dedupe.js
+//   { id, type: "repair", repair, enabled }                  `repair` is repairRaggedRows' options
+//   { id, type: "append", table, hasHeader, enabled }        `table` names a loaded table
+//   { id, type: "join", table, join, columns, enabled }      `join` is joinTables' options
+//   { id, type: "reshape", reshape, columns, enabled }       `reshape` as in reshape.js
+
+export const OPTION_STEPS = {
+  removeEmptyRows: "Remove empty rows",
+  removeEmptyColumns: "Remove empty columns",
+  collapseSpaces: "Collapse spaces in cells",
+};
+
+let nextId = 1;
+
+export function createStep(type, props = {}) {
+  return { id: `step-${nextId++}`, type, enabled: true, ...props };
+}
+
+export function defaultSteps() {
+  return Object.keys(OPTION_STEPS).map((type) => createStep(type));
+}
+
+export function isTableStep(step) {
+  return ["edit", "transform", "compute", "dedupe", "repair", "append", "join", "reshape"].includes(step.type);
+}
+
+// The steps that still apply when a new file, paste or sheet replaces the input
+export function stepsForNewInput(steps) {
+  return steps.filter((s) => !isTableStep(s) || s.type === "transform");
+}
+
+const columnKey = (name) => (name ?? "").toString().trim().toLowerCase();
+
+// The step field holding the name of each column a transform refers to
+const TRANSFORM_NAMES = { col: "column", with: "withColumn" };
+
+/**
+ * The column a transform step runs on in `table` (`field` "col"), or the
+ * column a merge joins onto it ("with"), found by the name it was made on
+ * (case and spaces ignored); -1 when the header has no such column.
+ * Without a header, or a name, the saved index is used.
+ */
+export function transformColumn(table, step, field = "col") {
+  const index = step.transform[field];
+  const name = step[TRANSFORM_NAMES[field]];
+  if (!step.transform.hasHeader || !name) return index;
+  const header = table[0] ?? [];
+  if (columnKey(header[index]) === columnKey(name)) return index;
+  return header.findIndex((cell) => columnKey(cell) === columnKey(name));
+}
+
+const EDIT_LABELS = {
+  setCell: (e) => `Edit cell R${e.row + 1}C${e.col + 1} → “${e.value}”`,
+  insertRow: (e) => `Insert row ${e.row + 1}`,
+  deleteRow: (e) => `Delete row ${e.row + 1}`,
+  insertColumn: (e) => `Insert column ${e.col + 1}`,
+  deleteColumn: (e) => `Delete column ${e.col + 1}`,
+  moveColumn: (e) => `Move column ${e.from + 1} to ${e.to + 1}`,
+};
+
+export function stepLabel(step) {
+  if (OPTION_STEPS[step.type]) return OPTION_STEPS[step.type];
+  if (step.type === "locale") {
+    return `Normalise numbers & dates (${step.locale === "auto" ? "auto-guess" : LOCALES[step.locale]?.label})`;
+  }
+  if (step.type === "edit") return EDIT_LABELS[step.edit.type]?.(step.edit) ?? step.edit.type;
+  if (step.type === "transform") {
+    const t = step.transform;
+    const column = step.column || `column ${t.col + 1}`;
+    if (t.op === "replace") return `Replace “${t.find}” with “${t.replace}” in ${column}`;
+    if (t.op === "case") return `${t.mode[0].toUpperCase()}${t.mode.slice(1)} case ${column}`;
+    return `${TRANSFORM_OPS[t.op] ?? t.op}: ${column}`;
+  }
+  if (step.type === "compute") return `Add column “${step.compute.name}” = ${step.compute.expression}`;
+  if (step.type === "dedupe") {
+    const keep = { first: "keep first", last: "keep last", merge: "merge" }[step.dedupe.keep];
+    return `Remove duplicates by ${step.columns || "all columns"} (${keep})`;
+  }
+  if (step.type === "repair") {
+    const n = step.repair.rows?.length;
+    return n === undefined ? "Repair ragged rows" : `Repair ${n} ragged row${n === 1 ? "" : "s"}`;
+  }
+  if (step.type === "append") return `Append “${step.table}”`;
+  if (step.type === "join") {
+    const how = { inner: "Inner", left: "Left", full: "Full" }[step.join.how];
+    return `${how} join “${step.table}” on ${step.columns}`;
+  }
+  if (step.type === "reshape") {
+    const r = step.reshape;
+    if (r.op === "unpivot") return `Unpivot ${step.columns} into ${r.keyName} / ${r.valueName}`;
+    if (r.op === "pivot") return `Pivot ${step.columns} (${PIVOT_AGGREGATES[r.aggregate]?.toLowerCase()})`;
+    return "Transpose";
+  }
+  return step.type;
+}
+
+/**
+ * cleanTable options switched on by the option steps; an option is on
+ * when its step is present and enabled.
+ */
+export function stepCleanOptions(steps) {
+  const on = (type) => steps.some((s) => s.type === type && s.enabled);
+  const locale = steps.find((s) => s.type === "locale" && s.enabled);
+  return {
+    removeEmptyRows: on("removeEmptyRows"),
+    removeEmptyColumns: on("removeEmptyColumns"),
+    collapseSpaces: on("collapseSpaces"),
+    locale: locale?.locale ?? "",
+  };
+}
+
+/**
+ * Runs the enabled table steps on a cleaned table. `tables` are the other
+ * loaded tables (`{ name, table }`) that append and join steps refer to.
+ * A step whose table is gone, or a transform whose column is, is skipped.
+ * Returns `{ table, skipped }` with `skipped` as `[{ id, reason }]`.
+ */
+export function applyTableSteps(table, steps, { tables = [] } = {}) {
+  const named = (name) => tables.find((t) => t.name === name)?.table;
+  const skipped = [];
+  const skip = (step, reason, t) => {
+    skipped.push({ id: step.id, reason });
+    return t;
+  };
+  const result = steps.reduce((t, step) => {
+    if (!step.enabled) return t;
+    if (step.type === "edit") return applyEdits(t, [step.edit]);
+    if (step.type === "transform") {
+      const col = transformColumn(t, step);
+      if (col === -1) return skip(step, `no column “${step.column}”`, t);
+      if (step.transform.op !== "merge") return applyTransform(t, { ...step.transform, col });
+      const partner = transformColumn(t, step, "with");
+      if (partner === -1) return skip(step, `no column “${step.withColumn}”`, t);
+      return applyTransform(t, { ...step.transform, col, with: partner });
+    }
+    if (step.type === "compute") return addComputedColumn(t, step.compute);
+    if (step.type === "dedupe") return removeDuplicates(t, step.dedupe);
+    if (step.type === "repair") return repairRaggedRows(t, step.repair).table;
+    if (step.type === "append" || step.type === "join") {
+      const other = named(step.table);
+      if (!other) return skip(step, `no table “${step.table}”`, t);
+      return step.type === "append" ? appendTables(t, other, step) : joinTables(t, other, step.join).table;
+    }
+    if (step.type === "reshape") return applyReshape(t, step.reshape);
+    return t;
+  }, table);
+  return { table: result, skipped };
+}
+
+// applyTableSteps for callers that only need the table
+export function runTableSteps(table, steps, options) {
+  return applyTableSteps(table, steps, options).table;
+}
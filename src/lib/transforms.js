@@ -0,0 +1,137 @@
+/* ---------- column transforms ---------- */
+
+// Transforms are steps like manual edits (see steps.js), so they re-run
+// whenever the input changes. `col` is a 0-based column index; with
+// `hasHeader` the first row is renamed instead of transformed.
+//
+//   { op: "split", col, separator, parts }      "Last, First" -> "Last" | "First"
+//   { op: "merge", col, with, separator }       column `with` joins onto `col`
+//   { op: "trim", col }
+//   { op: "case", col, mode }                   "upper" | "lower" | "title"
+//   { op: "stripCurrency", col }                "$1,234.50" -> "1,234.50"
+//   { op: "padZeros", col, width }              "42" -> "00042"
+//   { op: "replace", col, find, replace, regex, ignoreCase }
+
+export const TRANSFORM_OPS = {
+  split: "Split into columns",
+  merge: "Merge with another column",
+  trim: "Trim whitespace",
+  case: "Change case",
+  stripCurrency: "Strip currency symbols",
+  padZeros: "Pad with leading zeros",
+  replace: "Find & replace",
+};
+
+const CURRENCY_RE = /^([+-]?)\s*(?:[$€£¥₹]|[A-Z]{3}(?=[\s\d]))?\s*([+-]?)\s*([\d.,' ]*\d)\s*(?:[$€£¥₹]|[A-Z]{3})?$/;
+
+function titleCase(s) {
+  return s.toLowerCase().replace(/(^|[\s\-'(/])(\p{L})/gu, (_, before, ch) => before + ch.toUpperCase());
+}
+
+const CASES = {
+  upper: (s) => s.toUpperCase(),
+  lower: (s) => s.toLowerCase(),
+  title: titleCase,
+};
+
+// Only the symbol goes; the number keeps its own separators
+function stripCurrency(s) {
+  const m = CURRENCY_RE.exec(s.trim());
+  if (!m) return s;
+  const negative = m[1] === "-" || m[2] === "-";
+  return `${negative ? "-" : ""}${m[3].replace(/\s/g, "")}`;
+}
+
+function padZeros(s, width) {
+  const m = /^([+-]?)(\d+)$/.exec(s.trim());
+  return m ? m[1] + m[2].padStart(width, "0") : s;
+}
+
+/**
+ * Builds the find/replace RegExp. Plain-text searches are escaped.
+ * Throws a SyntaxError for an invalid pattern.
+ */
+export function replacePattern({ find, regex = false, ignoreCase = false }) {
+  const source = regex ? find : find.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(source, ignoreCase ? "gi" : "g");
+}
+
+function splitCell(s, separator, parts) {
+  if (!separator) return [s];
+  const pieces = s.split(separator);
+  if (pieces.length <= parts) return pieces.map((p) => p.trim());
+  // The last column keeps the rest, separators included
+  return [...pieces.slice(0, parts - 1), pieces.slice(parts - 1).join(separator)].map((p) => p.trim());
+}
+
+function mapColumn(table, t, fn) {
+  return table.map((row, i) => {
+    if ((t.hasHeader && i === 0) || t.col >= row.length) return row;
+    const out = row.slice();
+    out[t.col] = fn(out[t.col] ?? "");
+    return out;
+  });
+}
+
+function splitColumn(table, t) {
+  const parts = Math.max(2, t.parts ?? 2);
+  const name = t.hasHeader ? table[0]?.[t.col] ?? "" : "";
+  return table.map((row, i) => {
+    const cells =
+      t.hasHeader && i === 0
+        ? Array.from({ length: parts }, (_, k) => `${name} ${k + 1}`.trim())
+        : splitCell(row[t.col] ?? "", t.separator, parts);
+    const padded = Array.from({ length: parts }, (_, k) => cells[k] ?? "");
+    return [...row.slice(0, t.col), ...padded, ...row.slice(t.col + 1)];
+  });
+}
+
+function mergeColumns(table, t) {
+  if (t.with === t.col) return table;
+  const separator = t.separator ?? " ";
+  return table.map((row, i) => {
+    const a = row[t.col] ?? "";
+    const b = row[t.with] ?? "";
+    let merged;
+    if (t.hasHeader && i === 0) merged = [a, b].filter(Boolean).join(" ");
+    else merged = a && b ? `${a}${separator}${b}` : a || b;
+    const out = row.slice();
+    while (out.length <= Math.max(t.col, t.with)) out.push("");
+    out[t.col] = merged;
+    out.splice(t.with, 1);
+    return out;
+  });
+}
+
+/**
+ * Runs one column transform on a table and returns the new table.
+ * An invalid find/replace pattern leaves the table unchanged.
+ */
+export function applyTransform(table, t) {
+  switch (t.op) {
+    case "split":
+      return splitColumn(table, t);
+    case "merge":
+      return mergeColumns(table, t);
+    case "trim":
+      return mapColumn(table, t, (s) => s.trim().replace(/\s+/g, " "));
+    case "case":
+      return mapColumn(table, t, CASES[t.mode] ?? ((s) => s));
+    case "stripCurrency":
+      return mapColumn(table, t, stripCurrency);
+    case "padZeros":
+      return mapColumn(table, t, (s) => padZeros(s, t.width ?? 0));
+    case "replace": {
+      if (!t.find) return table;
+      let re;
+      try {
+        re = replacePattern(t);
+      } catch {
+        return table;
+      }
+      return mapColumn(table, t, (s) => s.replace(re, t.replace ?? ""));
+    }
+    default:
+      return table;
+  }
+}
@@ -0,0 +1,262 @@
+/* ---------- column types ---------- */
+
+export const COLUMN_TYPES = ["integer", "decimal", "percent", "currency", "date", "boolean", "text"];
+export const NUMERIC_TYPES = new Set(["integer", "decimal", "percent", "currency"]);
+
+// Share of non-empty cells that must agree before a column gets a type
+const TYPE_THRESHOLD = 0.9;
+
+const INTEGER_RE = /^[+-]?(?:\d{1,3}(?:,\d{3})+|\d+)$/;
+const DECIMAL_RE = /^[+-]?(?:\d{1,3}(?:,\d{3})+|\d+)?\.\d+$/;
+const PERCENT_RE = /^([+-]?[\d.,]+)\s?%$/;
+const CURRENCY_RE = /^([+-])?\s?([$€£¥₹]|[A-Z]{3}\s)?\s?([+-])?([\d.,]+)\s?([$€£¥₹]|\s[A-Z]{3})?$/;
+const ISO_DATE_RE = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const SLASH_DATE_RE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})$/;
+const BOOLEAN_VALUES = new Map([
+  ["true", true],
+  ["false", false],
+  ["yes", true],
+  ["no", false],
+]);
+
+export function parseNumber(s) {
+  const v = (s ?? "").toString().trim();
+  if (!INTEGER_RE.test(v) && !DECIMAL_RE.test(v)) return null;
+  return Number(v.replace(/,/g, ""));
+}
+
+function parsePercent(s) {
+  const m = PERCENT_RE.exec(s);
+  if (!m) return null;
+  const n = parseNumber(m[1]);
+  return n === null ? null : n / 100;
+}
+
+function parseCurrency(s) {
+  const m = CURRENCY_RE.exec(s);
+  if (!m) return null;
+
+  const [, signBefore, prefix, signAfter, digits, suffix] = m;
+  const symbol = (prefix ?? suffix ?? "").trim();
+  if (!symbol || (prefix && suffix)) return null;
+
+  const n = parseNumber(digits);
+  if (n === null) return null;
+
+  const negative = signBefore === "-" || signAfter === "-";
+  return { value: negative ? -n : n, symbol };
+}
+
+function isValidDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1) return false;
+  return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function expandYear(y) {
+  if (y.length === 4) return Number(y);
+  const n = Number(y);
+  return n < 50 ? 2000 + n : 1900 + n;
+}
+
+/**
+ * Parses ISO (`2025-12-31`) and slash dates (`31/12/2025`, `12/31/2025`).
+ * `order` settles slash dates: "dmy", "mdy", or "auto" (only unambiguous ones).
+ * Returns `{ year, month, day, hours, minutes, seconds }` or null.
+ */
+export function parseDate(s, order = "auto") {
+  const v = (s ?? "").toString().trim();
+
+  const iso = ISO_DATE_RE.exec(v);
+  if (iso) {
+    const [year, month, day, hours = 0, minutes = 0, seconds = 0] = iso.slice(1).map((x) => Number(x ?? 0));
+    if (!isValidDate(year, month, day)) return null;
+    return { year, month, day, hours, minutes, seconds };
+  }
+
+  const slash = SLASH_DATE_RE.exec(v);
+  if (!slash) return null;
+
+  const a = Number(slash[1]);
+  const b = Number(slash[2]);
+  const year = expandYear(slash[3]);
+
+  let dayFirst;
+  if (order === "dmy") dayFirst = true;
+  else if (order === "mdy") dayFirst = false;
+  else if (a > 12 && b <= 12) dayFirst = true;
+  else if (b > 12 && a <= 12) dayFirst = false;
+  else if (a === b) dayFirst = true;
+  else return null;
+
+  const day = dayFirst ? a : b;
+  const month = dayFirst ? b : a;
+  if (!isValidDate(year, month, day)) return null;
+  return { year, month, day, hours: 0, minutes: 0, seconds: 0 };
+}
+
+function looksLikeDate(s) {
+  if (parseDate(s)) return true;
+  // Ambiguous slash dates (e.g. 03/04/2025) are still dates
+  const slash = SLASH_DATE_RE.exec(s);
+  return Boolean(slash && parseDate(s, "dmy") && parseDate(s, "mdy"));
+}
+
+// Codes with leading zeros or more digits than a double holds stay text
+function isCodeLike(s) {
+  return /^[+-]?0\d/.test(s) || s.replace(/\D/g, "").length > 15;
+}
+
+export function detectCellType(value) {
+  const s = (value ?? "").toString().trim();
+  if (s === "") return "empty";
+  if (/^[+-]?[\d,]+$/.test(s) && isCodeLike(s)) return "text";
+  if (INTEGER_RE.test(s)) return "integer";
+  if (DECIMAL_RE.test(s)) return "decimal";
+  if (parsePercent(s) !== null) return "percent";
+  if (parseCurrency(s) !== null) return "currency";
+  if (looksLikeDate(s)) return "date";
+  if (BOOLEAN_VALUES.has(s.toLowerCase())) return "boolean";
+  return "text";
+}
+
+export function inferColumnType(values) {
+  const counts = new Map();
+  let filled = 0;
+
+  for (const v of values) {
+    const t = detectCellType(v);
+    if (t === "empty") continue;
+    filled++;
+    counts.set(t, (counts.get(t) || 0) + 1);
+  }
+  if (filled === 0) return "text";
+
+  // Whole numbers mixed with decimals are still a decimal column
+  const integers = counts.get("integer") || 0;
+  const decimals = counts.get("decimal") || 0;
+  if (decimals > 0 && integers + decimals >= filled * TYPE_THRESHOLD) return "decimal";
+
+  for (const [type, n] of counts.entries()) {
+    if (type !== "text" && n >= filled * TYPE_THRESHOLD) return type;
+  }
+  return "text";
+}
+
+/**
+ * Picks "dmy" or "mdy" for a date column from the cells that settle it.
+ * Falls back to "dmy" when every date is ambiguous.
+ */
+export function inferDateOrder(values) {
+  let dmy = 0;
+  let mdy = 0;
+  for (const v of values) {
+    const slash = SLASH_DATE_RE.exec((v ?? "").toString().trim());
+    if (!slash) continue;
+    if (Number(slash[1]) > 12) dmy++;
+    else if (Number(slash[2]) > 12) mdy++;
+  }
+  return mdy > dmy ? "mdy" : "dmy";
+}
+
+function columnValues(rows, j) {
+  return rows.map((r) => r[j] ?? "");
+}
+
+/**
+ * Guesses whether row 0 is a header: it is when its cells are all filled,
+ * and either some column's body is typed while its first cell is plain text,
+ * or (for all-text tables) none of its cells repeat further down.
+ */
+export function detectHeaderRow(table) {
+  if (table.length < 2) return true;
+
+  const [first, ...body] = table;
+  if (first.some((c) => (c ?? "").toString().trim() === "")) return false;
+
+  let typedColumns = 0;
+  for (let j = 0; j < first.length; j++) {
+    const bodyType = inferColumnType(columnValues(body, j));
+    if (bodyType === "text") continue;
+    if (detectCellType(first[j]) !== "text") return false;
+    typedColumns++;
+  }
+  if (typedColumns > 0) return true;
+
+  const labels = first.map((c) => c.toString().trim().toLowerCase());
+  if (new Set(labels).size !== labels.length) return false;
+  return !body.some((row) => row.some((c, j) => (c ?? "").toString().trim().toLowerCase() === labels[j]));
+}
+
+/**
+ * Header detection plus per-column types for a cleaned table.
+ * Returns `{ hasHeader, types, dateOrders }`; `dateOrders[j]` is null
+ * unless column j is a date column.
+ */
+export function analyzeTable(table, { hasHeader } = {}) {
+  const header = hasHeader ?? detectHeaderRow(table);
+  const body = header ? table.slice(1) : table;
+  const maxCols = table.reduce((n, r) => Math.max(n, r.length), 0);
+
+  const types = [];
+  const dateOrders = [];
+  for (let j = 0; j < maxCols; j++) {
+    const values = columnValues(body, j);
+    const type = inferColumnType(values);
+    types.push(type);
+    dateOrders.push(type === "date" ? inferDateOrder(values) : null);
+  }
+
+  return { hasHeader: header, types, dateOrders };
+}
+
+/**
+ * Reads a plain number, currency amount or percentage (as a fraction) from
+ * a cell, for arithmetic. Returns null for anything else.
+ */
+export function cellNumber(cell) {
+  const s = (cell ?? "").toString().trim();
+  return parseNumber(s) ?? parseCurrency(s)?.value ?? parsePercent(s);
+}
+
+/**
+ * Converts a cell to a typed value for the given column type.
+ * Returns `{ value, format }`, or null when the cell does not fit the type.
+ * Dates come back as `{ year, month, day, hours, minutes, seconds }`.
+ */
+export function parseTypedValue(cell, type, { dateOrder = "dmy" } = {}) {
+  const s = (cell ?? "").toString().trim();
+  if (s === "") return null;
+
+  switch (type) {
+    case "integer":
+    case "decimal": {
+      const n = parseNumber(s);
+      return n === null ? null : { value: n, format: null };
+    }
+    case "percent": {
+      const n = parsePercent(s);
+      if (n === null) return null;
+      const decimals = (s.split(".")[1] ?? "").replace(/\D/g, "").length;
+      return { value: n, format: decimals > 0 ? `0.${"0".repeat(decimals)}%` : "0%" };
+    }
+    case "currency": {
+      const c = parseCurrency(s);
+      if (!c) return null;
+      const decimals = (s.split(".")[1] ?? "").replace(/\D/g, "").length;
+      const number = decimals > 0 ? `#,##0.${"0".repeat(decimals)}` : "#,##0";
+      return { value: c.value, format: `"${c.symbol}"${number}` };
+    }
+    case "date": {
+      const d = parseDate(s, dateOrder);
+      if (!d) return null;
+      const hasTime = d.hours || d.minutes || d.seconds;
+      return { value: d, format: hasTime ? "yyyy-mm-dd hh:mm:ss" : "yyyy-mm-dd" };
+    }
+    case "boolean": {
+      const b = BOOLEAN_VALUES.get(s.toLowerCase());
+      return b === undefined ? null : { value: b, format: null };
+    }
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,124 @@
+import { NUMERIC_TYPES, parseDate, parseTypedValue } from "./types.js";
+
+/* ---------- sort, filter and search ---------- */
+
+// A view narrows and orders the body rows without changing the table:
+//
+//   {
+//     sort: { col, dir: "asc" | "desc" } | null,
+//     filters: { [col]: { mode, value, min, max } },
+//     search: "",
+//   }
+//
+// Sorting and range filters follow the column type from analyzeTable:
+// numbers and dates compare by value, text in natural order ("a2" < "a10").
+
+export const FILTER_MODES = {
+  contains: "contains",
+  equals: "equals",
+  range: "between",
+  empty: "is empty",
+};
+
+export const EMPTY_VIEW = { sort: null, filters: {}, search: "" };
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+function dateValue(cell, dateOrder) {
+  const d = parseDate(cell, dateOrder ?? "dmy");
+  return d && Date.UTC(d.year, d.month - 1, d.day, d.hours, d.minutes, d.seconds);
+}
+
+// Number for numeric and date cells, null when the cell does not parse
+function typedValue(cell, type, dateOrder) {
+  if (type === "date") return dateValue(cell, dateOrder);
+  if (!NUMERIC_TYPES.has(type)) return null;
+  return parseTypedValue(cell, type)?.value ?? null;
+}
+
+// Typed cells before unparseable ones, which compare as text; blanks last
+function compareCells(a, b, type, dateOrder) {
+  const sa = (a ?? "").trim();
+  const sb = (b ?? "").trim();
+  if (sa === "" || sb === "") return (sa === "") - (sb === "");
+  const va = typedValue(sa, type, dateOrder);
+  const vb = typedValue(sb, type, dateOrder);
+  if (va !== null && vb !== null) return va - vb;
+  if (va !== null || vb !== null) return va === null ? 1 : -1;
+  return collator.compare(sa, sb);
+}
+
+function inRange(cell, filter, type, dateOrder) {
+  const value = typedValue(cell, type, dateOrder);
+  const bound = (b) => (b ?? "").trim();
+  const compare = (b) => {
+    const limit = typedValue(b, type, dateOrder);
+    return value !== null && limit !== null ? value - limit : collator.compare(cell, b);
+  };
+  if (cell === "") return false;
+  if (bound(filter.min) !== "" && compare(bound(filter.min)) < 0) return false;
+  if (bound(filter.max) !== "" && compare(bound(filter.max)) > 0) return false;
+  return true;
+}
+
+function matchesFilter(cell, filter, type, dateOrder) {
+  const s = (cell ?? "").trim();
+  const value = (filter.value ?? "").trim().toLowerCase();
+  switch (filter.mode) {
+    case "contains":
+      return value === "" || s.toLowerCase().includes(value);
+    case "equals":
+      return value === "" || s.toLowerCase() === value;
+    case "range":
+      return inRange(s, filter, type, dateOrder);
+    case "empty":
+      return s === "";
+    default:
+      return true;
+  }
+}
+
+export function matchesSearch(cell, search) {
+  const needle = search.trim().toLowerCase();
+  return needle !== "" && (cell ?? "").toLowerCase().includes(needle);
+}
+
+export function isViewActive(view) {
+  return Boolean(view.sort || view.search.trim() || Object.keys(view.filters).length > 0);
+}
+
+/**
+ * Table row indexes of the body rows a view shows, in display order.
+ * `analysis` is analyzeTable's result for the same table.
+ */
+export function viewRows(table, view, analysis) {
+  const { hasHeader, types = [], dateOrders = [] } = analysis;
+  const filters = Object.entries(view.filters).map(([col, f]) => [Number(col), f]);
+  const rows = [];
+
+  for (let i = hasHeader ? 1 : 0; i < table.length; i++) {
+    const row = table[i];
+    if (!filters.every(([j, f]) => matchesFilter(row[j], f, types[j], dateOrders[j]))) continue;
+    if (view.search.trim() && !row.some((cell) => matchesSearch(cell, view.search))) continue;
+    rows.push(i);
+  }
+
+  if (view.sort) {
+    const { col, dir } = view.sort;
+    const sign = dir === "desc" ? -1 : 1;
+    rows.sort((a, b) => {
+      const ca = table[a][col] ?? "";
+      const cb = table[b][col] ?? "";
+      // Blanks stay last in both directions
+      if (ca.trim() === "" || cb.trim() === "") return compareCells(ca, cb, types[col], dateOrders[col]);
+      return sign * compareCells(ca, cb, types[col], dateOrders[col]);
+    });
+  }
+  return rows;
+}
+
+// The table as the view shows it, header included
+export function applyView(table, view, analysis) {
+  const rows = viewRows(table, view, analysis).map((i) => table[i]);
+  return analysis.hasHeader && table.length > 0 ? [table[0], ...rows] : rows;
+}
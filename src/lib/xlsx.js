@@ -0,0 +1,131 @@
+import * as XLSX from "xlsx";
+import { parseTypedValue } from "./types.js";
+
+/* ---------- xlsx ---------- */
+
+export function sheetToRows(ws) {
+  const aoa = XLSX.utils.sheet_to_json(ws, {
+    header: 1,
+    raw: false,
+    blankrows: true,
+    defval: "",
+  });
+
+  return (Array.isArray(aoa) ? aoa : []).map((row) => {
+    const arr = Array.isArray(row) ? row : [row];
+    return arr.map((v) => (v ?? "").toString());
+  });
+}
+
+function readWorkbookData(data) {
+  return XLSX.read(data, { type: data instanceof ArrayBuffer ? "array" : "buffer" });
+}
+
+/**
+ * Reads every sheet of a workbook.
+ * `data` is an ArrayBuffer (browser) or Buffer (Node).
+ * Returns `[{ name, table }]` in workbook order.
+ */
+export function readSheets(data) {
+  const wb = readWorkbookData(data);
+  return (wb.SheetNames ?? []).map((name) => ({ name, table: sheetToRows(wb.Sheets[name]) }));
+}
+
+/**
+ * Reads the first sheet of a workbook.
+ * Returns `{ table, sheetName }`, or null if the workbook has no sheets.
+ */
+export function readFirstSheet(data) {
+  const [first] = readSheets(data);
+  if (!first) return null;
+
+  return { table: first.table, sheetName: first.name };
+}
+
+function sameRow(a, b) {
+  return a.length === b.length && a.every((c, i) => c.trim() === (b[i] ?? "").trim());
+}
+
+/**
+ * Stacks sheets into one table.
+ * When every sheet starts with the same header row it is kept only once.
+ * `sourceColumn` prepends a `sourceLabel` column naming where each row came from.
+ */
+export function stackSheets(sheets, { sourceColumn = false, sourceLabel = "Sheet" } = {}) {
+  const nonEmpty = sheets.filter((s) => s.table.length > 0);
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].table[0];
+  const sharedHeader = nonEmpty.length > 1 && nonEmpty.every((s) => sameRow(s.table[0], header));
+
+  const withSource = (row, name) => {
+    if (!sourceColumn) return row;
+    const hasValue = row.some((c) => c.trim() !== "");
+    return [hasValue ? name : "", ...row];
+  };
+
+  const out = [];
+  if (sharedHeader) out.push(sourceColumn ? [sourceLabel, ...header] : header);
+
+  for (const sheet of nonEmpty) {
+    const rows = sharedHeader ? sheet.table.slice(1) : sheet.table;
+    for (const row of rows) out.push(withSource(row, sheet.name));
+  }
+
+  return out;
+}
+
+function toExcelSerial(d) {
+  const ms = Date.UTC(d.year, d.month - 1, d.day, d.hours, d.minutes, d.seconds);
+  return ms / 86400000 + 25569;
+}
+
+/**
+ * Turns text cells into SheetJS cell objects using the inferred column types,
+ * so Excel gets real numbers, dates and booleans. Cells that don't fit their
+ * column's type, and the header row, stay text.
+ */
+export function toTypedCells(table, { types, dateOrders = [], hasHeader = true }) {
+  return table.map((row, i) =>
+    row.map((cell, j) => {
+      if (hasHeader && i === 0) return cell;
+
+      const typed = parseTypedValue(cell, types[j], { dateOrder: dateOrders[j] ?? "dmy" });
+      if (!typed) return cell;
+
+      if (typeof typed.value === "boolean") return { t: "b", v: typed.value };
+      if (typeof typed.value === "object") return { t: "n", v: toExcelSerial(typed.value), z: typed.format };
+      return typed.format ? { t: "n", v: typed.value, z: typed.format } : { t: "n", v: typed.value };
+    })
+  );
+}
+
+/**
+ * Builds a one-sheet workbook.
+ * Pass `analysis` (from `analyzeTable`) to write typed cells instead of text.
+ */
+export function buildWorkbook(table, sheetName = "Table", analysis = null) {
+  return buildMultiSheetWorkbook([{ name: sheetName, table, analysis }]);
+}
+
+// Excel sheet names: max 31 chars, no []:*?/\ and unique (case-insensitive)
+function safeSheetName(name, used) {
+  const base = (name || "Sheet").replace(/[[\]:*?/\\]/g, " ").trim().slice(0, 31) || "Sheet";
+  let candidate = base;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    candidate = `${base.slice(0, 31 - suffix.length)}${suffix}`;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+export function buildMultiSheetWorkbook(sheets) {
+  const wb = XLSX.utils.book_new();
+  const used = new Set();
+  for (const sheet of sheets) {
+    const data = sheet.analysis ? toTypedCells(sheet.table, sheet.analysis) : sheet.table;
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(data), safeSheetName(sheet.name, used));
+  }
+  return wb;
+}
@@ -0,0 +1,21 @@
+import { cleanTable } from "../lib/cleanTable";
+import { decodeText } from "../lib/encoding";
+import { readSheets } from "../lib/xlsx";
+
+const JOBS = {
+  cleanTable: (input, options, onProgress) => cleanTable(input, { ...options, onProgress }),
+  cleanTextFile: (input, options, onProgress) => cleanTable(decodeText(input).text, { ...options, onProgress }),
+  readSheets: (input) => readSheets(input),
+};
+
+// Parses off the main thread for useCleanTable and the *InWorker helpers.
+// Each job runs in its own worker, so cancelling is just terminate().
+self.onmessage = (e) => {
+  const { job, input, options } = e.data;
+  const onProgress = (stage, share) => self.postMessage({ type: "progress", stage, share });
+  try {
+    self.postMessage({ type: "done", result: JOBS[job](input, options, onProgress) });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err?.message ?? String(err) });
+  }
+};
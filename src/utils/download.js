@@ -0,0 +1,20 @@
+export function downloadTextFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// "sales.xlsx" -> "sales-cleaned"; falls back to "table"
+export function exportBaseName(sourceName) {
+  const base = (sourceName ?? "")
+    .replace(/\.[^.]*$/, "")
+    .replace(/[\\/:*?"<>|]+/g, "_")
+    .trim();
+  return base ? `${base}-cleaned` : "table";
+}
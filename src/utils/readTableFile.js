@@ -0,0 +1,48 @@
+import { cleanTable } from "../lib/cleanTable";
+import { parseHtmlTables } from "../lib/html";
+import { cleanTextFileInWorker, readSheetsInWorker } from "./useCleanTable";
+
+export const TEXT_EXTENSIONS = ["csv", "txt", "tsv", "md"];
+
+const baseName = (fileName) => fileName.replace(/\.[^.]*$/, "");
+
+/**
+ * Reads a file as extra tables to append or join: `[{ name, table }]`,
+ * one per sheet or HTML table. Workbooks and text files are read in a
+ * worker; text is decoded and cleaned with the default options. Rejects
+ * with a readable message.
+ */
+export function readTableFile(file) {
+  const ext = (file.name.split(".").pop() || "").toLowerCase();
+  const name = baseName(file.name);
+  const named = (tables) =>
+    tables.map((t) => ({ name: tables.length > 1 ? `${name} – ${t.name}` : name, table: cleanTable(t.table).table }));
+  const unreadable = () => Promise.reject(new Error(`Could not read ${file.name}.`));
+
+  if (ext === "xlsx") {
+    return file
+      .arrayBuffer()
+      .then((data) => readSheetsInWorker(data).promise)
+      .then(named)
+      .catch(unreadable);
+  }
+  if (ext === "html" || ext === "htm") {
+    return file.text().then((html) => {
+      const tables = parseHtmlTables(html);
+      if (tables.length === 0) throw new Error(`Could not find a <table> in ${file.name}.`);
+      return named(tables);
+    });
+  }
+  if (!TEXT_EXTENSIONS.includes(ext)) {
+    const message = `Unsupported file type: ${file.name}. Please use .csv, .txt, .md, .html, or .xlsx.`;
+    return Promise.reject(new Error(message));
+  }
+  return file
+    .arrayBuffer()
+    .then((data) => cleanTextFileInWorker(data).promise)
+    .catch(unreadable)
+    .then(({ table }) => {
+      if (table.length === 0) throw new Error(`Could not find a table in ${file.name}.`);
+      return [{ name, table }];
+    });
+}
@@ -0,0 +1,106 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { cleanTable } from "../lib/cleanTable";
+import { decodeText } from "../lib/encoding";
+import { readSheets } from "../lib/xlsx";
+
+// Smaller inputs are cleaned right away on the main thread; a worker round
+// trip would only add latency while typing
+const WORKER_MIN_CHARS = 512 * 1024;
+
+const EMPTY_RESULT = cleanTable("");
+
+function inputSize(input) {
+  if (typeof input === "string") return input.length;
+  let cells = 0;
+  for (const row of input) cells += row.length;
+  return cells * 8; // rough characters per cell
+}
+
+function startWorker(job, input, options, { onProgress, onDone, onError }) {
+  const worker = new Worker(new URL("./cleanWorker.js", import.meta.url), { type: "module" });
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === "progress") return onProgress(msg);
+    worker.terminate();
+    if (msg.type === "done") onDone(msg.result);
+    else onError(msg.message);
+  };
+  worker.onerror = (e) => {
+    worker.terminate();
+    onError(e.message || "The parser stopped unexpectedly.");
+  };
+  worker.postMessage({ job, input, options });
+  return worker;
+}
+
+/**
+ * cleanTable(input, options), in a Web Worker for large inputs. While a
+ * worker runs, `result` is the previous table and `pending` is true;
+ * `progress` is `{ stage, share }` and `cancel()` stops the worker.
+ * A new input or options cancels the job still running.
+ */
+export function useCleanTable(input, options) {
+  const inWorker = typeof Worker !== "undefined" && inputSize(input) > WORKER_MIN_CHARS;
+  const syncResult = useMemo(() => (inWorker ? null : cleanTable(input, options)), [inWorker, input, options]);
+  const [job, setJob] = useState({ input: null, options: null, result: null, progress: null, error: "" });
+  const workerRef = useRef(null);
+
+  useEffect(() => {
+    if (!inWorker) return;
+    const finish = (patch) => setJob((j) => ({ ...j, input, options, progress: null, ...patch }));
+    const worker = startWorker("cleanTable", input, options, {
+      onProgress: ({ stage, share }) => setJob((j) => ({ ...j, progress: { stage, share } })),
+      onDone: (result) => finish({ result, error: "" }),
+      onError: (error) => finish({ error }),
+    });
+    workerRef.current = worker;
+    return () => worker.terminate();
+  }, [inWorker, input, options]);
+
+  function cancel() {
+    workerRef.current?.terminate();
+    setJob((j) => ({ ...j, input, options, progress: null, error: "Parsing cancelled." }));
+  }
+
+  if (!inWorker) return { result: syncResult, pending: false, progress: null, error: "", cancel };
+  const current = job.input === input && job.options === options;
+  return {
+    result: job.result ?? EMPTY_RESULT,
+    pending: !current,
+    progress: current ? null : job.progress,
+    error: current ? job.error : "",
+    cancel,
+  };
+}
+
+// A one-off worker job as `{ promise, cancel }`; without Worker support
+// `fallback` runs on the main thread. A cancelled job never settles.
+function runInWorker(job, input, fallback) {
+  if (typeof Worker === "undefined") return { promise: Promise.resolve().then(fallback), cancel() {} };
+  let worker;
+  const promise = new Promise((resolve, reject) => {
+    worker = startWorker(job, input, null, {
+      onProgress: () => {},
+      onDone: resolve,
+      onError: (message) => reject(new Error(message)),
+    });
+  });
+  return { promise, cancel: () => worker.terminate() };
+}
+
+/**
+ * readSheets in a Web Worker, so big workbooks don't block the page.
+ * Returns `{ promise, cancel }`; a cancelled read never settles.
+ */
+export function readSheetsInWorker(data) {
+  return runInWorker("readSheets", data, () => readSheets(data));
+}
+
+/**
+ * Decodes a text file's bytes (encoding detected) and cleans them with the
+ * default options in a Web Worker. Returns `{ promise, cancel }` with
+ * cleanTable's result.
+ */
+export function cleanTextFileInWorker(data) {
+  return runInWorker("cleanTextFile", data, () => cleanTable(decodeText(data).text));
+}
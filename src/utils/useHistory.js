@@ -0,0 +1,54 @@
+import { useCallback, useState } from "react";
+
+const LIMIT = 100;
+
+/**
+ * useState with undo/redo; `initial` may be a function, as with useState.
+ * `set(update, { group })` records a new entry; consecutive updates with
+ * the same `group` (e.g. typing) share one entry.
+ */
+export function useHistory(initial) {
+  const [history, setHistory] = useState(() => ({
+    past: [],
+    present: typeof initial === "function" ? initial() : initial,
+    future: [],
+    group: null,
+  }));
+
+  const set = useCallback((update, { group = null } = {}) => {
+    setHistory((h) => {
+      const next = typeof update === "function" ? update(h.present) : update;
+      if (next === h.present) return h;
+      if (group && group === h.group) return { ...h, present: next, future: [] };
+      return { past: [...h.past, h.present].slice(-LIMIT), present: next, future: [], group };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory((h) => {
+      if (h.past.length === 0) return h;
+      return {
+        past: h.past.slice(0, -1),
+        present: h.past[h.past.length - 1],
+        future: [h.present, ...h.future],
+        group: null,
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory((h) => {
+      if (h.future.length === 0) return h;
+      return { past: [...h.past, h.present], present: h.future[0], future: h.future.slice(1), group: null };
+    });
+  }, []);
+
+  return {
+    state: history.present,
+    set,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+}
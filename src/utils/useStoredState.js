@@ -0,0 +1,28 @@
+import { useEffect, useState } from "react";
+
+function readStored(key, initial) {
+  try {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return initial;
+    const value = JSON.parse(raw);
+    // Settings objects keep defaults for keys added since they were saved
+    return initial && typeof initial === "object" && !Array.isArray(initial) ? { ...initial, ...value } : value;
+  } catch {
+    return initial;
+  }
+}
+
+// useState that is remembered in localStorage between sessions
+export function useStoredState(key, initial) {
+  const [value, setValue] = useState(() => readStored(key, initial));
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+      // Storage can be full or disabled (private mode); the setting just isn't kept
+    }
+  }, [key, value]);
+
+  return [value, setValue];
+}
@@ -0,0 +1,118 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { applyCleaning, cleanTable, normalizeCell, removeEmptyColumns, scoreTable } from "../src/lib/cleanTable.js";
+import { toMarkdownTable } from "../src/lib/markdown.js";
+
+describe("cleanTable", () => {
+  test("detects, collapses spaces and drops empty rows", () => {
+    const result = cleanTable("id,name\n1,  Ann   Lee \n\n2,Bob\n");
+    assert.equal(result.detected, "comma");
+    assert.equal(result.hasTable, true);
+    assert.equal(result.boundaries, null);
+    assert.equal(result.normalization, null);
+    assert.deepEqual(result.table, [
+      ["id", "name"],
+      ["1", "Ann Lee"],
+      ["2", "Bob"],
+    ]);
+  });
+
+  test("keeps cells exactly without collapseSpaces", () => {
+    const { table } = cleanTable("a,b\n 1 , x  y \n", { collapseSpaces: false });
+    assert.deepEqual(table, [
+      ["a", "b"],
+      [" 1 ", " x  y "],
+    ]);
+  });
+
+  test("keeps empty rows without removeEmptyRows", () => {
+    assert.deepEqual(cleanTable("a,b\n,\n1,2", { removeEmptyRows: false }).table, [
+      ["a", "b"],
+      ["", ""],
+      ["1", "2"],
+    ]);
+  });
+
+  test("removes empty columns unless told not to", () => {
+    assert.deepEqual(cleanTable("a,,b\n1,,2").table, [
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+    assert.deepEqual(cleanTable("a,,b\n1,,2", { removeEmptyColumns: false }).table, [
+      ["a", "", "b"],
+      ["1", "", "2"],
+    ]);
+  });
+
+  test("keeps quoted delimiters in one cell", () => {
+    assert.deepEqual(cleanTable('a,b\n"x, y",2\n3,4').table, [
+      ["a", "b"],
+      ["x, y", "2"],
+      ["3", "4"],
+    ]);
+  });
+
+  test("accepts CRLF line endings", () => {
+    assert.deepEqual(cleanTable("a,b\r\n1,2\r\n").table, [
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+  });
+
+  test("accepts an array of rows and stringifies the cells", () => {
+    const result = cleanTable([
+      [1, null, ""],
+      ["x", 2, ""],
+    ]);
+    assert.equal(result.detected, "table");
+    assert.deepEqual(result.candidates, []);
+    assert.deepEqual(result.table, [
+      ["1", ""],
+      ["x", "2"],
+    ]);
+  });
+
+  test("reports no table for a single word", () => {
+    const result = cleanTable("hello");
+    assert.equal(result.hasTable, false);
+    assert.deepEqual(result.table, []);
+  });
+});
+
+describe("cleaning helpers", () => {
+  test("normalizeCell trims and collapses whitespace only when asked", () => {
+    assert.equal(normalizeCell("  a \t b ", true), "a b");
+    assert.equal(normalizeCell("  a \t b ", false), "  a \t b ");
+    assert.equal(normalizeCell(null, true), "");
+  });
+
+  test("removeEmptyColumns drops columns that are blank in every row", () => {
+    assert.deepEqual(removeEmptyColumns([["a", " ", "b"], ["1"]]), [["a", "b"], ["1"]]);
+  });
+
+  test("applyCleaning drops rows left blank after trimming", () => {
+    assert.deepEqual(
+      applyCleaning([
+        [" a ", ""],
+        ["", " "],
+      ]),
+      [["a"]]
+    );
+  });
+
+  test("scoreTable prefers consistent row lengths", () => {
+    assert.equal(scoreTable([["a", "b"], ["1", "2"]]), 0);
+    assert.ok(scoreTable([["a", "b"], ["1"], ["1", "2", "3"]]) > 0);
+    assert.equal(scoreTable([["a"], ["b"]]), Infinity);
+  });
+});
+
+describe("toMarkdownTable", () => {
+  test("pads short rows and escapes pipes", () => {
+    assert.equal(toMarkdownTable([["a", "b|c"], ["1"]]), "| a | b\\|c |\n| --- | --- |\n| 1 |  |");
+  });
+
+  test("gives an empty string for no rows", () => {
+    assert.equal(toMarkdownTable([]), "");
+  });
+});
@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const BIN = fileURLToPath(new URL("../bin/table-cleaner.js", import.meta.url));
+
+let dir;
+
+function run(args, input = "") {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [BIN, ...args], { cwd: dir, input, encoding: "utf8" });
+  return { status, stdout, stderr };
+}
+
+function write(file, text) {
+  fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+  fs.writeFileSync(path.join(dir, file), text);
+}
+
+const read = (file) => fs.readFileSync(path.join(dir, file), "utf8");
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "table-cleaner-"));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("table-cleaner", () => {
+  test("cleans stdin to stdout and exits 0", () => {
+    const { status, stdout } = run([], "a;b\n 1 ; 2 \n\n3;4\n");
+    assert.equal(status, 0);
+    assert.equal(stdout, "a,b\n1,2\n3,4\n");
+  });
+
+  test("exits 1 when no table is detected", () => {
+    const { status, stderr } = run([], "hello\n");
+    assert.equal(status, 1);
+    assert.match(stderr, /no table detected/);
+  });
+
+  test("exits 2 on a usage error or a missing file", () => {
+    const usage = run(["--format", "doc"], "a,b\n1,2\n");
+    assert.equal(usage.status, 2);
+    assert.match(usage.stderr, /Unknown format "doc"/);
+    assert.equal(run(["missing.csv"]).status, 2);
+  });
+
+  test("writes with --csv-delimiter, --bom and --crlf", () => {
+    const { status, stdout } = run(["--csv-delimiter", ";", "--bom", "--crlf"], "a,b\n1,2\n");
+    assert.equal(status, 0);
+    assert.equal(stdout, "\uFEFFa;b\r\n1;2\r\n");
+  });
+
+  test("keeps glob matches' folders under the output directory", () => {
+    write("in/a/x.csv", "a,b\n1,2\n");
+    write("in/b/x.csv", "c,d\n3,4\n");
+    const { status } = run(["in/**/*.csv", "-o", "out"]);
+    assert.equal(status, 0);
+    assert.equal(read("out/a/x.csv"), "a,b\n1,2\n");
+    assert.equal(read("out/b/x.csv"), "c,d\n3,4\n");
+  });
+
+  test("refuses inputs that would be written to the same file", () => {
+    write("one/y.csv", "a,b\n1,2\n");
+    write("two/y.csv", "a,b\n1,2\n");
+    const { status, stderr } = run(["one/y.csv", "two/y.csv", "-o", "same"]);
+    assert.equal(status, 2);
+    assert.match(stderr, /would both be written to/);
+    assert.equal(fs.existsSync(path.join(dir, "same")), false);
+  });
+});
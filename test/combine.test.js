@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { appendTables, joinTables } from "../src/lib/combine.js";
+import { applyTableSteps, createStep } from "../src/lib/steps.js";
+
+const people = [
+  ["id", "name"],
+  ["1", "Ann"],
+  ["2", "Bob"],
+];
+const cities = [
+  ["ID", "city"],
+  ["2", "Rome"],
+  [" 1 ", "Oslo"],
+  ["3", "Lima"],
+];
+
+describe("appendTables", () => {
+  test("lines columns up by name and adds new ones on the right", () => {
+    const more = [
+      ["Name ", "age"],
+      ["Cy", "30"],
+    ];
+    assert.deepEqual(appendTables(people, more), [
+      ["id", "name", "age"],
+      ["1", "Ann", ""],
+      ["2", "Bob", ""],
+      ["", "Cy", "30"],
+    ]);
+  });
+
+  test("appends by position without a header", () => {
+    assert.deepEqual(appendTables([["a", "b"]], [["c"]], { hasHeader: false }), [["a", "b"], ["c"]]);
+  });
+});
+
+describe("joinTables", () => {
+  test("an inner join keeps matching rows and drops the right key", () => {
+    assert.deepEqual(joinTables(people, cities, { leftKey: 0, rightKey: 0 }), {
+      table: [
+        ["id", "name", "city"],
+        ["1", "Ann", "Oslo"],
+        ["2", "Bob", "Rome"],
+      ],
+      unmatchedLeft: [],
+      unmatchedRight: [["3", "Lima"]],
+    });
+  });
+
+  test("a full join keeps unmatched rows from both sides", () => {
+    const more = [...people, ["4", "Dee"]];
+    assert.deepEqual(joinTables(more, cities, { leftKey: 0, rightKey: 0, how: "full" }).table, [
+      ["id", "name", "city"],
+      ["1", "Ann", "Oslo"],
+      ["2", "Bob", "Rome"],
+      ["4", "Dee", ""],
+      ["3", "", "Lima"],
+    ]);
+  });
+});
+
+describe("append and join steps", () => {
+  test("use the loaded table they name", () => {
+    const step = createStep("join", { table: "cities.csv", join: { leftKey: 0, rightKey: 0, how: "left" } });
+    const { table, skipped } = applyTableSteps(people, [step], { tables: [{ name: "cities.csv", table: cities }] });
+    assert.deepEqual(table.at(-1), ["2", "Bob", "Rome"]);
+    assert.deepEqual(skipped, []);
+  });
+
+  test("are skipped when the table is not loaded", () => {
+    const step = createStep("append", { table: "other.csv", hasHeader: true });
+    assert.deepEqual(applyTableSteps(people, [step]), {
+      table: people,
+      skipped: [{ id: step.id, reason: "no table “other.csv”" }],
+    });
+  });
+});
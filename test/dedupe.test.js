@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { findDuplicates, removeDuplicates } from "../src/lib/dedupe.js";
+
+const people = [
+  ["name", "city"],
+  ["Ann", "Oslo"],
+  ["ann ", "oslo"],
+  ["Bob", "Rome"],
+  ["Ann", "Oslo"],
+];
+
+describe("findDuplicates", () => {
+  test("groups exact matches, leaving the header out", () => {
+    assert.deepEqual(findDuplicates(people, { hasHeader: true }), [[1, 4]]);
+  });
+
+  test("can ignore case", () => {
+    assert.deepEqual(findDuplicates(people, { hasHeader: true, ignoreCase: true }), [[1, 2, 4]]);
+  });
+
+  test("matches similar keys below a similarity of 1", () => {
+    const names = [["name"], ["Jonathan"], ["Jonathon"]];
+    assert.deepEqual(findDuplicates(names, { hasHeader: true }), []);
+    assert.deepEqual(findDuplicates(names, { hasHeader: true, similarity: 0.8 }), [[1, 2]]);
+  });
+});
+
+describe("removeDuplicates", () => {
+  test("keeps the first row of each group by default", () => {
+    assert.deepEqual(removeDuplicates(people, { hasHeader: true, ignoreCase: true }), [
+      ["name", "city"],
+      ["Ann", "Oslo"],
+      ["Bob", "Rome"],
+    ]);
+  });
+
+  test("keeps the last row of each group", () => {
+    assert.deepEqual(removeDuplicates(people, { hasHeader: true, keep: "last" }), [
+      ["name", "city"],
+      ["ann ", "oslo"],
+      ["Bob", "Rome"],
+      ["Ann", "Oslo"],
+    ]);
+  });
+
+  test("merges blanks from the rest of a group", () => {
+    const table = [
+      ["id", "email"],
+      ["1", ""],
+      ["1", "a@x.io"],
+    ];
+    assert.deepEqual(removeDuplicates(table, { hasHeader: true, keys: [0], keep: "merge" }), [
+      ["id", "email"],
+      ["1", "a@x.io"],
+    ]);
+  });
+});
@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { detectDelimiter, findMultiCharDelimiters, modalColumns, splitDelimited } from "../src/lib/cleanTable.js";
+
+describe("detectDelimiter", () => {
+  test("ranks the candidates, best first", () => {
+    const { detected, candidates } = detectDelimiter("a|b|c\n1|2|3\n4|5|6");
+    assert.equal(detected, "pipe");
+    assert.deepEqual(candidates, [{ name: "pipe", delimiter: "|", columns: 3, confidence: 1 }]);
+  });
+
+  test("detects tabs and runs of spaces", () => {
+    assert.equal(detectDelimiter("a\tb\n1\t2").detected, "tabs");
+    assert.equal(detectDelimiter("a  b  c\n1  2  3").detected, "spaces");
+  });
+
+  test("confidences add up to one", () => {
+    const { candidates } = detectDelimiter("id,name\n1,Ann Lee\n2,Bob");
+    const total = candidates.reduce((sum, c) => sum + c.confidence, 0);
+    assert.ok(Math.abs(total - 1) < 1e-9);
+  });
+
+  test("is not fooled by delimiters inside quotes", () => {
+    const { detected, table } = detectDelimiter('name,note\n"Lee; Ann","x; y; z"\n"Bo; B","q; r"');
+    assert.equal(detected, "comma");
+    assert.deepEqual(table, [
+      ["name", "note"],
+      ["Lee; Ann", "x; y; z"],
+      ["Bo; B", "q; r"],
+    ]);
+  });
+
+  test("finds multi-character delimiters", () => {
+    const { detected, table } = detectDelimiter("a::b::c\n1::2::3\n4::5::6");
+    assert.equal(detected, "multi (::)");
+    assert.deepEqual(table, [
+      ["a", "b", "c"],
+      ["1", "2", "3"],
+      ["4", "5", "6"],
+    ]);
+  });
+
+  test("`force` picks a ranked candidate by name", () => {
+    const text = "a,b;c\n1,2;3\n4,5;6";
+    assert.deepEqual(detectDelimiter(text).candidates.map((c) => c.name), ["comma", "semicolon"]);
+    const forced = detectDelimiter(text, { force: "semicolon" });
+    assert.equal(forced.detected, "semicolon");
+    assert.deepEqual(forced.table, [
+      ["a,b", "c"],
+      ["1,2", "3"],
+      ["4,5", "6"],
+    ]);
+  });
+
+  test("an unknown forced candidate falls back to the best one", () => {
+    assert.equal(detectDelimiter("a,b\n1,2", { force: "semicolon" }).detected, "comma");
+  });
+
+  test("reports auto with no candidates for empty text", () => {
+    assert.deepEqual(detectDelimiter(""), { table: [], detected: "auto", boundaries: null, candidates: [] });
+  });
+});
+
+describe("detection helpers", () => {
+  test("splitDelimited lets quoted cells span lines", () => {
+    assert.deepEqual(splitDelimited('a,"b\nc",d\n1,2,3', ","), [
+      ["a", "b\nc", "d"],
+      ["1", "2", "3"],
+    ]);
+  });
+
+  test("findMultiCharDelimiters finds punctuation runs repeated on every line", () => {
+    assert.deepEqual(findMultiCharDelimiters(["a::b::c", "1::2::3"]), ["::"]);
+  });
+
+  test("modalColumns is the most common row length", () => {
+    assert.equal(modalColumns([["a", "b"], ["1", "2"], ["1"]]), 2);
+  });
+});
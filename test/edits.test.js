@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { applyEdits } from "../src/lib/edits.js";
+
+const table = [
+  ["id", "name"],
+  ["1", "Ann"],
+  ["2", "Bob"],
+];
+
+describe("applyEdits", () => {
+  test("sets a cell, padding a short row", () => {
+    assert.deepEqual(applyEdits(table, [{ type: "setCell", row: 1, col: 3, value: "x" }]), [
+      ["id", "name"],
+      ["1", "Ann", "", "x"],
+      ["2", "Bob"],
+    ]);
+  });
+
+  test("inserts and deletes rows", () => {
+    assert.deepEqual(applyEdits(table, [{ type: "insertRow", row: 1 }]), [["id", "name"], ["", ""], ...table.slice(1)]);
+    assert.deepEqual(applyEdits(table, [{ type: "deleteRow", row: 1 }]), [
+      ["id", "name"],
+      ["2", "Bob"],
+    ]);
+  });
+
+  test("inserts a named column and deletes columns", () => {
+    assert.deepEqual(applyEdits(table, [{ type: "insertColumn", col: 1, name: "age" }]), [
+      ["id", "age", "name"],
+      ["1", "", "Ann"],
+      ["2", "", "Bob"],
+    ]);
+    assert.deepEqual(applyEdits(table, [{ type: "deleteColumn", col: 0 }]), [["name"], ["Ann"], ["Bob"]]);
+  });
+
+  test("moves a column", () => {
+    assert.deepEqual(applyEdits(table, [{ type: "moveColumn", from: 1, to: 0 }]), [
+      ["name", "id"],
+      ["Ann", "1"],
+      ["Bob", "2"],
+    ]);
+  });
+
+  test("replays edits in order without changing the input", () => {
+    const edits = [
+      { type: "deleteRow", row: 1 },
+      { type: "setCell", row: 1, col: 1, value: "Rob" },
+    ];
+    assert.deepEqual(applyEdits(table, edits), [
+      ["id", "name"],
+      ["2", "Rob"],
+    ]);
+    assert.deepEqual(table[2], ["2", "Bob"]);
+  });
+});
@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { decodeText, detectEncoding } from "../src/lib/encoding.js";
+
+const bytes = (list) => new Uint8Array(list);
+
+describe("detectEncoding", () => {
+  test("trusts a byte order mark", () => {
+    assert.deepEqual(detectEncoding(bytes([0xef, 0xbb, 0xbf, 0x61])), { encoding: "utf-8", bom: true });
+    assert.deepEqual(detectEncoding(bytes([0xff, 0xfe, 0x61, 0x00])), { encoding: "utf-16le", bom: true });
+    assert.deepEqual(detectEncoding(bytes([0xfe, 0xff, 0x00, 0x61])), { encoding: "utf-16be", bom: true });
+  });
+
+  test("spots UTF-16 without a BOM from its zero bytes", () => {
+    const le = Buffer.from("a,b\n1,2", "utf16le");
+    assert.equal(detectEncoding(le).encoding, "utf-16le");
+    assert.equal(detectEncoding(Buffer.from(le).swap16()).encoding, "utf-16be");
+  });
+
+  test("prefers UTF-8 when the bytes are valid UTF-8", () => {
+    assert.deepEqual(detectEncoding(Buffer.from("café,1\n")), { encoding: "utf-8", bom: false });
+  });
+
+  test("falls back to the code page that reads as words", () => {
+    // "café" in Windows-1252, "zażółć" in ISO-8859-2
+    assert.equal(detectEncoding(bytes([0x63, 0x61, 0x66, 0xe9, 0x0a])).encoding, "windows-1252");
+    assert.equal(detectEncoding(bytes([0x7a, 0x61, 0xbf, 0xf3, 0xb3, 0xe6, 0x0a])).encoding, "iso-8859-2");
+  });
+
+  test("recognises Shift-JIS Japanese text", () => {
+    const japanese = bytes([0x93, 0xfa, 0x96, 0x7b, 0x8c, 0xea, 0x2c, 0x82, 0xa0, 0x0a]);
+    assert.equal(detectEncoding(japanese).encoding, "shift_jis");
+  });
+});
+
+describe("decodeText", () => {
+  test("drops the BOM", () => {
+    assert.deepEqual(decodeText(bytes([0xef, 0xbb, 0xbf, 0x61, 0x2c, 0x62])), { text: "a,b", encoding: "utf-8" });
+    assert.equal(decodeText(Buffer.from("\uFEFFa,b", "utf16le")).text, "a,b");
+  });
+
+  test("uses the given encoding instead of detecting one", () => {
+    const latin = bytes([0x63, 0x61, 0x66, 0xe9]);
+    assert.deepEqual(decodeText(latin, "iso-8859-15"), { text: "café", encoding: "iso-8859-15" });
+    assert.equal(decodeText(latin, "").encoding, "windows-1252");
+  });
+});
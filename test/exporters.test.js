@@ -0,0 +1,129 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import * as XLSX from "xlsx";
+import {
+  EXPORT_FORMATS,
+  columnNames,
+  finishTextFile,
+  toCsv,
+  toHtmlTable,
+  toJson,
+  toLatexTable,
+  toSql,
+} from "../src/lib/exporters.js";
+import { toMarkdownTable } from "../src/lib/markdown.js";
+import { buildWorkbook, readSheets } from "../src/lib/xlsx.js";
+
+const people = [
+  ["id", "name", "ok"],
+  ["1", "Ann", "yes"],
+  ["2", "O'Neil", ""],
+];
+const ctx = { hasHeader: true, types: ["integer", "text", "boolean"], dateOrders: [null, null, null] };
+
+describe("export formats", () => {
+  test("columnNames fills blanks and numbers duplicates", () => {
+    assert.deepEqual(columnNames([["Name", "", "Name"]]), ["Name", "column_2", "Name_2"]);
+    assert.deepEqual(columnNames([["a", "b"]], false), ["column_1", "column_2"]);
+  });
+
+  test("toJson writes typed values, blanks as null", () => {
+    assert.deepEqual(JSON.parse(toJson(people, ctx)), [
+      { id: 1, name: "Ann", ok: true },
+      { id: 2, name: "O'Neil", ok: null },
+    ]);
+    const arrays = toJson(people, { ...ctx, mode: "arrays" });
+    assert.equal(arrays, '[\n  ["id","name","ok"],\n  [1,"Ann",true],\n  [2,"O\'Neil",null]\n]');
+  });
+
+  test("toSql writes a typed CREATE TABLE and escaped INSERTs per dialect", () => {
+    assert.equal(
+      toSql(people, { ...ctx, tableName: "people" }),
+      [
+        'CREATE TABLE "people" (\n  "id" INTEGER,\n  "name" TEXT,\n  "ok" INTEGER\n);',
+        "INSERT INTO \"people\" (\"id\", \"name\", \"ok\") VALUES\n  (1, 'Ann', 1),\n  (2, 'O''Neil', NULL);",
+      ].join("\n\n")
+    );
+    const postgres = toSql(people, { ...ctx, dialect: "postgres" });
+    assert.match(postgres, /"id" BIGINT,\n {2}"name" TEXT,\n {2}"ok" BOOLEAN/);
+    assert.match(postgres, /\(1, 'Ann', TRUE\)/);
+  });
+
+  test("toHtmlTable escapes cells and puts the header in thead", () => {
+    assert.equal(
+      toHtmlTable([
+        ["a", "<b>"],
+        ["1", "&"],
+      ]),
+      [
+        "<table>",
+        "  <thead>",
+        "    <tr><th>a</th><th>&lt;b&gt;</th></tr>",
+        "  </thead>",
+        "  <tbody>",
+        "    <tr><td>1</td><td>&amp;</td></tr>",
+        "  </tbody>",
+        "</table>",
+      ].join("\n")
+    );
+  });
+
+  test("toLatexTable escapes cells and right-aligns numbers", () => {
+    const latex = toLatexTable(
+      [
+        ["a", "n"],
+        ["x_1", "5"],
+      ],
+      { types: ["text", "integer"] }
+    );
+    const lines = ["\\begin{tabular}{lr}", "  \\hline", "  a & n \\\\", "  \\hline", "  x\\_1 & 5 \\\\", "  \\hline"];
+    assert.equal(latex, [...lines, "\\end{tabular}"].join("\n"));
+  });
+
+  test("ODS workbooks read back", () => {
+    const ods = XLSX.write(buildWorkbook(people, "People"), { type: "buffer", bookType: "ods" });
+    assert.deepEqual(readSheets(ods), [{ name: "People", table: people }]);
+  });
+
+  test("EXPORT_FORMATS render with the table's context", () => {
+    assert.deepEqual(
+      EXPORT_FORMATS.map((f) => f.id),
+      ["json", "json-arrays", "sqlite", "postgres", "html", "latex"]
+    );
+    const sqlite = EXPORT_FORMATS.find((f) => f.id === "sqlite");
+    assert.equal(sqlite.render(people, ctx), toSql(people, ctx));
+  });
+});
+
+describe("export settings", () => {
+  test("toCsv quotes minimally by default", () => {
+    assert.equal(toCsv([["a", "b c"], ["1", "x,y"]]), 'a,b c\n1,"x,y"');
+  });
+
+  test("toCsv quotes text cells or every cell", () => {
+    assert.equal(toCsv([["a", "b c"], ["1", "x,y"]], { quotes: "text" }), '"a","b c"\n1,"x,y"');
+    assert.equal(toCsv([["a", "1"]], { quotes: "all", delimiter: ";" }), '"a";"1"');
+  });
+
+  test("toCsv ends rows with the chosen line ending", () => {
+    assert.equal(toCsv([["a"], ["b"]]), "a\nb");
+    assert.equal(toCsv([["a"], ["b"]], { lineEnding: "crlf" }), "a\r\nb");
+  });
+
+  test("finishTextFile sets line endings and adds a BOM", () => {
+    assert.equal(finishTextFile("a\nb\n", { lineEnding: "crlf", bom: true }), "\uFEFFa\r\nb\r\n");
+    assert.equal(finishTextFile("a\nb\n"), "a\nb\n");
+  });
+
+  test("toMarkdownTable aligns columns", () => {
+    const table = [
+      ["a", "n"],
+      ["x", "1"],
+    ];
+    assert.equal(
+      toMarkdownTable(table, { align: "auto", types: ["text", "integer"] }),
+      "| a | n |\n| --- | ---: |\n| x | 1 |"
+    );
+    assert.equal(toMarkdownTable(table.slice(0, 1), { align: "center" }), "| a | n |\n| :---: | :---: |");
+  });
+});
@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { addComputedColumn, compileExpression } from "../src/lib/expression.js";
+
+const columns = ["price", "qty", "name"];
+
+describe("compileExpression", () => {
+  test("follows arithmetic precedence", () => {
+    assert.equal(compileExpression("price * qty + 1", columns)(["2", "3", ""]), "7");
+  });
+
+  test("joins text and calls functions", () => {
+    assert.equal(compileExpression('upper(name) & "!"', columns)(["", "", "ann"]), "ANN!");
+  });
+
+  test("evaluates if()", () => {
+    const size = compileExpression('if(qty > 2, "many", "few")', columns);
+    assert.equal(size(["", "3", ""]), "many");
+    assert.equal(size(["", "1", ""]), "few");
+  });
+
+  test("gives a blank for division by zero", () => {
+    assert.equal(compileExpression("[price] / 0", columns)(["1", "", ""]), "");
+  });
+
+  test("reports errors readably", () => {
+    assert.throws(() => compileExpression("price +", columns), { message: "The expression ends too early." });
+    assert.throws(() => compileExpression("nope * 2", columns), { message: "Unknown column “nope”." });
+    assert.throws(() => compileExpression("foo(1)", columns), { message: "Unknown function “foo”." });
+    assert.throws(() => compileExpression("1 +* 2", columns), { message: "Unexpected “*”." });
+  });
+});
+
+describe("addComputedColumn", () => {
+  test("adds the named column on the right", () => {
+    const table = [
+      ["price", "qty"],
+      ["2", "3"],
+      ["x", "1"],
+    ];
+    assert.deepEqual(addComputedColumn(table, { name: "total", expression: "price * qty" }), [
+      ["price", "qty", "total"],
+      ["2", "3", "6"],
+      ["x", "1", ""],
+    ]);
+  });
+
+  test("leaves the table as it is when the expression no longer compiles", () => {
+    const table = [
+      ["price", "qty"],
+      ["2", "3"],
+    ];
+    assert.deepEqual(addComputedColumn(table, { name: "total", expression: "missing * 2" }), table);
+  });
+});
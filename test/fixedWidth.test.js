@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { cleanTable, parseText } from "../src/lib/cleanTable.js";
+import { inferColumnBoundaries, splitFixedWidth } from "../src/lib/fixedWidth.js";
+
+// A blank cell in the middle column only lines up by position
+const report = ["Name      City        Total", "Ann Lee                  12", "Bob       Oslo          3"].join("\n");
+
+describe("fixed-width columns", () => {
+  test("inferColumnBoundaries cuts at gaps of two or more blank positions", () => {
+    assert.deepEqual(inferColumnBoundaries(report.split("\n")), [10, 22]);
+    assert.deepEqual(inferColumnBoundaries(["a b", "cd"]), []);
+  });
+
+  test("splitFixedWidth trims the padding", () => {
+    assert.deepEqual(splitFixedWidth("ab  cd  ", [4]), ["ab", "cd"]);
+  });
+
+  test("cleanTable detects aligned columns and keeps blank cells in place", () => {
+    const { detected, table, boundaries } = cleanTable(report);
+    assert.equal(detected, "fixed-width");
+    assert.deepEqual(boundaries, [10, 22]);
+    assert.deepEqual(table, [
+      ["Name", "City", "Total"],
+      ["Ann Lee", "", "12"],
+      ["Bob", "Oslo", "3"],
+    ]);
+  });
+
+  test("parseText cuts manual columns at the given boundaries", () => {
+    const { table, detected, boundaries } = parseText("ab12\ncd34", { columnBoundaries: [2] });
+    assert.equal(detected, "fixed-width (manual)");
+    assert.deepEqual(boundaries, [2]);
+    assert.deepEqual(table, [
+      ["ab", "12"],
+      ["cd", "34"],
+    ]);
+  });
+
+  test("parseText treats an empty boundary list as auto-detection", () => {
+    assert.equal(parseText(report, { columnBoundaries: [] }).detected, "fixed-width");
+  });
+});
@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { groupRows } from "../src/lib/groupBy.js";
+
+const sales = [
+  ["city", "amt", "email"],
+  ["Oslo", "10", "b@x.io"],
+  ["Rome", "5", "a@x.io"],
+  ["Oslo ", "2.5", ""],
+  ["Rome", "x", "c@x.io"],
+];
+
+describe("groupRows", () => {
+  test("gives one row per key, in first-seen order", () => {
+    const aggregates = [
+      { col: 1, fn: "sum" },
+      { col: 1, fn: "avg" },
+      { col: 2, fn: "min" },
+      { col: 1, fn: "count" },
+    ];
+    assert.deepEqual(groupRows(sales, { keys: [0], aggregates }), [
+      ["city", "Sum of amt", "Average of amt", "Min of email", "Count of amt"],
+      ["Oslo", "12.5", "6.25", "b@x.io", "2"],
+      ["Rome", "5", "5", "a@x.io", "2"],
+    ]);
+  });
+
+  test("compares as numbers only when every cell is one", () => {
+    const amounts = [["amt"], ["9"], ["10"]];
+    assert.deepEqual(groupRows(amounts, { aggregates: [{ col: 0, fn: "max" }] }), [["Max of amt"], ["10"]]);
+    assert.deepEqual(groupRows(sales, { aggregates: [{ col: 1, fn: "max" }] }), [["Max of amt"], ["x"]]);
+  });
+
+  test("names columns by position without a header", () => {
+    const rows = [
+      ["a", "1"],
+      ["a", "2"],
+    ];
+    assert.deepEqual(groupRows(rows, { keys: [0], aggregates: [{ col: 1, fn: "sum" }], hasHeader: false }), [
+      ["Column 1", "Sum of Column 2"],
+      ["a", "3"],
+    ]);
+  });
+});
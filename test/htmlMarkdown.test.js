@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { cleanTable, parseText } from "../src/lib/cleanTable.js";
+import { decodeEntities, looksLikeHtmlTable, parseHtmlTables } from "../src/lib/html.js";
+import {
+  isAsciiGrid,
+  isMarkdownTable,
+  parseAsciiGrid,
+  parseMarkdownTable,
+  splitMarkdownRow,
+} from "../src/lib/markdown.js";
+
+const markdown = ["Intro text", "| id | name |", "|---|:---:|", "| 1 | Ann |", "", "after"];
+
+const grid = [
+  "+----+------+",
+  "| id | name |",
+  "+====+======+",
+  "| 1  | A|B  |",
+  "+----+------+",
+  "| 2  | long |",
+  "|    | text |",
+  "+----+------+",
+];
+
+describe("HTML tables", () => {
+  test("decodeEntities decodes named and numeric entities", () => {
+    assert.equal(decodeEntities("a &amp; b &lt;c&gt; &#233; &#x41; &nbsp;x"), "a & b <c> é A  x");
+  });
+
+  test("decodeEntities keeps unknown and out-of-range entities as text", () => {
+    assert.equal(decodeEntities("&#1114112; &bogus;"), "&#1114112; &bogus;");
+  });
+
+  test("looksLikeHtmlTable needs a table tag", () => {
+    assert.equal(looksLikeHtmlTable("<p>x</p><table><tr><td>1</td></tr></table>"), true);
+    assert.equal(looksLikeHtmlTable("a,b"), false);
+  });
+
+  test("parseHtmlTables lays out spans and names tables by caption", () => {
+    const html =
+      '<table><caption>Sales</caption><tr><th rowspan="2">A</th><th colspan="2">B</th></tr>' +
+      "<tr><td>1</td><td>2<br>3</td></tr></table><table><tr><td>x <b>y</b></td></tr></table>";
+    assert.deepEqual(parseHtmlTables(html), [
+      {
+        name: "Sales",
+        table: [
+          ["A", "B", ""],
+          ["A", "1", "2 3"],
+        ],
+      },
+      { name: "Table 2", table: [["x y"]] },
+    ]);
+  });
+
+  test("parseText reads the first HTML table", () => {
+    const html = "<table><tr><td>a</td><td>b</td></tr><tr><td>1</td><td>2</td></tr></table>";
+    assert.deepEqual(parseText(html), {
+      table: [
+        ["a", "b"],
+        ["1", "2"],
+      ],
+      detected: "html",
+      candidates: [],
+    });
+  });
+});
+
+describe("Markdown tables", () => {
+  test("splitMarkdownRow keeps escaped pipes in the cell", () => {
+    assert.deepEqual(splitMarkdownRow("| a | b \\| c |"), ["a", "b | c"]);
+  });
+
+  test("parseMarkdownTable ignores prose around the table", () => {
+    assert.equal(isMarkdownTable(markdown), true);
+    assert.deepEqual(parseMarkdownTable(markdown), [
+      ["id", "name"],
+      ["1", "Ann"],
+    ]);
+    assert.equal(cleanTable(markdown.join("\n")).detected, "markdown");
+  });
+});
+
+describe("ASCII grid tables", () => {
+  test("cuts cells at the borders and merges rows spanning lines", () => {
+    assert.equal(isAsciiGrid(grid), true);
+    assert.deepEqual(parseAsciiGrid(grid), [
+      ["id", "name"],
+      ["1", "A|B"],
+      ["2", "long text"],
+    ]);
+  });
+
+  test("reads one row per line when the body has no row borders", () => {
+    const psql = ["+----+------+", "| id | name |", "+----+------+", "| 1  | Ann  |", "| 2  | Bob  |", "+----+------+"];
+    const { detected, table } = cleanTable(psql.join("\n"));
+    assert.equal(detected, "ascii-grid");
+    assert.deepEqual(table, [
+      ["id", "name"],
+      ["1", "Ann"],
+      ["2", "Bob"],
+    ]);
+  });
+});
@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { DETECT_SAMPLE_CHARS, cleanTable, parseText, splitDelimited } from "../src/lib/cleanTable.js";
+
+// Just over the detection sample, with a quoted cell past its end
+function largeCsv() {
+  const rows = ["id;name;note"];
+  let length = 0;
+  for (let i = 1; length <= DETECT_SAMPLE_CHARS; i++) {
+    const row = `${i};Name ${i};note ${i}`;
+    rows.push(row);
+    length += row.length + 1;
+  }
+  rows.push('0;"Lee; Ann";"two\nlines"');
+  return rows.join("\n");
+}
+
+describe("large inputs", () => {
+  test("detect the delimiter on a sample and parse the whole text", () => {
+    const text = largeCsv();
+    const { detected, table } = parseText(text);
+    assert.equal(detected, "semicolon");
+    assert.equal(table.length, text.split("\n").length - 1);
+    assert.deepEqual(table.at(-1), ["0", "Lee; Ann", "two\nlines"]);
+    assert.equal(table.at(-2).length, 3);
+  });
+
+  test("report progress while detecting and parsing", () => {
+    const stages = [];
+    parseText(largeCsv(), { onProgress: (stage, share) => stages.push([stage, share]) });
+    assert.deepEqual(stages[0], ["detecting", 0]);
+    assert.deepEqual(stages.at(-1), ["parsing", 1]);
+    assert.ok(stages.slice(1).every(([stage]) => stage === "parsing"));
+  });
+
+  test("clean the same as a small input would", () => {
+    const text = largeCsv();
+    const whole = cleanTable(text);
+    assert.equal(whole.table.length, text.split("\n").length - 1);
+    assert.deepEqual(whole.table[1], ["1", "Name 1", "note 1"]);
+  });
+
+  test("splitDelimited streams to the same rows", () => {
+    const text = 'a,b\n"1\n2",3\n4,5';
+    const shares = [];
+    assert.deepEqual(splitDelimited(text, ",", (share) => shares.push(share)), splitDelimited(text, ","));
+    assert.deepEqual(shares, [1]);
+  });
+});
@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { cleanTable } from "../src/lib/cleanTable.js";
+import { guessLocale, normalizeLocale, parseLocaleNumber } from "../src/lib/locale.js";
+
+const european = [
+  ["amt", "when"],
+  ["1.234,56", "31.12.2025"],
+  ["2,5", "01.02.2025"],
+];
+
+describe("parseLocaleNumber", () => {
+  test("reads either decimal mark", () => {
+    assert.equal(parseLocaleNumber("1.234,56", ","), "1234.56");
+    assert.equal(parseLocaleNumber("1,234.56", "."), "1234.56");
+    assert.equal(parseLocaleNumber("12", ","), "12");
+  });
+
+  test("rejects misplaced thousands separators", () => {
+    assert.equal(parseLocaleNumber("1,23,4", "."), null);
+  });
+});
+
+describe("guessLocale", () => {
+  test("guesses from cells that read only one way", () => {
+    assert.deepEqual(guessLocale(european), { locale: "de-DE", decimalKnown: true, dateOrderKnown: true });
+    assert.equal(guessLocale([["amt", "when"], ["1,234.56", "12/31/2025"]]).locale, "en-US");
+  });
+});
+
+describe("normalizeLocale", () => {
+  test("rewrites numbers and dates of the given locale", () => {
+    assert.deepEqual(normalizeLocale(european, { locale: "de-DE" }), {
+      table: [
+        ["amt", "when"],
+        ["1234.56", "2025-12-31"],
+        ["2.5", "2025-02-01"],
+      ],
+      locale: "de-DE",
+      ambiguous: [],
+    });
+  });
+
+  test("keeps currency symbols and percent signs", () => {
+    const table = [
+      ["amt", "when"],
+      ["$1,234.50", "03/04/2025"],
+      ["-5%", "04/05/2025"],
+    ];
+    assert.deepEqual(normalizeLocale(table, { locale: "en-US" }).table, [
+      ["amt", "when"],
+      ["$1234.50", "2025-03-04"],
+      ["-5%", "2025-04-05"],
+    ]);
+  });
+
+  test("leaves mostly-text columns alone", () => {
+    const table = [
+      ["a", "b"],
+      ["x", "1,5"],
+      ["y", "hello"],
+    ];
+    assert.deepEqual(normalizeLocale(table, { locale: "de-DE" }).table, table);
+  });
+
+  test("reports cells auto cannot settle instead of guessing", () => {
+    const table = [
+      ["amt", "when"],
+      ["1,234", "03/04/2025"],
+    ];
+    const { table: out, ambiguous } = normalizeLocale(table, { locale: "auto" });
+    assert.deepEqual(out, table);
+    assert.deepEqual(ambiguous, [
+      { row: 1, col: 0, value: "1,234", readings: ["1234", "1.234"] },
+      { row: 1, col: 1, value: "03/04/2025", readings: ["2025-04-03", "2025-03-04"] },
+    ]);
+  });
+
+  test("runs as part of cleanTable", () => {
+    const { table, normalization } = cleanTable("amt;when\n1.234,56;31.12.2025\n2,5;01.02.2025", { locale: "auto" });
+    assert.deepEqual(table, normalizeLocale(european, { locale: "de-DE" }).table);
+    assert.deepEqual(normalization, { locale: "de-DE", ambiguous: [] });
+  });
+});
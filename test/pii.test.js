@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { groupRows, summaryMasks } from "../src/lib/groupBy.js";
+import { REDACTED, detectPii, findMask, maskCell, maskTable, maskValue, scanPii } from "../src/lib/pii.js";
+
+describe("detectPii", () => {
+  test("recognises each kind", () => {
+    assert.equal(detectPii("jane@example.com"), "email");
+    assert.equal(detectPii("+44 7700 900123"), "phone");
+    assert.equal(detectPii("GB82 WEST 1234 5698 7654 32"), "iban");
+    assert.equal(detectPii("4111 1111 1111 1111"), "card");
+    assert.equal(detectPii("123-45-6789"), "nationalId");
+  });
+
+  test("leaves plain numbers, dates and text alone", () => {
+    assert.equal(detectPii("12345678"), null);
+    assert.equal(detectPii("2024-01-02"), null);
+    assert.equal(detectPii("hello"), null);
+  });
+});
+
+describe("scanPii", () => {
+  test("flags columns by their cells", () => {
+    const table = [
+      ["Name", "E-mail", "Phone", "Total"],
+      ["Ann", "a@x.io", "+1 555 123 4567", "12"],
+      ["Bob", "b@y.org", "", "13"],
+    ];
+    assert.deepEqual(scanPii(table), [
+      { col: 1, kind: "email", share: 1, byHeader: false },
+      { col: 2, kind: "phone", share: 1, byHeader: false },
+    ]);
+  });
+});
+
+describe("maskCell", () => {
+  test("redacts, masks partly or hashes", () => {
+    assert.equal(maskCell("jane@example.com", "redact", "email"), REDACTED);
+    assert.equal(maskCell("jane@example.com", "partial", "email"), "j***@example.com");
+    assert.equal(maskCell("4111 1111 1111 1111", "partial", "card"), "**** **** **** 1111");
+    assert.match(maskCell("jane@example.com", "hash", "email"), /^[0-9a-f]{14}$/);
+    assert.equal(maskCell("a", "hash"), maskCell("a", "hash"));
+  });
+
+  test("keeps blank cells blank", () => {
+    assert.equal(maskCell("  ", "redact"), "  ");
+  });
+});
+
+describe("maskTable", () => {
+  test("masks and drops columns by header name", () => {
+    const masks = [
+      { column: " email ", mode: "redact" },
+      { column: "name", mode: "drop" },
+    ];
+    assert.deepEqual(
+      maskTable(
+        [
+          ["Name", "Email"],
+          ["Ann", "a@x.io"],
+        ],
+        masks
+      ),
+      [["Email"], [REDACTED]]
+    );
+  });
+
+  test("names columns by position without a header", () => {
+    const masks = [{ column: "Column 2", mode: "redact" }];
+    assert.deepEqual(maskTable([["Ann", "a@x.io"]], masks, { hasHeader: false }), [["Ann", REDACTED]]);
+  });
+});
+
+describe("maskValue", () => {
+  test("masks one value of a named column", () => {
+    const masks = [
+      { column: "Email", mode: "partial", kind: "email" },
+      { column: "Phone", mode: "drop" },
+    ];
+    assert.equal(maskValue("jane@example.com", "email", masks), "j***@example.com");
+    assert.equal(maskValue("+44 7700 900123", "phone", masks), "");
+    assert.equal(maskValue("Ann", "Name", masks), "Ann");
+  });
+});
+
+describe("findMask", () => {
+  test("finds a column's mask by name, ignoring case and spaces", () => {
+    const mask = { column: "Email ", mode: "redact" };
+    assert.equal(findMask([mask], " email"), mask);
+    assert.equal(findMask([mask], "Phone"), undefined);
+  });
+});
+
+describe("summaryMasks", () => {
+  const contacts = [
+    ["city", "email", "phone"],
+    ["Oslo", "b@x.io", "+44 7700 900123"],
+    ["Oslo", "a@x.io", ""],
+  ];
+  const options = {
+    keys: [0],
+    aggregates: [
+      { col: 1, fn: "min" },
+      { col: 1, fn: "count" },
+      { col: 2, fn: "max" },
+    ],
+  };
+
+  test("masks the aggregates of a masked column, but not its count", () => {
+    const masks = [
+      { column: "Email", mode: "redact" },
+      { column: "phone", mode: "drop" },
+    ];
+    const summary = groupRows(contacts, options);
+    assert.deepEqual(maskTable(summary, summaryMasks(contacts, options, masks)), [
+      ["city", "Min of email", "Count of email"],
+      ["Oslo", REDACTED, "2"],
+    ]);
+  });
+
+  test("masks grouped-by key columns by their own name", () => {
+    const byEmail = { keys: [1], aggregates: [{ col: 0, fn: "count" }] };
+    const masks = [{ column: "email", mode: "hash" }];
+    const summary = maskTable(groupRows(contacts, byEmail), summaryMasks(contacts, byEmail, masks));
+    assert.ok(summary.slice(1).every(([email]) => !email.includes("@")));
+  });
+});
@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { profileTable } from "../src/lib/profile.js";
+
+const table = [
+  ["n", "when", "city"],
+  ["1", "2025-01-01", "Oslo"],
+  ["2", "2025-01-02", "Oslo"],
+  ["3", "02/01/2025", "Rome"],
+  ["4", "2025-01-04", ""],
+  ["5", "2025-01-05", "Oslo"],
+  ["x", "2025-01-06", "Rome"],
+  ["6", "2025-01-07", "Oslo"],
+  ["500", "2025-01-08", "Oslo"],
+  ["7", "2025-01-09", "Oslo", "extra"],
+];
+const analysis = { hasHeader: true, types: ["integer", "date", "text"], dateOrders: [null, "dmy", null] };
+
+describe("profileTable", () => {
+  const { columns, issues, expectedCells } = profileTable(table, analysis);
+
+  test("profiles fill rate, distinct values and the most common ones", () => {
+    assert.equal(columns[2].filled, 8);
+    assert.equal(columns[2].fillRate, 8 / 9);
+    assert.equal(columns[2].distinct, 2);
+    assert.deepEqual(columns[2].top, [
+      { value: "Oslo", count: 6 },
+      { value: "Rome", count: 2 },
+    ]);
+  });
+
+  test("reports the type mix and the range of numbers and dates", () => {
+    assert.deepEqual(columns[0].typeMix, { integer: 8, text: 1 });
+    assert.deepEqual([columns[0].min, columns[0].max], [1, 500]);
+    assert.deepEqual([columns[1].min, columns[1].max], ["2025-01-01", "2025-01-09"]);
+    assert.equal(columns[2].min, null);
+  });
+
+  test("lists the cells worth a second look, in table order", () => {
+    assert.equal(expectedCells, 3);
+    assert.equal(columns[0].outliers, 1);
+    assert.deepEqual(issues, [
+      { row: 3, col: 1, kind: "dateFormat", message: "“02/01/2025” is not written like most dates" },
+      { row: 6, col: 0, kind: "type", message: "“x” is not an integer" },
+      { row: 8, col: 0, kind: "outlier", message: "500 is far outside the usual range" },
+      { row: 9, col: null, kind: "ragged", message: "4 cells instead of 3" },
+    ]);
+  });
+});
@@ -0,0 +1,102 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createRecipe, matchRecipe, parseRecipe, recipeSteps } from "../src/lib/recipes.js";
+import { createStep, defaultSteps } from "../src/lib/steps.js";
+
+const doc = {
+  parse: { delimiter: "", candidate: "comma", columnBoundaries: null },
+  headerMode: "yes",
+  excludeFirstRow: false,
+  steps: [
+    ...defaultSteps(),
+    createStep("edit", { edit: { type: "setCell", row: 0, col: 1, value: "Name" } }),
+    createStep("edit", { edit: { type: "setCell", row: 3, col: 1, value: "x" } }),
+    createStep("edit", { edit: { type: "deleteColumn", col: 2 } }),
+  ],
+};
+
+const recipeWith = (steps) => JSON.stringify({ parse: {}, steps });
+
+describe("createRecipe", () => {
+  test("keeps header renames and column edits, without ids", () => {
+    const recipe = createRecipe("  Mine ", doc, { header: ["id", "name", null] });
+    assert.equal(recipe.name, "Mine");
+    assert.deepEqual(recipe.header, ["id", "name", ""]);
+    assert.deepEqual(
+      recipe.steps.map((s) => s.edit?.type ?? s.type),
+      ["removeEmptyRows", "removeEmptyColumns", "collapseSpaces", "setCell", "deleteColumn"]
+    );
+    assert.ok(recipe.steps.every((s) => !("id" in s)));
+  });
+});
+
+describe("parseRecipe", () => {
+  test("reads back a saved recipe", () => {
+    const recipe = createRecipe("Mine", doc, { header: ["id", "name"] });
+    assert.deepEqual(parseRecipe(JSON.stringify(recipe)), recipe);
+  });
+
+  test("rejects files that are not recipes", () => {
+    assert.throws(() => parseRecipe("nope"), { message: "This file is not valid JSON." });
+    assert.throws(() => parseRecipe('{"steps":[]}'), { message: "This file is not a table cleaner recipe." });
+    assert.throws(() => parseRecipe('{"version":9,"parse":{},"steps":[]}'), {
+      message: "This recipe was saved by a newer version of the tool.",
+    });
+  });
+
+  test("rejects steps without the fields their type needs", () => {
+    assert.throws(() => parseRecipe(recipeWith([{ type: "edit" }])), {
+      message: "Step 1 of this recipe (edit) has a missing or invalid edit.type.",
+    });
+    assert.throws(() => parseRecipe(recipeWith([{ type: "transform" }])), {
+      message: "Step 1 of this recipe (transform) has a missing or invalid transform.op.",
+    });
+    const noMode = [{ type: "trim" }, { type: "transform", transform: { op: "case", col: 0 } }];
+    assert.throws(() => parseRecipe(recipeWith(noMode)), {
+      message: "Step 2 of this recipe (transform) has a missing or invalid transform.mode.",
+    });
+    assert.throws(() => parseRecipe(recipeWith([5])), { message: "Step 1 of this recipe has no type." });
+  });
+
+  test("rejects unknown locales and similarities outside 0..1", () => {
+    assert.throws(() => parseRecipe(recipeWith([{ type: "locale", locale: "fr-FR" }])), {
+      message: "Step 1 of this recipe (locale) has a missing or invalid locale.",
+    });
+    const fuzzy = (similarity) => [{ type: "dedupe", dedupe: { keys: [0], keep: "first", similarity } }];
+    assert.throws(() => parseRecipe(recipeWith(fuzzy(1.5))), {
+      message: "Step 1 of this recipe (dedupe) has a missing or invalid dedupe.similarity.",
+    });
+    assert.throws(() => parseRecipe(recipeWith(fuzzy("0.8"))), { message: /dedupe\.similarity/ });
+    assert.equal(parseRecipe(recipeWith(fuzzy(0.8))).steps[0].dedupe.similarity, 0.8);
+  });
+
+  test("rejects column boundaries that are not character positions", () => {
+    const withBoundaries = (columnBoundaries) => JSON.stringify({ parse: { columnBoundaries }, steps: [] });
+    const message = "This recipe's column boundaries are not a list of character positions.";
+    assert.throws(() => parseRecipe(withBoundaries([4, "x"])), { message });
+    assert.throws(() => parseRecipe(withBoundaries("4,8")), { message });
+    assert.deepEqual(parseRecipe(withBoundaries([4, 8])).parse.columnBoundaries, [4, 8]);
+  });
+
+  test("leaves out steps of unknown types", () => {
+    const { steps } = parseRecipe(recipeWith([{ type: "sparkle" }, { type: "reshape", reshape: { op: "transpose" } }]));
+    assert.deepEqual(steps, [{ type: "reshape", reshape: { op: "transpose" }, enabled: true }]);
+  });
+});
+
+describe("recipeSteps", () => {
+  test("gives every step a fresh id", () => {
+    const recipe = createRecipe("Mine", doc, { header: ["id", "name"] });
+    const ids = recipeSteps(recipe).map((s) => s.id);
+    assert.equal(new Set(ids).size, recipe.steps.length);
+    assert.ok(ids.every((id) => !doc.steps.some((s) => s.id === id)));
+  });
+});
+
+describe("matchRecipe", () => {
+  test("matches headers without case and spaces", () => {
+    const recipe = createRecipe("Mine", doc, { header: ["id", "name", ""] });
+    assert.equal(matchRecipe([recipe], [" ID", "Name ", ""]), recipe);
+    assert.equal(matchRecipe([recipe], ["id", "name"]), null);
+  });
+});
@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { repairRaggedRows } from "../src/lib/repair.js";
+
+const table = [
+  ["id", "note", "amount"],
+  ["1", "first", "10"],
+  ["2", "second", "20"],
+  ["3", "start of a"],
+  ["long note", "30"],
+  ["4", "Smith", "Jr", "40"],
+  ["5", "50"],
+  ["6", "sixth", "60"],
+];
+
+describe("repairRaggedRows", () => {
+  test("merges wrapped lines and realigns shifted cells", () => {
+    const { table: repaired, fixes, width } = repairRaggedRows(table, { hasHeader: true });
+    assert.equal(width, 3);
+    assert.deepEqual(repaired, [
+      ["id", "note", "amount"],
+      ["1", "first", "10"],
+      ["2", "second", "20"],
+      ["3", "start of a long note", "30"],
+      ["4", "Smith Jr", "40"],
+      ["5", "", "50"],
+      ["6", "sixth", "60"],
+    ]);
+    assert.deepEqual(
+      fixes.map(({ kind, row }) => [kind, row]),
+      [
+        ["merge", 4],
+        ["realign", 5],
+        ["realign", 6],
+      ]
+    );
+    assert.deepEqual(fixes[0], {
+      kind: "merge",
+      row: 4,
+      into: 3,
+      before: [
+        ["3", "start of a"],
+        ["long note", "30"],
+      ],
+      after: ["3", "start of a long note", "30"],
+    });
+  });
+
+  test("adds a lone wrapped cell to the last text column", () => {
+    const notes = [
+      ["id", "note", "amount"],
+      ["1", "first", "10"],
+      ["2", "second", "20"],
+      ["continued"],
+    ];
+    assert.deepEqual(repairRaggedRows(notes, { hasHeader: true }).table.at(-1), ["2", "second continued", "20"]);
+  });
+
+  test("fixes only the rows asked for", () => {
+    const { table: repaired, fixes } = repairRaggedRows(table, { hasHeader: true, rows: [5] });
+    assert.deepEqual(fixes.map((f) => f.row), [5]);
+    assert.deepEqual(repaired, [...table.slice(0, 5), ["4", "Smith Jr", "40"], ...table.slice(6)]);
+  });
+
+  test("leaves a regular table alone", () => {
+    const regular = table.slice(0, 3);
+    assert.deepEqual(repairRaggedRows(regular, { hasHeader: true }), { table: regular, fixes: [], width: 3 });
+  });
+});
@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { applyReshape, transposeTable } from "../src/lib/reshape.js";
+
+const wide = [
+  ["id", "jan", "feb"],
+  ["x", "1", "2"],
+  ["y", "3", ""],
+];
+
+const long = [
+  ["id", "month", "n"],
+  ["x", "jan", "1"],
+  ["x", "feb", "2"],
+  ["x", "jan", "3"],
+  ["y", "jan", "4"],
+];
+
+describe("transposeTable", () => {
+  test("swaps rows and columns, padding short rows", () => {
+    assert.deepEqual(transposeTable([["a", "b"], ["1", "2"], ["3"]]), [
+      ["a", "1", "3"],
+      ["b", "2", ""],
+    ]);
+  });
+});
+
+describe("applyReshape", () => {
+  test("unpivots columns into key/value rows, skipping blanks", () => {
+    const unpivot = { op: "unpivot", columns: [1, 2], keyName: "month", valueName: "n", hasHeader: true };
+    assert.deepEqual(applyReshape(wide, unpivot), [
+      ["id", "month", "n"],
+      ["x", "jan", "1"],
+      ["x", "feb", "2"],
+      ["y", "jan", "3"],
+    ]);
+    assert.equal(applyReshape(wide, { ...unpivot, skipEmpty: false }).length, 5);
+  });
+
+  test("pivots key values into columns, summed", () => {
+    assert.deepEqual(applyReshape(long, { op: "pivot", keyCol: 1, valueCol: 2, aggregate: "sum", hasHeader: true }), [
+      ["id", "jan", "feb"],
+      ["x", "4", "2"],
+      ["y", "4", ""],
+    ]);
+  });
+
+  test("pivots with a count", () => {
+    const pivot = { op: "pivot", keyCol: 1, valueCol: 2, aggregate: "count", hasHeader: true };
+    assert.deepEqual(applyReshape(long, pivot).slice(1), [
+      ["x", "2", "1"],
+      ["y", "1", ""],
+    ]);
+  });
+
+  test("leaves the table alone for an unknown op", () => {
+    assert.equal(applyReshape(wide, { op: "spin" }), wide);
+  });
+});
@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { parseSchema, rulePattern, validateTable, violationsTable } from "../src/lib/schema.js";
+
+const table = [
+  ["id", "email", "age"],
+  ["1", "a@x.io", "30"],
+  ["1", "bad", "200"],
+  ["2", "", "x"],
+];
+
+const schema = {
+  columns: [
+    { name: "ID", type: "integer", unique: true },
+    { name: "email", required: true, pattern: "[^@]+@[^@]+\\.[a-z]+" },
+    { name: "age", min: 0, max: 120 },
+    { name: "country", required: true },
+  ],
+};
+
+describe("rulePattern", () => {
+  test("matches the whole cell", () => {
+    assert.equal(rulePattern("\\d+").test("12a"), false);
+    assert.equal(rulePattern("\\d+").test("12"), true);
+  });
+
+  test("ignores case after (?i)", () => {
+    assert.equal(rulePattern("(?i)ab").test("AB"), true);
+  });
+
+  test("accepts patterns that only Unicode mode rejects", () => {
+    assert.equal(rulePattern("[\\w-.]+@x\\.io").test("a.b-c@x.io"), true);
+    assert.equal(rulePattern("a\\_b").test("a_b"), true);
+    assert.equal(rulePattern("(?i)\\p{L}+").test("Éa"), true);
+  });
+
+  test("still throws for a pattern that cannot compile", () => {
+    assert.throws(() => rulePattern("(a"), SyntaxError);
+  });
+});
+
+describe("validateTable", () => {
+  test("reports each failing rule, in table order", () => {
+    const { violations, checkedColumns } = validateTable(table, schema);
+    assert.equal(checkedColumns, 3);
+    assert.deepEqual(
+      violations.map((v) => [v.row, v.column, v.rule, v.message]),
+      [
+        [null, "country", "required", "Required column “country” is missing"],
+        [2, "ID", "unique", "“1” repeats row 1"],
+        [2, "email", "pattern", "“bad” does not match the pattern"],
+        [2, "age", "range", "200 is above 120"],
+        [3, "email", "required", "Required value is blank"],
+        [3, "age", "range", "“x” is not a number"],
+      ]
+    );
+  });
+
+  test("reads ambiguous dates in the column's date order", () => {
+    const dates = { columns: [{ name: "when", type: "date" }] };
+    assert.deepEqual(validateTable([["when"], ["03/04/2025"], ["13/04/2025"]], dates).violations, []);
+    assert.deepEqual(validateTable([["when"], ["03/04/2025"], ["04/13/2025"]], dates).violations, []);
+  });
+});
+
+describe("violationsTable", () => {
+  test("numbers rows as the preview does", () => {
+    const rows = violationsTable(validateTable(table, schema).violations);
+    assert.deepEqual(rows[0], ["Row", "Column", "Rule", "Value", "Problem"]);
+    assert.deepEqual(rows[2], ["2", "ID", "unique", "1", "“1” repeats row 1"]);
+  });
+
+  test("masks values of masked columns, in the message too", () => {
+    const masks = [
+      { column: "Email", mode: "redact" },
+      { column: "id", mode: "drop" },
+    ];
+    const rows = violationsTable(validateTable(table, schema).violations, { masks });
+    assert.deepEqual(rows[2], ["2", "ID", "unique", "", "“…” repeats row 1"]);
+    assert.deepEqual(rows[3], ["2", "email", "pattern", "[redacted]", "“[redacted]” does not match the pattern"]);
+  });
+});
+
+describe("parseSchema", () => {
+  test("reads a JSON Schema describing a row", () => {
+    const json = JSON.stringify({
+      type: "object",
+      required: ["id"],
+      properties: {
+        id: { type: "integer" },
+        mail: { type: "string", format: "email" },
+        code: { type: "string", pattern: "^[A-Z]{2}$" },
+        size: { enum: ["S", "M"] },
+      },
+    });
+    const { columns } = parseSchema(json);
+    assert.deepEqual(
+      columns.map((c) => [c.name, c.type, c.required]),
+      [
+        ["id", "integer", true],
+        ["mail", "text", false],
+        ["code", "text", false],
+        ["size", "any", false],
+      ]
+    );
+    assert.equal(columns[2].pattern, "[A-Z]{2}");
+    assert.deepEqual(columns[3].allowed, ["S", "M"]);
+  });
+
+  test("reads its own format back", () => {
+    const own = { version: 1, onViolation: "block", columns: [{ name: "id", type: "integer", unique: true }] };
+    const parsed = parseSchema(JSON.stringify(own));
+    assert.equal(parsed.onViolation, "block");
+    assert.equal(parsed.columns[0].unique, true);
+  });
+
+  test("rejects files that are not schemas", () => {
+    assert.throws(() => parseSchema("{"), { message: "This file is not valid JSON." });
+    assert.throws(() => parseSchema('{"columns":[{}]}'), { message: "Every column rule needs a name." });
+    assert.throws(() => parseSchema('{"type":"array"}'), {
+      message: "This JSON Schema does not describe rows with properties.",
+    });
+  });
+
+  test("rejects invalid patterns instead of dropping the rule", () => {
+    const message = "The pattern for “id” is not a valid regular expression.";
+    assert.throws(() => parseSchema('{"columns":[{"name":"id","pattern":"(a"}]}'), { message });
+    assert.throws(() => parseSchema('{"properties":{"id":{"pattern":"^[a$"}}}'), { message });
+  });
+
+  test("checks cells against patterns written for other engines", () => {
+    const rules = { columns: [{ name: "email", pattern: "[\\w-.]+@[\\w-]+\\.io" }] };
+    const { violations } = validateTable(table, parseSchema(JSON.stringify(rules)));
+    assert.deepEqual(
+      violations.map((v) => [v.row, v.message]),
+      [[2, "“bad” does not match the pattern"]]
+    );
+  });
+});
@@ -0,0 +1,145 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  applyTableSteps,
+  createStep,
+  defaultSteps,
+  runTableSteps,
+  stepCleanOptions,
+  stepLabel,
+  stepsForNewInput,
+} from "../src/lib/steps.js";
+
+describe("option steps", () => {
+  test("defaultSteps switches on every cleaning option", () => {
+    assert.deepEqual(stepCleanOptions(defaultSteps()), {
+      removeEmptyRows: true,
+      removeEmptyColumns: true,
+      collapseSpaces: true,
+      locale: "",
+    });
+  });
+
+  test("a disabled or removed step switches its option off", () => {
+    const [rows, , spaces] = defaultSteps();
+    const steps = [{ ...rows, enabled: false }, spaces, createStep("locale", { locale: "de-DE" })];
+    assert.deepEqual(stepCleanOptions(steps), {
+      removeEmptyRows: false,
+      removeEmptyColumns: false,
+      collapseSpaces: true,
+      locale: "de-DE",
+    });
+  });
+
+  test("createStep gives every step its own id", () => {
+    assert.notEqual(createStep("edit").id, createStep("edit").id);
+  });
+});
+
+describe("table steps", () => {
+  test("runTableSteps replays edits in order and ignores disabled ones", () => {
+    const steps = [
+      createStep("edit", { edit: { type: "setCell", row: 1, col: 0, value: "b" } }),
+      { ...createStep("edit", { edit: { type: "deleteRow", row: 1 } }), enabled: false },
+      createStep("edit", { edit: { type: "insertColumn", col: 1, name: "n" } }),
+      createStep("removeEmptyRows"),
+    ];
+    assert.deepEqual(runTableSteps([["x"], ["a"]], steps), [
+      ["x", "n"],
+      ["b", ""],
+    ]);
+  });
+
+  test("stepLabel describes each step", () => {
+    const labels = [
+      createStep("collapseSpaces"),
+      createStep("locale", { locale: "auto" }),
+      createStep("locale", { locale: "de-DE" }),
+      createStep("edit", { edit: { type: "setCell", row: 0, col: 1, value: "x" } }),
+      createStep("edit", { edit: { type: "moveColumn", from: 0, to: 2 } }),
+    ].map(stepLabel);
+    assert.deepEqual(labels, [
+      "Collapse spaces in cells",
+      "Normalise numbers & dates (auto-guess)",
+      "Normalise numbers & dates (European (1.234,56 · 31.12.2025))",
+      "Edit cell R1C2 → “x”",
+      "Move column 1 to 3",
+    ]);
+  });
+});
+
+describe("transform steps", () => {
+  const upperName = () =>
+    createStep("transform", { column: "Name", transform: { op: "case", mode: "upper", col: 1, hasHeader: true } });
+
+  const mergeNames = () =>
+    createStep("transform", {
+      column: "First",
+      withColumn: "Last",
+      transform: { op: "merge", col: 0, with: 1, separator: " ", hasHeader: true },
+    });
+
+  test("stepsForNewInput keeps option steps and transforms only", () => {
+    const steps = [
+      createStep("removeEmptyRows"),
+      createStep("edit", { edit: { type: "deleteRow", row: 1 } }),
+      upperName(),
+      createStep("reshape", { reshape: { op: "transpose" } }),
+    ];
+    assert.deepEqual(stepsForNewInput(steps).map(stepLabel), ["Remove empty rows", "Upper case Name"]);
+  });
+
+  test("a transform finds its column by name", () => {
+    const { table, skipped } = applyTableSteps(
+      [
+        ["name", "id"],
+        ["ann", "1"],
+      ],
+      [upperName()]
+    );
+    assert.deepEqual(table, [
+      ["name", "id"],
+      ["ANN", "1"],
+    ]);
+    assert.deepEqual(skipped, []);
+  });
+
+  test("a merge finds both columns by name after they shift", () => {
+    const { table, skipped } = applyTableSteps(
+      [
+        ["id", "Last", "First"],
+        ["1", "Lee", "Ann"],
+      ],
+      [mergeNames()]
+    );
+    assert.deepEqual(table, [
+      ["id", "First Last"],
+      ["1", "Ann Lee"],
+    ]);
+    assert.deepEqual(skipped, []);
+  });
+
+  test("a transform whose column is gone is skipped", () => {
+    const step = upperName();
+    const table = [
+      ["id", "email"],
+      ["1", "ann"],
+    ];
+    assert.deepEqual(applyTableSteps(table, [step]), {
+      table,
+      skipped: [{ id: step.id, reason: "no column “Name”" }],
+    });
+  });
+
+  test("a merge whose partner column is gone is skipped", () => {
+    const step = mergeNames();
+    const table = [
+      ["First", "id"],
+      ["Ann", "1"],
+    ];
+    assert.deepEqual(applyTableSteps(table, [step]), {
+      table,
+      skipped: [{ id: step.id, reason: "no column “Last”" }],
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { applyTransform, replacePattern } from "../src/lib/transforms.js";
+
+const table = [
+  ["name", "price", "code"],
+  ["Lee, Ann", "$1,234.50", "42"],
+  [" bob  o'neil ", "-€5", "7"],
+];
+
+const column = (t, col) => t.map((row) => row[col]);
+
+describe("applyTransform", () => {
+  test("splits a column and numbers the new headers", () => {
+    assert.deepEqual(applyTransform(table, { op: "split", col: 0, separator: ",", parts: 2, hasHeader: true }), [
+      ["name 1", "name 2", "price", "code"],
+      ["Lee", "Ann", "$1,234.50", "42"],
+      ["bob  o'neil", "", "-€5", "7"],
+    ]);
+  });
+
+  test("merges a column into another and drops it", () => {
+    assert.deepEqual(applyTransform(table, { op: "merge", col: 0, with: 2, separator: "-", hasHeader: true }), [
+      ["name code", "price"],
+      ["Lee, Ann-42", "$1,234.50"],
+      [" bob  o'neil -7", "-€5"],
+    ]);
+  });
+
+  test("trims, changes case, strips currency and pads zeros below the header", () => {
+    const run = (t) => applyTransform(table, { hasHeader: true, ...t });
+    assert.deepEqual(column(run({ op: "trim", col: 0 }), 0), ["name", "Lee, Ann", "bob o'neil"]);
+    assert.deepEqual(column(run({ op: "case", col: 0, mode: "title" }), 0), ["name", "Lee, Ann", " Bob  O'Neil "]);
+    assert.deepEqual(column(run({ op: "stripCurrency", col: 1 }), 1), ["price", "1,234.50", "-5"]);
+    assert.deepEqual(column(run({ op: "padZeros", col: 2, width: 4 }), 2), ["code", "0042", "0007"]);
+  });
+
+  test("finds and replaces with a regular expression", () => {
+    const swap = { op: "replace", col: 0, find: "(\\w+), (\\w+)", replace: "$2 $1", regex: true, hasHeader: true };
+    assert.deepEqual(column(applyTransform(table, swap), 0), ["name", "Ann Lee", " bob  o'neil "]);
+  });
+
+  test("leaves the table alone for an invalid pattern", () => {
+    assert.equal(applyTransform(table, { op: "replace", col: 0, find: "(", regex: true }), table);
+  });
+
+  test("replacePattern escapes plain-text searches", () => {
+    assert.deepEqual(replacePattern({ find: "a.b", ignoreCase: true }), /a\.b/gi);
+  });
+});
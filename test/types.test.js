@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  analyzeTable,
+  cellNumber,
+  detectCellType,
+  detectHeaderRow,
+  inferColumnType,
+  inferDateOrder,
+  parseDate,
+  parseNumber,
+  parseTypedValue,
+} from "../src/lib/types.js";
+import { toTypedCells } from "../src/lib/xlsx.js";
+
+const date = (year, month, day) => ({ year, month, day, hours: 0, minutes: 0, seconds: 0 });
+
+describe("cell types", () => {
+  test("parseNumber reads plain numbers with thousands separators only", () => {
+    assert.equal(parseNumber("1,234.5"), 1234.5);
+    assert.equal(parseNumber("-12"), -12);
+    assert.equal(parseNumber("$3"), null);
+    assert.equal(parseNumber("abc"), null);
+  });
+
+  test("parseDate reads ISO dates and settles slash dates by order", () => {
+    assert.deepEqual(parseDate("2025-12-31"), date(2025, 12, 31));
+    assert.deepEqual(parseDate("31/12/2025"), date(2025, 12, 31));
+    assert.equal(parseDate("03/04/2025"), null);
+    assert.deepEqual(parseDate("03/04/2025", "mdy"), date(2025, 3, 4));
+    assert.equal(parseDate("2025-02-30"), null);
+  });
+
+  test("detectCellType tells the column types apart", () => {
+    assert.deepEqual(
+      ["12", "1.5", "12%", "$4.00", "2025-01-02", "TRUE", "hello", ""].map(detectCellType),
+      ["integer", "decimal", "percent", "currency", "date", "boolean", "text", "empty"]
+    );
+  });
+
+  test("inferColumnType ignores blanks and widens integers to decimals", () => {
+    assert.equal(inferColumnType(["1", "2", ""]), "integer");
+    assert.equal(inferColumnType(["1", "2.5"]), "decimal");
+    assert.equal(inferColumnType(["1", "2", "x"]), "text");
+  });
+
+  test("inferDateOrder uses the dates that settle it", () => {
+    assert.equal(inferDateOrder(["03/04/2025", "04/13/2025"]), "mdy");
+    assert.equal(inferDateOrder(["03/04/2025"]), "dmy");
+  });
+
+  test("cellNumber reads amounts and percentages", () => {
+    assert.equal(cellNumber("$1,200"), 1200);
+    assert.equal(cellNumber("50%"), 0.5);
+    assert.equal(cellNumber("x"), null);
+  });
+
+  test("parseTypedValue gives a value and a number format", () => {
+    assert.deepEqual(parseTypedValue("12%", "percent"), { value: 0.12, format: "0%" });
+    assert.equal(parseTypedValue("x", "integer"), null);
+  });
+});
+
+describe("header detection", () => {
+  test("finds a text header over typed columns", () => {
+    assert.equal(detectHeaderRow([["id", "name"], ["1", "Ann"]]), true);
+    assert.equal(detectHeaderRow([["1", "Ann"], ["2", "Bob"]]), false);
+  });
+
+  test("in all-text tables, a row 0 value repeated below is data", () => {
+    assert.equal(detectHeaderRow([["a", "b"], ["c", "d"]]), true);
+    assert.equal(detectHeaderRow([["a", "b"], ["a", "c"]]), false);
+  });
+
+  test("analyzeTable types each column and keeps date orders", () => {
+    const table = [
+      ["id", "when", "ok"],
+      ["1", "03/04/2025", "yes"],
+      ["2", "13/04/2025", "no"],
+    ];
+    assert.deepEqual(analyzeTable(table), {
+      hasHeader: true,
+      types: ["integer", "date", "boolean"],
+      dateOrders: [null, "dmy", null],
+    });
+  });
+
+  test("analyzeTable takes a forced hasHeader", () => {
+    assert.equal(analyzeTable([["id", "x"], ["1", "2"]], { hasHeader: false }).hasHeader, false);
+  });
+});
+
+describe("typed export", () => {
+  test("writes numbers and dates as cells, keeping the header and misfits as text", () => {
+    const table = [
+      ["n", "d"],
+      ["1,5", "x"],
+      ["2", "2025-01-02"],
+    ];
+    assert.deepEqual(toTypedCells(table, { types: ["integer", "date"], hasHeader: true }), [
+      ["n", "d"],
+      ["1,5", "x"],
+      [
+        { t: "n", v: 2 },
+        { t: "n", v: 45659, z: "yyyy-mm-dd" },
+      ],
+    ]);
+  });
+});
@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { analyzeTable } from "../src/lib/types.js";
+import { EMPTY_VIEW, applyView, isViewActive, matchesSearch, viewRows } from "../src/lib/view.js";
+
+const table = [
+  ["item", "qty", "when"],
+  ["a10", "5", "02/01/2025"],
+  ["a2", "", "01/03/2025"],
+  ["B1", "40", "15/01/2025"],
+  ["a1", "7", ""],
+];
+const analysis = analyzeTable(table);
+
+describe("viewRows", () => {
+  test("shows every body row when nothing is set", () => {
+    assert.deepEqual(viewRows(table, EMPTY_VIEW, analysis), [1, 2, 3, 4]);
+  });
+
+  test("sorts numbers by value and text in natural order", () => {
+    const byQty = { ...EMPTY_VIEW, sort: { col: 1, dir: "asc" } };
+    assert.deepEqual(viewRows(table, byQty, analysis), [1, 4, 3, 2]);
+    assert.deepEqual(viewRows(table, { ...EMPTY_VIEW, sort: { col: 0, dir: "asc" } }, analysis), [4, 2, 1, 3]);
+  });
+
+  test("sorts dates by value and keeps blanks last when descending", () => {
+    const latest = { ...EMPTY_VIEW, sort: { col: 2, dir: "desc" } };
+    assert.deepEqual(viewRows(table, latest, analysis), [2, 3, 1, 4]);
+  });
+
+  test("filters by text, range and emptiness", () => {
+    const rows = (filters) => viewRows(table, { ...EMPTY_VIEW, filters }, analysis);
+    assert.deepEqual(rows({ 0: { mode: "contains", value: "A1" } }), [1, 4]);
+    assert.deepEqual(rows({ 0: { mode: "equals", value: "b1" } }), [3]);
+    assert.deepEqual(rows({ 1: { mode: "range", min: "6", max: "40" } }), [3, 4]);
+    assert.deepEqual(rows({ 1: { mode: "empty" } }), [2]);
+  });
+
+  test("searches every cell, ignoring case", () => {
+    assert.deepEqual(viewRows(table, { ...EMPTY_VIEW, search: " b1 " }, analysis), [3]);
+  });
+});
+
+describe("view helpers", () => {
+  test("applyView keeps the header above the rows shown", () => {
+    const view = { ...EMPTY_VIEW, filters: { 0: { mode: "equals", value: "a2" } } };
+    assert.deepEqual(applyView(table, view, analysis), [table[0], table[2]]);
+  });
+
+  test("isViewActive ignores a blank search", () => {
+    assert.equal(isViewActive({ ...EMPTY_VIEW, search: "  " }), false);
+    assert.equal(isViewActive({ ...EMPTY_VIEW, sort: { col: 0, dir: "asc" } }), true);
+  });
+
+  test("matchesSearch needs a non-blank search", () => {
+    assert.equal(matchesSearch("Oslo", "os"), true);
+    assert.equal(matchesSearch("Oslo", " "), false);
+  });
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import * as XLSX from "xlsx";
+import { buildMultiSheetWorkbook, readSheets, stackSheets } from "../src/lib/xlsx.js";
+
+const toBuffer = (wb) => XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+
+const north = {
+  name: "North",
+  table: [
+    ["id", "city"],
+    ["1", "Oslo"],
+  ],
+};
+const south = {
+  name: "South",
+  table: [
+    ["id", "city"],
+    ["2", "Rome"],
+  ],
+};
+
+describe("readSheets", () => {
+  test("reads every sheet back in workbook order", () => {
+    const sheets = readSheets(toBuffer(buildMultiSheetWorkbook([north, south])));
+    assert.deepEqual(sheets, [north, south]);
+  });
+
+  test("makes sheet names Excel accepts", () => {
+    const wb = buildMultiSheetWorkbook([
+      { name: "a/b", table: [["x"]] },
+      { name: "A B", table: [["y"]] },
+      { name: "", table: [["z"]] },
+    ]);
+    assert.deepEqual(wb.SheetNames, ["a b", "A B (2)", "Sheet"]);
+  });
+});
+
+describe("stackSheets", () => {
+  test("keeps a shared header once", () => {
+    assert.deepEqual(stackSheets([north, south]), [
+      ["id", "city"],
+      ["1", "Oslo"],
+      ["2", "Rome"],
+    ]);
+  });
+
+  test("adds a source column when asked", () => {
+    assert.deepEqual(stackSheets([north, south], { sourceColumn: true }), [
+      ["Sheet", "id", "city"],
+      ["North", "1", "Oslo"],
+      ["South", "2", "Rome"],
+    ]);
+  });
+
+  test("stacks every row when the headers differ", () => {
+    const other = { name: "Other", table: [["code"], ["x"]] };
+    assert.deepEqual(stackSheets([north, other, { name: "Empty", table: [] }]), [
+      ["id", "city"],
+      ["1", "Oslo"],
+      ["code"],
+      ["x"],
+    ]);
+  });
+});